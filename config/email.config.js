@@ -75,7 +75,81 @@ const sendOTPEmail = async (email, otp, name = '') => {
   });
 };
 
+// Names come from uploaded sheets, so they are escaped before going into the markup
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Warn a student that their attendance fell below the threshold
+ * @param {String} email - Recipient email
+ * @param {Object} details - { name, className, division, percentage, threshold }
+ * @returns {Promise} - Nodemailer info object
+ */
+const sendDefaulterWarningEmail = async (email, { name, className, division, percentage, threshold }) => {
+  const subject = 'Low attendance warning';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Student Attendance System - Low Attendance</h2>
+      <p>Hello${name ? ' ' + escapeHtml(name) : ''},</p>
+      <p>Your attendance in <strong>${escapeHtml(className)}${division ? ' (' + escapeHtml(division) + ')' : ''}</strong> is <strong>${percentage}%</strong>, below the required ${threshold}%.</p>
+      <p>Please attend upcoming sessions regularly or contact your department if this is incorrect.</p>
+      <p>Thank you,<br>Student Attendance System Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject,
+    html
+  });
+};
+
+/**
+ * Send a HOD the list of students currently below the threshold
+ * @param {String} email - Recipient email
+ * @param {Object} details - { name, threshold, rangeLabel, rows: [{ className, division, enrollmentNumber, studentName, percentage, isNew }] }
+ * @returns {Promise} - Nodemailer info object
+ */
+const sendDefaulterDigestEmail = async (email, { name, threshold, rangeLabel, rows }) => {
+  const subject = `Attendance defaulters: ${rows.length} student(s) below ${threshold}%`;
+  const tableRows = rows.map(r => `
+        <tr>
+          <td style="padding: 4px 8px;">${escapeHtml(r.className)}${r.division ? ' (' + escapeHtml(r.division) + ')' : ''}</td>
+          <td style="padding: 4px 8px;">${escapeHtml(r.enrollmentNumber)}</td>
+          <td style="padding: 4px 8px;">${escapeHtml(r.studentName)}${r.isNew ? ' <strong>(new)</strong>' : ''}</td>
+          <td style="padding: 4px 8px; text-align: right;">${r.percentage}%</td>
+        </tr>`).join('');
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Student Attendance System - Defaulter Digest</h2>
+      <p>Hello${name ? ' ' + escapeHtml(name) : ''},</p>
+      <p>These students are below ${threshold}% attendance (${escapeHtml(rangeLabel)}):</p>
+      <table style="border-collapse: collapse; width: 100%;">
+        <tr style="background-color: #f0f0f0;">
+          <th style="padding: 4px 8px; text-align: left;">Class</th>
+          <th style="padding: 4px 8px; text-align: left;">Enrollment</th>
+          <th style="padding: 4px 8px; text-align: left;">Student</th>
+          <th style="padding: 4px 8px; text-align: right;">Attendance</th>
+        </tr>${tableRows}
+      </table>
+      <p>Thank you,<br>Student Attendance System Team</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject,
+    html
+  });
+};
+
 module.exports = {
   sendEmail,
-  sendOTPEmail
+  sendOTPEmail,
+  sendDefaulterWarningEmail,
+  sendDefaulterDigestEmail
 };
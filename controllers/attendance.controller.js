@@ -2,51 +2,192 @@
 const mongoose = require('mongoose');
 const Attendance = require('../models/attendance.model');
 const Class = require('../models/class.model');
-const { successResponse, errorResponse } = require('../utils/response.utils');
-const { messaging } = require('../config/firebase');
 const Student = require('../models/student.model');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+const Subject = require('../models/subject.model');
+const HOD = require('../models/hod.model');
+const AttendanceAudit = require('../models/attendanceAudit.model');
+const AttendanceUnlock = require('../models/attendanceUnlock.model');
+const { resolveDateMs, resolveDateRange, startOfDay, endOfDay, toDateKey } = require('../utils/date.utils');
+const { GROUP_BY_VALUES, buildClassSummary } = require('../utils/summary.utils');
+const { findDefaulters } = require('../utils/defaulter.utils');
+const { buildClassRegister } = require('../utils/register.utils');
+const { generateRegisterFile, parseAttendanceRegister } = require('../utils/excel.utils');
+const { generateClassReportPdf, generateStudentStatementPdf } = require('../utils/pdf.utils');
+const { findClassForUser } = require('../utils/access.utils');
+const { verifyProfessorAccessToClass, markSlotAttendance } = require('../utils/attendance.utils');
+const {
+  issueCheckinToken,
+  openCheckinSession,
+  checkInStudent,
+  closeCheckinSession,
+  reviewFlaggedCheckin,
+} = require('../utils/checkin.utils');
+const AttendanceSession = require('../models/attendanceSession.model');
+const { readDeviceId } = require('../utils/device.utils');
+const { sendPushToStudents } = require('../utils/notification.utils');
+const {
+  ATTENDANCE_STATUSES,
+  resolveStatus,
+  parseStatusCode,
+  getStatusRules,
+  countStatuses,
+  summarizeStatusCounts,
+} = require('../utils/status.utils');
+const {
+  getCalendar,
+  getNonTeachingReason,
+  getTermToDateRange,
+} = require('../utils/calendar.utils');
 
 /**
- * Normalize date from either dateMs (number) or date (YYYY-MM-DD).
+ * Apply the optional ?subjectId= filter shared by the read endpoints.
+ * @returns {Boolean} false when subjectId is given but not a valid ObjectId
  */
-function resolveDateMs({ dateMs, date }) {
-  if (dateMs !== undefined && dateMs !== null && dateMs !== '') return Number(dateMs);
-  if (date) {
-    const d = new Date(date);
-    const time = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
-    return Number.isNaN(time) ? null : time; // ✅ NaN guard
-  }
-  return null;
+function applySubjectFilter(filter, subjectId) {
+  if (!subjectId) return true;
+  if (!mongoose.Types.ObjectId.isValid(subjectId)) return false;
+  filter.subjectId = new mongoose.Types.ObjectId(subjectId);
+  return true;
 }
 
 /**
- * Verify professor access to a class.
- *  - Class must exist (always check by _id).
- *  - If hodId exists in token → enforce createdBy match (HOD view).
- *  - If class has professors/assignedProfessors → ensure professor is listed.
+ * Per class + subject totals for a student's attendance rows
+ * (classId / subjectId may be populated or raw ObjectIds).
  */
-async function verifyProfessorAccessToClass(professorId, hodId, classId) {
-  const query = { _id: classId };
-  if (hodId) {
-    query.createdBy = hodId; // only enforce if provided
+function summarizeBySubject(records, rules) {
+  const groups = new Map();
+
+  for (const r of records) {
+    const classKey = String(r.classId?._id || r.classId);
+    const subjectKey = r.subjectId?._id ? String(r.subjectId._id) : '';
+    const key = `${classKey}||${subjectKey}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        classId: classKey,
+        className: r.classId?.className || '',
+        division: r.classId?.division || '',
+        subjectId: subjectKey || null,
+        subjectName: r.subjectId?.name || '',
+        rows: [],
+      });
+    }
+    groups.get(key).rows.push(r);
   }
 
-  const cls = await Class.findOne(query).lean();
-  if (!cls) {
-    return { ok: false, code: 404, msg: `Class not found (id=${classId}, hodId=${hodId || "none"})` };
-  }
+  return Array.from(groups.values()).map(({ rows, ...g }) => {
+    const statusCounts = countStatuses(rows);
+    return { ...g, ...summarizeStatusCounts(statusCounts, rules), statusCounts };
+  });
+}
 
-  const profList = cls.professors || cls.assignedProfessors;
-  if (Array.isArray(profList) && profList.length > 0) {
-    const isAssigned = profList.some((p) => String(p) === String(professorId));
-    if (!isAssigned) {
-      return { ok: false, code: 403, msg: `Professor ${professorId} is not assigned to class ${classId}` };
-    }
-  }
+/**
+ * Subject breakdown + status counts for a student's rows.
+ * Rows on the HOD's non-teaching days are skipped and the HOD's counted /
+ * excluded statuses decide the percentages.
+ */
+async function summarizeStudentRecords(records, hodId) {
+  const [calendar, hod] = await Promise.all([
+    getCalendar(hodId),
+    hodId ? HOD.findById(hodId).select('attendanceSettings').lean() : null,
+  ]);
+
+  const teachingRecords = calendar
+    ? records.filter((r) => !getNonTeachingReason(calendar, r.dateMs))
+    : records;
+
+  return {
+    subjects: summarizeBySubject(teachingRecords, getStatusRules(hod?.attendanceSettings)),
+    statusCounts: countStatuses(teachingRecords),
+  };
+}
 
-  return { ok: true, class: cls };
+/**
+ * Reporting range from ?from=&to= or ?month=&year=, defaulting to the current term so far.
+ * @returns {Promise<Object>} { range, term } or { error }
+ */
+async function resolveReportRange(query, hodId) {
+  const { range, error } = resolveDateRange(query);
+  if (error) return { error };
+  if (range) return { range, term: null };
+
+  const termRange = getTermToDateRange(await getCalendar(hodId), Date.now());
+  return { range: termRange, term: termRange.termName };
 }
 
+/**
+ * Validate the optional ?groupBy= rollup
+ * @returns {String|null|false} the rollup, null when absent, false when invalid
+ */
+function parseGroupBy(groupBy) {
+  if (!groupBy) return null;
+  return GROUP_BY_VALUES.includes(groupBy) ? groupBy : false;
+}
+
+/**
+ * Cumulative summary of one student per class (plus an overall total) over a range
+ */
+async function summarizeStudentClasses(student, range, { classId, subjectId, groupBy }) {
+  const classIds = classId ? [classId] : student.classIds || [];
+  const classes = await Class.find({ _id: { $in: classIds } })
+    .select('className division')
+    .sort({ className: 1, division: 1 })
+    .lean();
+
+  let rules = null;
+  let totalScheduled = 0;
+  let totalConducted = 0;
+  let totalExpected = 0;
+  const totalCounts = countStatuses([]);
+  const results = [];
+
+  for (const cls of classes) {
+    const result = await buildClassSummary(cls._id, range.startMs, range.endMs, {
+      studentId: student._id,
+      subjectId,
+      groupBy,
+    });
+    if (!result) continue;
+    rules = result.rules;
+
+    // A class with no rows yet still reports what was scheduled / held
+    const expected = result.conductedClasses || result.scheduledClasses;
+    const row = result.summary[0] || {
+      scheduledClasses: result.scheduledClasses,
+      conductedClasses: result.conductedClasses,
+      ...summarizeStatusCounts(countStatuses([]), result.rules, expected),
+      statusCounts: countStatuses([]),
+      subjects: [],
+    };
+    const { studentId, enrollmentNumber, name, semester, ...totals } = row;
+
+    totalScheduled += totals.scheduledClasses;
+    totalConducted += totals.conductedClasses;
+    totalExpected += expected;
+    ATTENDANCE_STATUSES.forEach((st) => {
+      totalCounts[st] += totals.statusCounts[st];
+    });
+
+    results.push({
+      classId: String(cls._id),
+      className: cls.className || '',
+      division: cls.division || '',
+      ...totals,
+    });
+  }
+
+  rules = rules || getStatusRules();
+  return {
+    overall: {
+      scheduledClasses: totalScheduled,
+      conductedClasses: totalConducted,
+      ...summarizeStatusCounts(totalCounts, rules, totalExpected),
+      statusCounts: totalCounts,
+    },
+    classes: results,
+  };
+}
 
 // ========== BULK ATTENDANCE ==========
 exports.markBulkAttendance = async (req, res, next) => {
@@ -62,142 +203,762 @@ exports.markBulkAttendance = async (req, res, next) => {
       return errorResponse(res, "records[] cannot be empty", 400);
     }
 
+    // Each record sends a status, or the legacy isPresent flag
+    const invalidStatusFor = records
+      .filter((rec) => rec.status != null && !ATTENDANCE_STATUSES.includes(rec.status))
+      .map((rec) => rec.studentId);
+    if (invalidStatusFor.length > 0) {
+      return errorResponse(
+        res,
+        `status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`,
+        400,
+        { invalidStatusFor }
+      );
+    }
+
     const normalizedDateMs = resolveDateMs({ dateMs, date });
     if (!normalizedDateMs) {
       return errorResponse(res, "Provide dateMs or date (YYYY-MM-DD)", 400);
     }
 
-    // 🔑 Verify access
-    const access = await verifyProfessorAccessToClass(professorId, hodId, classId);
-    if (!access.ok) {
-      console.warn(`[attendance] Access denied → ${access.msg}`);
-      return errorResponse(res, access.msg, access.code);
+    const result = await markSlotAttendance({
+      professorId,
+      hodId,
+      classId,
+      dateMs: normalizedDateMs,
+      slotNumber,
+      subjectId: req.body.subjectId,
+      records,
+      override: req.body.override,
+      reason: req.body.reason,
+      topic: req.body.topic,
+    });
+    if (!result.ok) {
+      return errorResponse(res, result.msg, result.code, result.details);
     }
-    const cls = access.class;
 
-    // ✅ Deduplicate by studentId (last record wins)
-    const dedupedMap = new Map();
-    const skippedStudentIds = [];
+    // ✅ Final response
+    return successResponse(res, {
+      message: "Attendance processed & notifications triggered",
+      sessionId: result.session ? String(result.session._id) : null,
+      savedCount: result.savedCount,
+      correctedCount: result.correctedCount,
+      skippedCount: result.skippedStudentIds.length,
+      skippedStudentIds: result.skippedStudentIds,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== QR CHECK-IN SESSIONS ==========
+const formatSession = (session) => ({
+  id: String(session._id),
+  classId: String(session.classId),
+  professorId: session.professorId ? String(session.professorId) : null,
+  subjectId: session.subjectId ? String(session.subjectId) : null,
+  date: new Date(session.dateMs).toISOString(),
+  slotNumber: session.slotNumber,
+  topic: session.topic || '',
+  status: session.status,
+  openedAt: session.openedAt,
+  closedAt: session.closedAt,
+  cancelledAt: session.cancelledAt || null,
+  cancelReason: session.cancelReason || '',
+  presentCount: session.presentCount,
+  absentCount: session.absentCount,
+});
+
+// Professor opens today's slot for self check-in; the response carries the first QR payload
+exports.openCheckinSession = async (req, res, next) => {
+  try {
+    const { classId, slotNumber, subjectId, topic, override } = req.body;
 
-    for (const rec of records) {
-      if (!mongoose.Types.ObjectId.isValid(rec.studentId)) {
-        skippedStudentIds.push(rec.studentId); // invalid ObjectId
-        continue;
+    if (!classId || !mongoose.Types.ObjectId.isValid(classId) || slotNumber == null) {
+      return errorResponse(res, 'Valid classId and slotNumber are required', 400);
+    }
+
+    const result = await openCheckinSession({
+      professorId: req.user.id,
+      hodId: req.user.hodId,
+      classId,
+      slotNumber,
+      subjectId,
+      topic,
+      override,
+    });
+    if (!result.ok) {
+      return errorResponse(res, result.msg, result.code, result.details);
+    }
+
+    return successResponse(res, {
+      message: result.alreadyOpen ? 'Check-in session already open' : 'Check-in session opened',
+      session: formatSession(result.session),
+      qr: issueCheckinToken(result.session._id),
+    }, result.code);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Current QR payload (rotates every few seconds; the professor's screen polls this)
+exports.getCheckinToken = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return errorResponse(res, 'Invalid sessionId', 400);
+    }
+
+    const session = await AttendanceSession.findOne({ _id: sessionId, professorId: req.user.id }).lean();
+    if (!session) return errorResponse(res, 'Session not found', 404);
+    if (session.status !== 'open') return errorResponse(res, 'Session is closed', 410);
+
+    return successResponse(res, { qr: issueCheckinToken(session._id) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Professor closes the session: everyone enrolled who did not check in is marked absent
+exports.closeCheckinSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return errorResponse(res, 'Invalid sessionId', 400);
+    }
+
+    const result = await closeCheckinSession({
+      sessionId,
+      professorId: req.user.id,
+      hodId: req.user.hodId,
+    });
+    if (!result.ok) {
+      return errorResponse(res, result.msg, result.code, result.details);
+    }
+
+    return successResponse(res, {
+      message: 'Check-in session closed',
+      session: formatSession(result.session),
+      markedAbsentCount: result.markedAbsent,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Student scans the QR code (with the device position: latitude, longitude, accuracy in metres,
+// and the device fingerprint: deviceId or the X-Device-Id header)
+exports.checkIn = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    if (!token) return errorResponse(res, 'token is required', 400);
+
+    const lat = req.body.latitude ?? req.body.lat;
+    const lng = req.body.longitude ?? req.body.lng;
+    let location = null;
+    if (lat != null && lng != null) {
+      location = { lat: Number(lat), lng: Number(lng), accuracy: req.body.accuracy == null ? null : Number(req.body.accuracy) };
+      if (!Number.isFinite(location.lat) || Math.abs(location.lat) > 90 ||
+        !Number.isFinite(location.lng) || Math.abs(location.lng) > 180) {
+        return errorResponse(res, 'Invalid latitude / longitude', 400);
       }
-      if (dedupedMap.has(rec.studentId)) {
-        skippedStudentIds.push(rec.studentId); // duplicate in request
+      if (location.accuracy !== null && (!Number.isFinite(location.accuracy) || location.accuracy < 0)) {
+        return errorResponse(res, 'accuracy must be a positive number of metres', 400);
       }
-      dedupedMap.set(rec.studentId, rec); // keep last one
     }
 
-    const dedupedRecords = Array.from(dedupedMap.values());
+    const result = await checkInStudent({
+      studentId: req.student._id,
+      token,
+      location,
+      deviceId: readDeviceId(req),
+    });
+    if (!result.ok) {
+      return errorResponse(res, result.msg, result.code, result.details);
+    }
 
-    // ✅ Bulk save attendance
-    const ops = dedupedRecords.map((rec) => ({
-      updateOne: {
-        filter: {
-          studentId: rec.studentId,
-          classId,
-          dateMs: normalizedDateMs,
-          slotNumber: Number(slotNumber),
-        },
-        update: {
-          $set: { isPresent: !!rec.isPresent, markedBy: professorId },
-          $setOnInsert: {
-            studentId: rec.studentId,
-            classId,
-            dateMs: normalizedDateMs,
-            slotNumber: Number(slotNumber),
-          },
+    const flagged = Boolean(result.flagged);
+    return successResponse(res, {
+      message: result.alreadyCheckedIn
+        ? 'Already checked in'
+        : flagged ? 'Checked in; this check-in will be reviewed by your professor' : 'Checked in',
+      sessionId: String(result.session._id),
+      class: { id: String(result.class._id), className: result.class.className, division: result.class.division },
+      date: new Date(result.session.dateMs).toISOString(),
+      slotNumber: result.session.slotNumber,
+      status: result.status,
+      ...(result.location ? { location: { verdict: result.location.verdict, flagged: result.location.flagged } } : {}),
+      ...(result.device ? { device: { verdict: result.device.verdict, flagged: result.device.flagged } } : {}),
+    }, result.alreadyCheckedIn ? 200 : 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== LECTURE SESSIONS (SCHEDULE / CANCEL / LIST) ==========
+const SESSION_STATUSES = AttendanceSession.schema.path('status').enumValues;
+
+// Professor plans a lecture ahead; marking or opening the slot later picks it up
+exports.scheduleSession = async (req, res, next) => {
+  try {
+    const { classId, slotNumber, dateMs, date, subjectId, topic, override } = req.body;
+
+    if (!classId || !mongoose.Types.ObjectId.isValid(classId) || slotNumber == null) {
+      return errorResponse(res, 'Valid classId and slotNumber are required', 400);
+    }
+    const normalizedDateMs = resolveDateMs({ dateMs, date });
+    if (!normalizedDateMs) {
+      return errorResponse(res, 'Provide dateMs or date (YYYY-MM-DD)', 400);
+    }
+    if (normalizedDateMs < startOfDay(Date.now())) {
+      return errorResponse(res, 'Sessions can only be scheduled for today or later', 400);
+    }
+
+    // Same calendar / timetable / subject checks as marking the slot
+    const check = await markSlotAttendance({
+      professorId: req.user.id,
+      hodId: req.user.hodId,
+      classId,
+      dateMs: normalizedDateMs,
+      slotNumber,
+      subjectId,
+      records: [],
+      override,
+      notify: false,
+    });
+    if (!check.ok) {
+      return errorResponse(res, check.msg, check.code, check.details);
+    }
+    if (check.session) {
+      return errorResponse(res, 'A session already exists for this slot', 409, {
+        sessionId: String(check.session._id),
+        status: check.session.status,
+      });
+    }
+
+    let session;
+    try {
+      session = await AttendanceSession.create({
+        classId,
+        hodId: check.class.createdBy,
+        professorId: req.user.id,
+        subjectId: subjectId || null,
+        dateMs: normalizedDateMs,
+        slotNumber: Number(slotNumber),
+        topic: typeof topic === 'string' ? topic : '',
+      });
+    } catch (err) {
+      if (err.code === 11000) return errorResponse(res, 'A session already exists for this slot', 409);
+      throw err;
+    }
+
+    return successResponse(res, {
+      message: 'Session scheduled',
+      session: formatSession(session),
+    }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Professor records / corrects what a lecture covered
+exports.updateSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { topic } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return errorResponse(res, 'Invalid sessionId', 400);
+    }
+    if (typeof topic !== 'string') {
+      return errorResponse(res, 'topic is required', 400);
+    }
+
+    const session = await AttendanceSession.findById(sessionId).lean();
+    if (!session) return errorResponse(res, 'Session not found', 404);
+
+    const access = await verifyProfessorAccessToClass(req.user.id, req.user.hodId, session.classId);
+    if (!access.ok) return errorResponse(res, access.msg, access.code);
+    if (session.status === 'cancelled') {
+      return errorResponse(res, 'This session was cancelled', 409);
+    }
+
+    const updated = await AttendanceSession.findByIdAndUpdate(
+      session._id,
+      { $set: { topic: topic.trim() } },
+      { new: true }
+    ).lean();
+
+    return successResponse(res, {
+      message: 'Session updated',
+      session: formatSession(updated),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Professor or HOD calls a lecture off; only while no attendance was taken for it
+exports.cancelSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const reason = String(req.body?.reason || '').trim();
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return errorResponse(res, 'Invalid sessionId', 400);
+    }
+
+    const session = await AttendanceSession.findById(sessionId).lean();
+    if (!session) return errorResponse(res, 'Session not found', 404);
+
+    const cls = await findClassForUser(session.classId, req.user);
+    if (!cls) return errorResponse(res, 'Session not found', 404);
+
+    if (session.status === 'cancelled') {
+      return errorResponse(res, 'This session is already cancelled', 409);
+    }
+    if (session.status === 'closed') {
+      return errorResponse(res, 'This session was already held and cannot be cancelled', 409);
+    }
+    const marked = await Attendance.countDocuments({
+      classId: session.classId,
+      dateMs: session.dateMs,
+      slotNumber: session.slotNumber,
+    });
+    if (marked > 0) {
+      return errorResponse(res, 'Attendance was already taken for this session', 409, { markedCount: marked });
+    }
+
+    // Conditional, so a session opened or closed in the meantime is left alone
+    const cancelled = await AttendanceSession.findOneAndUpdate(
+      { _id: session._id, status: session.status },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: req.user.id,
+          cancelledByModel: req.user.role === 'hod' ? 'HOD' : 'Professor',
+          cancelReason: reason,
         },
-        upsert: true,
       },
-    }));
+      { new: true }
+    ).lean();
+    if (!cancelled) {
+      return errorResponse(res, 'This session changed in the meantime. Try again', 409);
+    }
 
-    if (ops.length > 0) {
-      await Attendance.bulkWrite(ops);
+    const division = cls.division ? ` (${cls.division})` : '';
+    await sendPushToStudents(cls.students || [], {
+      title: 'Lecture Cancelled',
+      body: `${cls.className || 'Class'}${division}, Slot ${session.slotNumber} on ${toDateKey(session.dateMs)} is cancelled.${reason ? ` ${reason}` : ''}`,
+    });
+
+    return successResponse(res, {
+      message: 'Session cancelled',
+      session: formatSession(cancelled),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Sessions of the caller's classes: ?classId=&from=&to=&status= (default: the current term)
+exports.getSessions = async (req, res, next) => {
+  try {
+    const { classId, status } = req.query;
+    const hodId = req.hod?._id || req.professor?.createdBy;
+
+    const classFilter = req.hod ? { createdBy: req.hod._id } : { professors: req.professor._id };
+    if (classId) {
+      if (!mongoose.Types.ObjectId.isValid(classId)) {
+        return errorResponse(res, 'Invalid classId', 400);
+      }
+      classFilter._id = classId;
+    }
+    if (status && !SESSION_STATUSES.includes(status)) {
+      return errorResponse(res, `status must be one of: ${SESSION_STATUSES.join(', ')}`, 400);
     }
 
-    // =============== 🔔 Notification Part ===============
-    try {
-      const className = cls?.className || "Class";
-      const division = cls?.division ? ` (${cls.division})` : "";
-
-      const studentIds = dedupedRecords.map((r) => r.studentId);
-      const students = await Student.find(
-        { _id: { $in: studentIds } },
-        { fcmTokens: 1 }
-      ).lean();
-
-      const tokens = students
-        .flatMap((s) => (Array.isArray(s.fcmTokens) ? s.fcmTokens : []))
-        .filter(Boolean);
-
-      if (tokens.length > 0 && messaging) {
-        const notification = {
-          title: "Attendance Updated",
-          body: `Your attendance for ${className}${division}, Slot ${slotNumber} on ${new Date(
-            normalizedDateMs
-          ).toISOString().split("T")[0]} has been marked.`,
+    const { range, error } = resolveDateRange(req.query);
+    if (error) return errorResponse(res, error, 400);
+
+    const classIds = await Class.distinct('_id', classFilter);
+    if (classId && classIds.length === 0) return errorResponse(res, 'Class not found', 404);
+
+    // Without a range: from the start of the current term, upcoming sessions included
+    const filter = {
+      classId: { $in: classIds },
+      dateMs: range
+        ? { $gte: range.startMs, $lte: range.endMs }
+        : { $gte: getTermToDateRange(await getCalendar(hodId), Date.now()).startMs },
+    };
+    if (status) filter.status = status;
+
+    const sessions = await AttendanceSession.find(filter).sort({ dateMs: 1, slotNumber: 1 }).lean();
+
+    return successResponse(res, {
+      count: sessions.length,
+      sessions: sessions.map(formatSession),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== FLAGGED CHECK-INS (PROFESSOR REVIEW) ==========
+// Check-ins outside the geofence (or without a usable position) or from an
+// unrecognised / shared device, in the professor's classes
+exports.getFlaggedCheckins = async (req, res, next) => {
+  try {
+    const { classId, sessionId } = req.query;
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      return errorResponse(res, 'status must be pending, approved, rejected or all', 400);
+    }
+
+    const classFilter = { professors: req.professor._id };
+    if (classId) {
+      if (!mongoose.Types.ObjectId.isValid(classId)) return errorResponse(res, 'Invalid classId', 400);
+      classFilter._id = classId;
+    }
+    const classes = await Class.find(classFilter).select('className division').lean();
+    const classById = new Map(classes.map((c) => [String(c._id), c]));
+
+    const match = { classId: { $in: classes.map((c) => c._id) }, 'checkin.flagged': true };
+    if (status !== 'all') match['checkin.review.status'] = status;
+    if (sessionId) {
+      if (!mongoose.Types.ObjectId.isValid(sessionId)) return errorResponse(res, 'Invalid sessionId', 400);
+      match['checkin.sessionId'] = sessionId;
+    }
+
+    const rows = await Attendance.find(match)
+      .populate('studentId', 'enrollmentNumber name')
+      .sort({ dateMs: -1, slotNumber: 1 })
+      .lean();
+
+    return successResponse(res, {
+      count: rows.length,
+      checkins: rows.map((r) => {
+        const cls = classById.get(String(r.classId));
+        return {
+          recordId: String(r._id),
+          student: r.studentId
+            ? { id: String(r.studentId._id), enrollmentNumber: r.studentId.enrollmentNumber, name: r.studentId.name }
+            : null,
+          class: { id: String(r.classId), className: cls?.className, division: cls?.division },
+          date: new Date(r.dateMs).toISOString(),
+          slotNumber: r.slotNumber,
+          status: resolveStatus(r),
+          checkin: r.checkin,
         };
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Approve (stays present) or reject (marked absent) a flagged check-in
+exports.reviewCheckin = async (req, res, next) => {
+  try {
+    const { recordId } = req.params;
+    const { decision, note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(recordId)) {
+      return errorResponse(res, 'Invalid recordId', 400);
+    }
+    if (!['approve', 'reject'].includes(decision)) {
+      return errorResponse(res, 'decision must be approve or reject', 400);
+    }
+
+    const result = await reviewFlaggedCheckin({
+      recordId,
+      professorId: req.user.id,
+      hodId: req.user.hodId,
+      decision,
+      note: note ? String(note).trim() : '',
+    });
+    if (!result.ok) {
+      return errorResponse(res, result.msg, result.code, result.details);
+    }
+
+    return successResponse(res, {
+      message: decision === 'reject' ? 'Check-in rejected; student marked absent' : 'Check-in approved',
+      recordId: String(result.record._id),
+      status: resolveStatus(result.record),
+      review: result.record.checkin.review,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== EXCEL IMPORT (OFFLINE-MARKED SESSIONS) ==========
+// multipart: file (register sheet), classId, subjectId?, override?, reason?, overwrite?
+exports.importAttendance = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return errorResponse(res, "Please upload an Excel file", 400);
+    }
+
+    // Parsing also removes the temporary upload
+    const { sessions, rows, error } = parseAttendanceRegister(req.file.path);
+
+    const { classId, subjectId } = req.body;
+    const professorId = req.user.id;
+    const asFlag = (value) => value === true || value === "true";
+
+    if (!classId || !mongoose.Types.ObjectId.isValid(classId)) {
+      return errorResponse(res, "A valid classId is required", 400);
+    }
+
+    // 🔑 Verify access
+    const access = await verifyProfessorAccessToClass(professorId, req.user.hodId, classId);
+    if (!access.ok) {
+      return errorResponse(res, access.msg, access.code);
+    }
+    const cls = access.class;
+
+    if (error) return errorResponse(res, error, 400);
+    if (sessions.length === 0) {
+      return errorResponse(res, 'No session columns found. Use headers like "2025-01-15 S1"', 400);
+    }
+    if (rows.length === 0) {
+      return errorResponse(res, "No student rows found in the Excel file", 400);
+    }
+
+    const accepted = [];
+    const skipped = [];
+    const conflicting = [];
+    const entryOf = (row, session, value) => ({
+      row: row.rowNumber,
+      column: session.column,
+      enrollmentNumber: row.enrollmentNumber,
+      date: toDateKey(session.dateMs),
+      slotNumber: session.slotNumber,
+      value,
+    });
+    const skipRow = (row, reason) => sessions.forEach((session, i) => {
+      if (row.values[i]) skipped.push({ ...entryOf(row, session, row.values[i]), reason });
+    });
+
+    // 🎓 Enrollment numbers → students of this class
+    const students = await Student.find({
+      createdBy: cls.createdBy,
+      enrollmentNumber: { $in: rows.map((r) => r.enrollmentNumber) },
+    })
+      .select("_id enrollmentNumber classIds")
+      .lean();
+    const studentByEnrollment = new Map(students.map((s) => [s.enrollmentNumber, s]));
+    const classStudentIds = new Set((cls.students || []).map(String));
+
+    const seenRows = new Map();
+    const studentRows = [];
+    rows.forEach((row) => {
+      const student = studentByEnrollment.get(row.enrollmentNumber);
+      if (!student) return skipRow(row, "Unknown enrollment number");
+
+      const enrolled = classStudentIds.has(String(student._id)) ||
+        (student.classIds || []).some((id) => String(id) === String(cls._id));
+      if (!enrolled) return skipRow(row, "Student is not in this class");
+
+      if (seenRows.has(row.enrollmentNumber)) {
+        return skipRow(row, `Duplicate of row ${seenRows.get(row.enrollmentNumber)}`);
+      }
+      seenRows.set(row.enrollmentNumber, row.rowNumber);
+      studentRows.push({ row, student });
+    });
 
-        const chunkArray = (arr, size) =>
-          arr.reduce((acc, _, i) => (i % size ? acc : [...acc, arr.slice(i, i + size)]), []);
-        const batches = chunkArray(tokens, 500);
-
-        for (const [batchIndex, batch] of batches.entries()) {
-          try {
-            let response;
-            if (typeof messaging.sendEachForMulticast === "function") {
-              response = await messaging.sendEachForMulticast({ tokens: batch, notification });
-            } else if (typeof messaging.sendMulticast === "function") {
-              response = await messaging.sendMulticast({ tokens: batch, notification });
-            } else {
-              throw new Error("No supported multicast method available on messaging instance");
-            }
-
-            console.log(
-              `[attendance] Batch ${batchIndex + 1}/${batches.length}: success=${response.successCount}, failure=${response.failureCount}`
-            );
-
-            const invalidTokens = [];
-            if (Array.isArray(response.responses)) {
-              response.responses.forEach((resp, idx) => {
-                if (!resp.success) {
-                  const err = resp.error;
-                  if (
-                    err?.code === "messaging/invalid-argument" ||
-                    err?.code === "messaging/invalid-registration-token" ||
-                    err?.code === "messaging/registration-token-not-registered"
-                  ) {
-                    invalidTokens.push(batch[idx]);
-                  }
-                }
-              });
-            }
-
-            if (invalidTokens.length > 0) {
-              await Student.updateMany(
-                { fcmTokens: { $in: invalidTokens } },
-                { $pull: { fcmTokens: { $in: invalidTokens } } }
-              );
-              console.warn(`[attendance] Removed ${invalidTokens.length} invalid tokens from DB`);
-            }
-          } catch (batchErr) {
-            console.error(`[attendance] Error sending batch ${batchIndex + 1}:`, batchErr);
-          }
+    // 📚 Subject in the column header (code or name), else subjectId / timetable
+    const subjects = await Subject.find({ classId: cls._id }).select("name code").lean();
+    const findSubject = (label) => subjects.find((sub) =>
+      [sub.code, sub.name].some((v) => v && v.toLowerCase() === label.toLowerCase())
+    );
+
+    const importedStudentIds = new Set();
+    let importedSessions = 0;
+
+    for (const [i, session] of sessions.entries()) {
+      const entries = [];
+      studentRows.forEach(({ row, student }) => {
+        const value = row.values[i];
+        if (!value) return; // blank cell → not marked
+        const entry = entryOf(row, session, value);
+        const status = parseStatusCode(value);
+        if (!status) {
+          skipped.push({ ...entry, reason: `Unknown status. Use one of: ${ATTENDANCE_STATUSES.join(", ")}` });
+          return;
         }
+        entries.push({ entry: { ...entry, status }, studentId: String(student._id) });
+      });
+      if (entries.length === 0) continue;
+
+      let sessionSubjectId = subjectId;
+      if (session.subject) {
+        const subject = findSubject(session.subject);
+        if (!subject) {
+          entries.forEach(({ entry }) => skipped.push({ ...entry, reason: `Unknown subject "${session.subject}"` }));
+          continue;
+        }
+        sessionSubjectId = subject._id;
+      }
+
+      const result = await markSlotAttendance({
+        professorId,
+        classId: cls._id,
+        dateMs: session.dateMs,
+        slotNumber: session.slotNumber,
+        subjectId: sessionSubjectId,
+        records: entries.map(({ entry, studentId }) => ({ studentId, status: entry.status })),
+        override: asFlag(req.body.override),
+        reason: req.body.reason,
+        cls,
+        keepExisting: !asFlag(req.body.overwrite),
+        notify: false,
+      });
+
+      // Calendar, timetable, lock and correction-window refusals apply to the whole session
+      if (!result.ok) {
+        entries.forEach(({ entry }) => conflicting.push({ ...entry, reason: result.msg }));
+        continue;
       }
-    } catch (notifyErr) {
-      console.error("FCM Notification error (outer):", notifyErr);
+
+      const conflictByStudent = new Map(result.conflicts.map((c) => [String(c.studentId), c]));
+      entries.forEach(({ entry, studentId }) => {
+        const conflict = conflictByStudent.get(studentId);
+        if (conflict) {
+          conflicting.push({
+            ...entry,
+            existingStatus: conflict.existingStatus,
+            reason: `Already marked as ${conflict.existingStatus}. Send overwrite: true to replace it`,
+          });
+          return;
+        }
+        const action = result.results.get(studentId);
+        if (action !== "unchanged") importedStudentIds.add(studentId);
+        accepted.push({ ...entry, action });
+      });
+      importedSessions++;
+    }
+
+    // =============== 🔔 Notification Part ===============
+    if (importedStudentIds.size > 0) {
+      await sendPushToStudents([...importedStudentIds], {
+        title: "Attendance Updated",
+        body: `Attendance for ${cls.className || "Class"}${cls.division ? ` (${cls.division})` : ""} has been imported. Check your attendance for the latest records.`,
+      });
     }
 
-    // ✅ Final response
     return successResponse(res, {
-      message: "Attendance processed & notifications triggered",
-      savedCount: dedupedRecords.length,
-      skippedCount: skippedStudentIds.length,
-      skippedStudentIds,
+      message: `Imported ${accepted.length} entries across ${importedSessions} sessions`,
+      sessionsCount: sessions.length,
+      acceptedCount: accepted.length,
+      skippedCount: skipped.length,
+      conflictingCount: conflicting.length,
+      accepted,
+      skipped,
+      conflicting,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== DELTA SYNC (OFFLINE CLIENTS) ==========
+const CHANGES_PAGE_SIZE = 500;
+const MAX_CHANGES_PAGE_SIZE = 1000;
+
+/**
+ * ?since= as epoch ms or an ISO date
+ * @returns {Date|null}
+ */
+function parseSince(since) {
+  if (since == null || since === '') return null;
+  const ms = /^\d+$/.test(String(since)) ? Number(since) : Date.parse(since);
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+// Attendance rows and sessions of the caller's classes changed since a time, as one
+// stream ordered by updatedAt: ?since=<ms|ISO> starts a sync; while hasMore, ask
+// again with ?cursor=<nextCursor>. Store the first page's serverTime as the next
+// sync's since (changes are upserted by id, so what arrives twice is harmless).
+// Deletions are not synced: rows and sessions are only deleted together with the
+// HOD's account. A cancelled session arrives as a change with status 'cancelled'.
+exports.getChanges = async (req, res, next) => {
+  try {
+    const { classId, cursor } = req.query;
+    const serverTime = new Date();
+
+    const limit = req.query.limit ? Number(req.query.limit) : CHANGES_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHANGES_PAGE_SIZE) {
+      return errorResponse(res, `limit must be between 1 and ${MAX_CHANGES_PAGE_SIZE}`, 400);
+    }
+
+    // cursor = "<updatedAt ms>_<last id>" of the previous page
+    let rowFilter;
+    let since = null;
+    if (cursor) {
+      const [msText, lastId] = String(cursor).split('_');
+      const after = parseSince(msText);
+      if (!after || !mongoose.Types.ObjectId.isValid(lastId)) {
+        return errorResponse(res, 'Invalid cursor', 400);
+      }
+      rowFilter = { $or: [{ updatedAt: { $gt: after } }, { updatedAt: after, _id: { $gt: lastId } }] };
+    } else {
+      since = parseSince(req.query.since);
+      if (!since) return errorResponse(res, 'since is required (epoch ms or ISO date)', 400);
+      rowFilter = { updatedAt: { $gte: since } };
+    }
+
+    // HODs sync their classes, professors the classes they are assigned to (archived ones included)
+    const classFilter = req.hod ? { createdBy: req.hod._id } : { professors: req.professor._id };
+    if (classId) {
+      if (!mongoose.Types.ObjectId.isValid(classId)) {
+        return errorResponse(res, 'Invalid classId', 400);
+      }
+      classFilter._id = classId;
+    }
+    const classIds = await Class.distinct('_id', classFilter);
+    if (classId && classIds.length === 0) return errorResponse(res, 'Class not found', 404);
+
+    const changeFilter = { classId: { $in: classIds }, ...rowFilter };
+    const [rows, sessions] = await Promise.all([
+      Attendance.find(changeFilter)
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(limit + 1)
+        .select('studentId classId subjectId dateMs slotNumber status isPresent leaveId markedBy updatedAt')
+        .lean(),
+      AttendanceSession.find(changeFilter).sort({ updatedAt: 1, _id: 1 }).limit(limit + 1).lean(),
+    ]);
+
+    // 🔀 Merge both by (updatedAt, _id), the order the cursor resumes from
+    const changes = [
+      ...rows.map((doc) => ({ kind: 'record', doc })),
+      ...sessions.map((doc) => ({ kind: 'session', doc })),
+    ].sort((a, b) =>
+      new Date(a.doc.updatedAt) - new Date(b.doc.updatedAt) ||
+      String(a.doc._id).localeCompare(String(b.doc._id))
+    );
+    const hasMore = changes.length > limit;
+    const page = changes.slice(0, limit);
+    const last = page[page.length - 1]?.doc;
+    const pageOf = (kind) => page.filter((c) => c.kind === kind).map((c) => c.doc);
+
+    return successResponse(res, {
+      serverTime: serverTime.toISOString(),
+      hasMore,
+      nextCursor: hasMore ? `${new Date(last.updatedAt).getTime()}_${last._id}` : null,
+      records: pageOf('record').map((r) => ({
+        id: String(r._id),
+        studentId: String(r.studentId),
+        classId: String(r.classId),
+        subjectId: r.subjectId ? String(r.subjectId) : null,
+        dateMs: r.dateMs,
+        slotNumber: r.slotNumber,
+        status: resolveStatus(r),
+        isPresent: r.isPresent,
+        leaveId: r.leaveId ? String(r.leaveId) : null,
+        markedBy: r.markedBy ? String(r.markedBy) : null,
+        updatedAt: r.updatedAt,
+      })),
+      sessions: pageOf('session').map((s) => ({ ...formatSession(s), updatedAt: s.updatedAt })),
     });
   } catch (err) {
     next(err);
@@ -212,16 +973,30 @@ exports.getAttendanceByDate = async (req, res, next) => {
 
     if (!classId) return errorResponse(res, 'classId is required', 400);
 
-    const normalizedDateMs = resolveDateMs({ dateMs, date });
-    if (!normalizedDateMs) return errorResponse(res, 'Provide dateMs or date (YYYY-MM-DD)', 400);
+    // A single date, or a ?from=&to= range
+    const { range, error } = resolveDateRange(req.query);
+    if (error) return errorResponse(res, error, 400);
 
-    const filter = { classId, dateMs: normalizedDateMs };
+    const normalizedDateMs = range ? null : resolveDateMs({ dateMs, date });
+    if (!range && !normalizedDateMs) {
+      return errorResponse(res, 'Provide dateMs or date (YYYY-MM-DD), or from/to', 400);
+    }
+
+    const filter = {
+      classId,
+      dateMs: range ? { $gte: range.startMs, $lte: range.endMs } : normalizedDateMs,
+    };
     if (slotNumber != null) filter.slotNumber = Number(slotNumber); // ✅ allow 0
 
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
     const records = await Attendance.find(filter)
       .populate('studentId', 'enrollmentNumber name')
       .populate('classId', 'className division') // ✅ optional helpful context
       .populate('markedBy', 'name username') // ✅ prefer name, fallback username
+      .populate('subjectId', 'name code')
       .lean();
 
     // ✅ Strip Mongo internals & flatten for frontend
@@ -229,7 +1004,10 @@ exports.getAttendanceByDate = async (req, res, next) => {
       id: String(r._id),
       date: new Date(r.dateMs).toISOString(),
       slotNumber: r.slotNumber,
+      subjectId: r.subjectId?._id ? String(r.subjectId._id) : null,
+      subjectName: r.subjectId?.name || '',
       isPresent: !!r.isPresent,
+      status: resolveStatus(r),
       studentName: r.studentId?.name || '',
       enrollmentNumber: r.studentId?.enrollmentNumber || '',
       className: r.classId?.className || '',
@@ -239,7 +1017,7 @@ exports.getAttendanceByDate = async (req, res, next) => {
       updatedAt: r.updatedAt ? new Date(r.updatedAt).toISOString() : undefined,
     }));
 
-    return successResponse(res, { records: cleaned });
+    return successResponse(res, { records: cleaned, statusCounts: countStatuses(records) });
   } catch (err) {
     next(err);
   }
@@ -254,20 +1032,34 @@ exports.getClassAttendance = async (req, res, next) => {
     if (!classId) return errorResponse(res, 'classId is required', 400);
 
     const filter = { classId };
-    if (dateMs != null) filter.dateMs = Number(dateMs); // ✅ allow 0
+    if (dateMs != null) {
+      filter.dateMs = Number(dateMs); // ✅ allow 0
+    } else {
+      const { range, error } = resolveDateRange(req.query);
+      if (error) return errorResponse(res, error, 400);
+      if (range) filter.dateMs = { $gte: range.startMs, $lte: range.endMs };
+    }
     if (slotNumber != null) filter.slotNumber = Number(slotNumber);
 
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
     const records = await Attendance.find(filter)
       .populate('studentId', 'enrollmentNumber name')
       .populate('classId', 'className division')
       .populate('markedBy', 'name username')
+      .populate('subjectId', 'name code')
       .lean();
 
     const cleaned = records.map((r) => ({
       id: String(r._id),
       date: new Date(r.dateMs).toISOString(),
       slotNumber: r.slotNumber,
+      subjectId: r.subjectId?._id ? String(r.subjectId._id) : null,
+      subjectName: r.subjectId?.name || '',
       isPresent: !!r.isPresent,
+      status: resolveStatus(r),
       studentName: r.studentId?.name || '',
       enrollmentNumber: r.studentId?.enrollmentNumber || '',
       className: r.classId?.className || '',
@@ -277,7 +1069,7 @@ exports.getClassAttendance = async (req, res, next) => {
       updatedAt: r.updatedAt ? new Date(r.updatedAt).toISOString() : undefined,
     }));
 
-    return successResponse(res, { records: cleaned });
+    return successResponse(res, { records: cleaned, statusCounts: countStatuses(records) });
   } catch (err) {
     next(err);
   }
@@ -287,33 +1079,35 @@ exports.getClassAttendance = async (req, res, next) => {
 exports.getStudentAttendance = async (req, res, next) => {
   try {
     const { studentId } = req.params;
-    let { month, year } = req.query;
+    const hodId = req.hod?._id || req.professor?.createdBy;
 
     if (!studentId) return errorResponse(res, 'studentId is required', 400);
 
     const filter = { studentId };
 
-    if (month && year) {
-      month = Number(month);
-      year = Number(year);
-      if (!Number.isInteger(month) || !Number.isInteger(year) || month < 1 || month > 12) {
-        return errorResponse(res, 'Invalid month/year', 400);
-      }
-      const start = new Date(year, month - 1, 1).getTime();
-      const end = new Date(year, month, 0, 23, 59, 59, 999).getTime();
-      filter.dateMs = { $gte: start, $lte: end };
+    // ?from=&to= (or the older ?month=&year=)
+    const { range, error } = resolveDateRange(req.query);
+    if (error) return errorResponse(res, error, 400);
+    if (range) filter.dateMs = { $gte: range.startMs, $lte: range.endMs };
+
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
     }
 
     const records = await Attendance.find(filter)
       .populate('classId', 'className division')
       .populate('markedBy', 'name username')
+      .populate('subjectId', 'name code')
       .lean();
 
     const cleaned = records.map((r) => ({
       id: String(r._id),
       date: new Date(r.dateMs).toISOString(),
       slotNumber: r.slotNumber,
+      subjectId: r.subjectId?._id ? String(r.subjectId._id) : null,
+      subjectName: r.subjectId?.name || '',
       isPresent: !!r.isPresent,
+      status: resolveStatus(r),
       className: r.classId?.className || '',
       division: r.classId?.division || '',
       markedBy: r.markedBy?.name || r.markedBy?.username || '',
@@ -321,124 +1115,179 @@ exports.getStudentAttendance = async (req, res, next) => {
       updatedAt: r.updatedAt ? new Date(r.updatedAt).toISOString() : undefined,
     }));
 
-    return successResponse(res, { records: cleaned });
+    const { subjects, statusCounts } = await summarizeStudentRecords(records, hodId);
+
+    return successResponse(res, { records: cleaned, subjects, statusCounts });
   } catch (err) {
     next(err);
   }
 };
 
-// ========== MONTHLY SUMMARY ==========
+// ========== CLASS SUMMARY (MONTH / RANGE / TERM-TO-DATE) ==========
 exports.getMonthlySummary = async (req, res, next) => {
   try {
     const { classId } = req.params;
-    let { month, year } = req.query;
 
-    if (!classId || !month || !year) {
-      return errorResponse(res, 'classId, month, and year are required', 400);
+    if (!classId || !mongoose.Types.ObjectId.isValid(classId)) {
+      return errorResponse(res, 'Invalid classId', 400);
     }
 
-    month = Number(month);
-    year = Number(year);
-    if (!Number.isInteger(month) || !Number.isInteger(year) || month < 1 || month > 12) {
-      return errorResponse(res, 'Invalid month/year', 400);
+    const groupBy = parseGroupBy(req.query.groupBy);
+    if (groupBy === false) {
+      return errorResponse(res, `groupBy must be one of: ${GROUP_BY_VALUES.join(', ')}`, 400);
     }
 
-    if (!mongoose.Types.ObjectId.isValid(classId)) {
-      return errorResponse(res, 'Invalid classId', 400);
+    const filter = {};
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
     }
 
-    const start = new Date(year, month - 1, 1).getTime();
-    const end = new Date(year, month, 0, 23, 59, 59, 999).getTime();
-    const classObjId = new mongoose.Types.ObjectId(classId);
+    const cls = await findClassForUser(classId, req.user);
+    if (!cls) return errorResponse(res, 'Class not found', 404);
 
-    const records = await Attendance.aggregate([
-      {
-        $match: {
-          classId: classObjId,
-          dateMs: { $gte: start, $lte: end },
-        },
-      },
-      {
-        $group: {
-          _id: '$studentId',
-          totalClasses: { $sum: 1 },
-          presents: { $sum: { $cond: ['$isPresent', 1, 0] } },
-        },
-      },
-      {
-        $lookup: {
-          from: 'students',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'student',
-        },
-      },
-      { $unwind: '$student' },
-      {
-        $project: {
-          studentId: '$_id',
-          enrollmentNumber: '$student.enrollmentNumber',
-          name: '$student.name',
-          totalClasses: 1,
-          presents: 1,
-          absents: { $subtract: ['$totalClasses', '$presents'] },
-          percentage: {
-            $cond: [
-              { $eq: ['$totalClasses', 0] },
-              0,
-              { $round: [{ $multiply: [{ $divide: ['$presents', '$totalClasses'] }, 100] }, 2] },
-            ],
-          },
-        },
-      },
-      { $sort: { enrollmentNumber: 1 } },
-    ]);
+    // ?month=&year=, ?from=&to=, or the current term so far
+    const { range, term, error } = await resolveReportRange(req.query, cls.createdBy);
+    if (error) return errorResponse(res, error, 400);
 
-    // ✅ Clean shape for frontend
-    const cleaned = records.map((r) => ({
-      enrollmentNumber: r.enrollmentNumber || '',
-      name: r.name || '',
-      totalClasses: r.totalClasses || 0,
-      presents: r.presents || 0,
-      absents: r.absents || 0,
-      percentage: r.percentage || 0,
-    }));
+    const { scheduledClasses, conductedClasses, rules, periods, summary } = await buildClassSummary(
+      cls._id,
+      range.startMs,
+      range.endMs,
+      { ...filter, groupBy }
+    );
+
+    const month = req.query.month && req.query.year ? Number(req.query.month) : undefined;
+    const year = month ? Number(req.query.year) : undefined;
+
+    return successResponse(res, {
+      month,
+      year,
+      from: new Date(range.startMs).toISOString(),
+      to: new Date(range.endMs).toISOString(),
+      term,
+      classId,
+      scheduledClasses,
+      conductedClasses,
+      countedStatuses: rules.counted,
+      excludedStatuses: rules.excluded,
+      groupBy: groupBy || undefined,
+      periods: groupBy ? periods : undefined,
+      summary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== STUDENT SUMMARY (RANGE / TERM-TO-DATE) ==========
+exports.getStudentSummary = async (req, res, next) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return errorResponse(res, 'Invalid studentId', 400);
+    }
+
+    // HODs only see their own students
+    const studentFilter = { _id: studentId };
+    if (req.hod) studentFilter.createdBy = req.hod._id;
+    const student = await Student.findOne(studentFilter).select('enrollmentNumber name semester classIds createdBy').lean();
+    if (!student) return errorResponse(res, 'Student not found', 404);
+
+    // Professors only see students of a class they are assigned to
+    if (req.professor && !(await Class.exists({ students: student._id, professors: req.professor._id }))) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    return sendStudentSummary(req, res, student);
+  } catch (err) {
+    next(err);
+  }
+};
 
-    return successResponse(res, { month, year, classId, summary: cleaned });
+exports.getMySummary = async (req, res, next) => {
+  try {
+    return sendStudentSummary(req, res, req.student);
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * Shared body of the student summary endpoints
+ */
+async function sendStudentSummary(req, res, student) {
+  const { classId } = req.query;
+
+  if (classId && !mongoose.Types.ObjectId.isValid(classId)) {
+    return errorResponse(res, 'Invalid classId', 400);
+  }
+
+  const groupBy = parseGroupBy(req.query.groupBy);
+  if (groupBy === false) {
+    return errorResponse(res, `groupBy must be one of: ${GROUP_BY_VALUES.join(', ')}`, 400);
+  }
+
+  const filter = {};
+  if (!applySubjectFilter(filter, req.query.subjectId)) {
+    return errorResponse(res, 'Invalid subjectId', 400);
+  }
+
+  const { range, term, error } = await resolveReportRange(req.query, student.createdBy);
+  if (error) return errorResponse(res, error, 400);
+
+  const { overall, classes } = await summarizeStudentClasses(student, range, {
+    classId,
+    subjectId: filter.subjectId,
+    groupBy,
+  });
+
+  return successResponse(res, {
+    student: {
+      id: String(student._id),
+      enrollmentNumber: student.enrollmentNumber,
+      name: student.name,
+      semester: student.semester,
+    },
+    from: new Date(range.startMs).toISOString(),
+    to: new Date(range.endMs).toISOString(),
+    term,
+    groupBy: groupBy || undefined,
+    overall,
+    classes,
+  });
+}
 
 exports.getStudentAttendanceForSelf = async (req, res, next) => {
   try {
     const studentId = req.student._id;
-    let { month, year } = req.query;
+    const hodId = req.student.createdBy;
 
     const filter = { studentId };
 
-    if (month && year) {
-      month = Number(month);
-      year = Number(year);
-      if (!Number.isInteger(month) || !Number.isInteger(year) || month < 1 || month > 12) {
-        return errorResponse(res, 'Invalid month/year', 400);
-      }
-      const start = new Date(year, month - 1, 1).getTime();
-      const end = new Date(year, month, 0, 23, 59, 59, 999).getTime();
-      filter.dateMs = { $gte: start, $lte: end };
+    // ?from=&to= (or the older ?month=&year=)
+    const { range, error } = resolveDateRange(req.query);
+    if (error) return errorResponse(res, error, 400);
+    if (range) filter.dateMs = { $gte: range.startMs, $lte: range.endMs };
+
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
     }
 
     const records = await Attendance.find(filter)
       .populate('classId', 'className division')
       .populate('markedBy', 'name username')
+      .populate('subjectId', 'name code')
       .lean();
 
     const cleaned = records.map((r) => ({
       id: String(r._id),
       date: new Date(r.dateMs).toISOString(),
       slotNumber: r.slotNumber,
+      subjectId: r.subjectId?._id ? String(r.subjectId._id) : null,
+      subjectName: r.subjectId?.name || '',
       isPresent: !!r.isPresent,
+      status: resolveStatus(r),
       className: r.classId?.className || '',
       division: r.classId?.division || '',
       markedBy: r.markedBy?.name || r.markedBy?.username || '',
@@ -446,7 +1295,9 @@ exports.getStudentAttendanceForSelf = async (req, res, next) => {
       updatedAt: r.updatedAt ? new Date(r.updatedAt).toISOString() : undefined,
     }));
 
-    return successResponse(res, { records: cleaned });
+    const { subjects, statusCounts } = await summarizeStudentRecords(records, hodId);
+
+    return successResponse(res, { records: cleaned, subjects, statusCounts });
   } catch (err) {
     next(err);
   }
@@ -455,7 +1306,7 @@ exports.getStudentAttendanceForSelf = async (req, res, next) => {
 exports.getStudentAttendanceForClass = async (req, res, next) => {
   try {
     const { classId, studentId } = req.params;
-    let { month, year } = req.query;
+    const hodId = req.hod?._id || req.professor?.createdBy;
 
     if (!mongoose.Types.ObjectId.isValid(classId) ||
         !mongoose.Types.ObjectId.isValid(studentId)) {
@@ -467,23 +1318,18 @@ exports.getStudentAttendanceForClass = async (req, res, next) => {
       studentId
     };
 
-    if (month && year) {
-      month = Number(month);
-      year = Number(year);
-
-      if (!Number.isInteger(month) || !Number.isInteger(year) ||
-          month < 1 || month > 12) {
-        return errorResponse(res, "Invalid month/year", 400);
-      }
-
-      const start = new Date(year, month - 1, 1).getTime();
-      const end = new Date(year, month, 0, 23, 59, 59, 999).getTime();
+    // ?from=&to= (or the older ?month=&year=)
+    const { range, error } = resolveDateRange(req.query);
+    if (error) return errorResponse(res, error, 400);
+    if (range) filter.dateMs = { $gte: range.startMs, $lte: range.endMs };
 
-      filter.dateMs = { $gte: start, $lte: end };
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, "Invalid subjectId", 400);
     }
 
     const records = await Attendance.find(filter)
       .populate("markedBy", "name username")
+      .populate("subjectId", "name code")
       .lean();
 
     const cleaned = records.map(r => ({
@@ -492,11 +1338,16 @@ exports.getStudentAttendanceForClass = async (req, res, next) => {
       studentId: String(r.studentId),
       date: new Date(r.dateMs).toISOString(),
       slotNumber: r.slotNumber,
+      subjectId: r.subjectId?._id ? String(r.subjectId._id) : null,
+      subjectName: r.subjectId?.name || "",
       isPresent: !!r.isPresent,
+      status: resolveStatus(r),
       markedBy: r.markedBy?.name || r.markedBy?.username || ""
     }));
 
-    return successResponse(res, { records: cleaned });
+    const { subjects, statusCounts } = await summarizeStudentRecords(records, hodId);
+
+    return successResponse(res, { records: cleaned, subjects, statusCounts });
 
   } catch (err) {
     next(err);
@@ -506,8 +1357,8 @@ exports.getStudentAttendanceForClass = async (req, res, next) => {
 exports.getMyAttendanceForClass = async (req, res, next) => {
   try {
     const studentId = req.student._id;
+    const hodId = req.student.createdBy;
     const { classId } = req.params;
-    let { month, year } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(classId)) {
       return errorResponse(res, "Invalid classId", 400);
@@ -518,27 +1369,18 @@ exports.getMyAttendanceForClass = async (req, res, next) => {
       classId
     };
 
-    if (month && year) {
-      month = Number(month);
-      year = Number(year);
-
-      if (
-        !Number.isInteger(month) ||
-        !Number.isInteger(year) ||
-        month < 1 ||
-        month > 12
-      ) {
-        return errorResponse(res, "Invalid month/year", 400);
-      }
-
-      const start = new Date(year, month - 1, 1).getTime();
-      const end = new Date(year, month, 0, 23, 59, 59, 999).getTime();
+    // ?from=&to= (or the older ?month=&year=)
+    const { range, error } = resolveDateRange(req.query);
+    if (error) return errorResponse(res, error, 400);
+    if (range) filter.dateMs = { $gte: range.startMs, $lte: range.endMs };
 
-      filter.dateMs = { $gte: start, $lte: end };
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, "Invalid subjectId", 400);
     }
 
     const records = await Attendance.find(filter)
       .populate("markedBy", "name username")
+      .populate("subjectId", "name code")
       .lean();
 
     const cleaned = records.map((r) => ({
@@ -546,12 +1388,339 @@ exports.getMyAttendanceForClass = async (req, res, next) => {
       classId: String(r.classId),
       date: new Date(r.dateMs).toISOString(),
       slotNumber: r.slotNumber,
+      subjectId: r.subjectId?._id ? String(r.subjectId._id) : null,
+      subjectName: r.subjectId?.name || "",
       isPresent: !!r.isPresent,
+      status: resolveStatus(r),
       markedBy: r.markedBy?.name || r.markedBy?.username || "",
     }));
 
-    return successResponse(res, { records: cleaned });
+    const { subjects, statusCounts } = await summarizeStudentRecords(records, hodId);
+
+    return successResponse(res, { records: cleaned, subjects, statusCounts });
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+// ========== REGISTER EXPORT (XLSX / CSV) ==========
+const EXPORT_CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+};
+
+exports.exportClassAttendance = async (req, res, next) => {
+  try {
+    const { classId } = req.params;
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+
+    if (!EXPORT_CONTENT_TYPES[format]) {
+      return errorResponse(res, 'format must be xlsx or csv', 400);
+    }
+
+    const filter = {};
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
+    const cls = await findClassForUser(classId, req.user);
+    if (!cls) return errorResponse(res, 'Class not found', 404);
+
+    const { range, error } = await resolveReportRange(req.query, cls.createdBy);
+    if (error) return errorResponse(res, error, 400);
+
+    const register = await buildClassRegister(cls, range.startMs, range.endMs, filter);
+
+    const from = toDateKey(range.startMs);
+    const to = toDateKey(range.endMs);
+    const file = generateRegisterFile(register, {
+      title: `Attendance Register - ${cls.className} (${cls.division})`,
+      subtitle: `${from} to ${to}`,
+    }, format);
+
+    const filename = `attendance_${cls.className}_${cls.division}_${from}_${to}.${format}`
+      .replace(/[^\w.-]+/g, '_');
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(file);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== PDF REPORTS ==========
+function sendPdf(res, doc, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]+/g, '_')}"`);
+  doc.pipe(res);
+}
+
+exports.getClassReportPdf = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
+    const cls = await findClassForUser(req.params.classId, req.user);
+    if (!cls) return errorResponse(res, 'Class not found', 404);
+
+    // Same range rules as getMonthlySummary
+    const { range, term, error } = await resolveReportRange(req.query, cls.createdBy);
+    if (error) return errorResponse(res, error, 400);
+
+    const [hod, result, register] = await Promise.all([
+      HOD.findById(cls.createdBy).select('collegeName').lean(),
+      buildClassSummary(cls._id, range.startMs, range.endMs, filter),
+      buildClassRegister(cls, range.startMs, range.endMs, filter),
+    ]);
+
+    const doc = generateClassReportPdf({
+      collegeName: hod?.collegeName || '',
+      className: cls.className,
+      division: cls.division,
+      from: range.startMs,
+      to: range.endMs,
+      term,
+      register,
+      summary: result.summary,
+      rules: result.rules,
+    });
+
+    return sendPdf(
+      res,
+      doc,
+      `attendance_${cls.className}_${cls.division}_${toDateKey(range.startMs)}_${toDateKey(range.endMs)}.pdf`
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getStudentStatementPdf = async (req, res, next) => {
+  try {
+    let student = req.student;
+
+    if (!student) {
+      const { studentId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return errorResponse(res, 'Invalid studentId', 400);
+      }
+      const studentFilter = { _id: studentId };
+      if (req.hod) studentFilter.createdBy = req.hod._id;
+      student = await Student.findOne(studentFilter).lean();
+      if (!student) return errorResponse(res, 'Student not found', 404);
+
+      // Professors only see students of a class they are assigned to
+      if (req.professor && !(await Class.exists({ students: student._id, professors: req.professor._id }))) {
+        return errorResponse(res, 'Student not found', 404);
+      }
+    }
+
+    // Same filters as getStudentAttendance
+    const filter = { studentId: student._id };
+    const { range, error } = resolveDateRange(req.query);
+    if (error) return errorResponse(res, error, 400);
+    if (range) filter.dateMs = { $gte: range.startMs, $lte: range.endMs };
+
+    if (!applySubjectFilter(filter, req.query.subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
+    const records = await Attendance.find(filter)
+      .populate('classId', 'className division')
+      .populate('subjectId', 'name code')
+      .sort({ dateMs: 1, slotNumber: 1 })
+      .lean();
+
+    const [hod, { subjects }] = await Promise.all([
+      HOD.findById(student.createdBy).select('collegeName').lean(),
+      summarizeStudentRecords(records, student.createdBy),
+    ]);
+
+    const doc = generateStudentStatementPdf({
+      collegeName: hod?.collegeName || '',
+      student,
+      from: range?.startMs,
+      to: range?.endMs,
+      subjects,
+      records: records.map((r) => ({
+        dateMs: r.dateMs,
+        slotNumber: r.slotNumber,
+        className: r.classId?.className || '',
+        division: r.classId?.division || '',
+        subjectName: r.subjectId?.name || '',
+        status: resolveStatus(r),
+      })),
+    });
+
+    return sendPdf(res, doc, `attendance_statement_${student.enrollmentNumber}.pdf`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== DEFAULTERS ==========
+exports.getDefaulters = async (req, res, next) => {
+  try {
+    const { classId, semester, threshold, from, to } = req.query;
+    const hodId = req.hod?._id || req.professor?.createdBy;
+
+    // HODs see their classes, professors the classes they are assigned to
+    const classFilter = req.hod ? { createdBy: req.hod._id } : { professors: req.professor._id };
+    if (classId) {
+      if (!mongoose.Types.ObjectId.isValid(classId)) {
+        return errorResponse(res, 'Invalid classId', 400);
+      }
+      classFilter._id = classId;
+    } else {
+      classFilter.archived = { $ne: true };
+    }
+
+    const semesterNum = semester != null && semester !== '' ? Number(semester) : null;
+    if (semesterNum !== null && !Number.isInteger(semesterNum)) {
+      return errorResponse(res, 'Invalid semester', 400);
+    }
+
+    const hod = hodId ? await HOD.findById(hodId).select('attendanceSettings').lean() : null;
+    const thresholdNum = threshold != null && threshold !== ''
+      ? Number(threshold)
+      : hod?.attendanceSettings?.defaulterThreshold ?? 75;
+    if (!Number.isFinite(thresholdNum) || thresholdNum < 0 || thresholdNum > 100) {
+      return errorResponse(res, 'threshold must be between 0 and 100', 400);
+    }
+
+    // Cumulative from `from` (default: start of the current term) to `to` (default: today)
+    const toMs = to ? resolveDateMs({ date: to }) : Date.now();
+    if (!toMs) return errorResponse(res, 'Invalid to date (YYYY-MM-DD)', 400);
+    const range = getTermToDateRange(await getCalendar(hodId), toMs);
+    const startMs = from ? resolveDateMs({ date: from }) : range.startMs;
+    if (!startMs) return errorResponse(res, 'Invalid from date (YYYY-MM-DD)', 400);
+    const endMs = endOfDay(toMs);
+    if (startMs > endMs) return errorResponse(res, 'from must be on or before to', 400);
+
+    const classes = await Class.find(classFilter).select('className division').sort({ className: 1, division: 1 }).lean();
+    if (classId && classes.length === 0) return errorResponse(res, 'Class not found', 404);
+
+    const report = await findDefaulters(classes, startMs, endMs, {
+      threshold: thresholdNum,
+      semester: semesterNum,
+    });
+
+    return successResponse(res, {
+      from: new Date(startMs).toISOString(),
+      to: new Date(endMs).toISOString(),
+      term: from ? null : range.termName,
+      threshold: thresholdNum,
+      semester: semesterNum,
+      totalDefaulters: report.reduce((n, c) => n + c.defaulters.length, 0),
+      classes: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== ATTENDANCE HISTORY (AUDIT TRAIL) ==========
+exports.getAttendanceHistory = async (req, res, next) => {
+  try {
+    const { recordId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(recordId)) {
+      return errorResponse(res, 'Invalid recordId', 400);
+    }
+
+    const record = await Attendance.findById(recordId)
+      .populate('studentId', 'enrollmentNumber name')
+      .populate('classId', 'className division createdBy')
+      .lean();
+
+    // HODs only see records of their own classes
+    if (!record || String(record.classId?.createdBy) !== String(req.hod._id)) {
+      return errorResponse(res, 'Attendance record not found', 404);
+    }
+
+    const history = await AttendanceAudit.find({ attendanceId: record._id })
+      .sort({ createdAt: 1 })
+      .populate('changedBy', 'name username enrollmentNumber')
+      .lean();
+
+    const cleaned = history.map((h) => ({
+      id: String(h._id),
+      action: h.action,
+      oldValue: h.oldValue,
+      newValue: h.newValue,
+      changedBy: {
+        id: h.changedBy?._id ? String(h.changedBy._id) : String(h.changedBy || ''),
+        role: h.changedByModel,
+        name: h.changedBy?.name || h.changedBy?.username || '',
+      },
+      reason: h.reason || '',
+      changedAt: new Date(h.createdAt).toISOString(),
+    }));
+
+    return successResponse(res, {
+      record: {
+        id: String(record._id),
+        date: new Date(record.dateMs).toISOString(),
+        slotNumber: record.slotNumber,
+        isPresent: !!record.isPresent,
+        status: resolveStatus(record),
+        studentName: record.studentId?.name || '',
+        enrollmentNumber: record.studentId?.enrollmentNumber || '',
+        className: record.classId?.className || '',
+        division: record.classId?.division || '',
+      },
+      history: cleaned,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ========== UNLOCK (HOD) ==========
+exports.unlockAttendance = async (req, res, next) => {
+  try {
+    const { classId, slotNumber, dateMs, date, reason } = req.body;
+    const hours = req.body.hours == null ? 24 : Number(req.body.hours);
+
+    if (!classId || !mongoose.Types.ObjectId.isValid(classId)) {
+      return errorResponse(res, 'Valid classId is required', 400);
+    }
+
+    const normalizedDateMs = resolveDateMs({ dateMs, date });
+    if (!normalizedDateMs) {
+      return errorResponse(res, 'Provide dateMs or date (YYYY-MM-DD)', 400);
+    }
+
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 7) {
+      return errorResponse(res, 'hours must be between 0 and 168', 400);
+    }
+
+    const cls = await Class.findOne({ _id: classId, createdBy: req.hod._id }).select('_id').lean();
+    if (!cls) return errorResponse(res, 'Class not found', 404);
+
+    // Omitting slotNumber unlocks every slot of that date
+    const unlock = await AttendanceUnlock.create({
+      classId: cls._id,
+      dateMs: normalizedDateMs,
+      slotNumber: slotNumber == null ? null : Number(slotNumber),
+      unlockedBy: req.hod._id,
+      reason: reason || '',
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    });
+
+    return successResponse(res, {
+      message: 'Attendance unlocked',
+      unlock: {
+        id: String(unlock._id),
+        classId: String(unlock.classId),
+        date: new Date(unlock.dateMs).toISOString(),
+        slotNumber: unlock.slotNumber,
+        expiresAt: unlock.expiresAt.toISOString(),
+      },
+    }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
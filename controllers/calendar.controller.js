@@ -0,0 +1,179 @@
+// controllers/calendar.controller.js
+const mongoose = require('mongoose');
+const AcademicCalendar = require('../models/academicCalendar.model');
+const { getNonTeachingReason } = require('../utils/calendar.utils');
+const { resolveDateMs, parseDayRange } = require('../utils/date.utils');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+const validationMessage = (error) =>
+  Object.values(error.errors).map(e => e.message).join(', ');
+
+/**
+ * @desc    Get the HOD's academic calendar
+ * @route   GET /api/hods/calendar
+ * @access  Private (HOD only)
+ */
+const getCalendar = async (req, res) => {
+  try {
+    const calendar = await AcademicCalendar.findOne({ hodId: req.hod._id });
+
+    return successResponse(res, {
+      calendar: calendar || { hodId: req.hod._id, terms: [], weeklyOffDays: [0], nonTeachingDays: [] }
+    });
+  } catch (error) {
+    console.error('[getCalendar]', error);
+    return errorResponse(res, 'Server error while fetching calendar', 500);
+  }
+};
+
+/**
+ * @desc    Replace terms and/or weekly off days
+ * @route   PUT /api/hods/calendar
+ * @access  Private (HOD only)
+ * @body    { terms?: [{ name, startDate, endDate }], weeklyOffDays?: [0..6] }
+ */
+const updateCalendar = async (req, res) => {
+  try {
+    const { terms, weeklyOffDays } = req.body;
+
+    if (terms === undefined && weeklyOffDays === undefined) {
+      return errorResponse(res, 'Provide terms and/or weeklyOffDays', 400);
+    }
+
+    const update = {};
+
+    if (terms !== undefined) {
+      if (!Array.isArray(terms)) return errorResponse(res, 'terms must be an array', 400);
+
+      const parsedTerms = [];
+      for (const term of terms) {
+        const range = parseDayRange(term || {});
+        if (!term?.name || !range) {
+          return errorResponse(res, 'Each term needs a name, start and end date', 400);
+        }
+        parsedTerms.push({ name: term.name, ...range });
+      }
+      update.terms = parsedTerms;
+    }
+
+    if (weeklyOffDays !== undefined) {
+      const days = Array.isArray(weeklyOffDays) ? weeklyOffDays.map(Number) : null;
+      if (!days || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        return errorResponse(res, 'weeklyOffDays must be an array of weekdays 0-6', 400);
+      }
+      update.weeklyOffDays = Array.from(new Set(days));
+    }
+
+    const calendar = await AcademicCalendar.findOneAndUpdate(
+      { hodId: req.hod._id },
+      { $set: update, $setOnInsert: { hodId: req.hod._id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return successResponse(res, {
+      message: 'Academic calendar updated successfully',
+      calendar
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, validationMessage(error), 400);
+    }
+    console.error('[updateCalendar]', error);
+    return errorResponse(res, 'Server error while updating calendar', 500);
+  }
+};
+
+/**
+ * @desc    Add a holiday / exam day / break
+ * @route   POST /api/hods/calendar/non-teaching-days
+ * @access  Private (HOD only)
+ * @body    { name, type?, date } or { name, type?, startDate, endDate }
+ */
+const addNonTeachingDay = async (req, res) => {
+  try {
+    const { name, type } = req.body;
+    const range = parseDayRange(req.body);
+
+    if (!name || !range) {
+      return errorResponse(res, 'name and a date (or startDate/endDate) are required', 400);
+    }
+
+    let calendar = await AcademicCalendar.findOne({ hodId: req.hod._id });
+    if (!calendar) calendar = new AcademicCalendar({ hodId: req.hod._id });
+
+    calendar.nonTeachingDays.push({ name, type: type || 'holiday', ...range });
+    await calendar.save();
+
+    return successResponse(res, {
+      message: 'Non-teaching day added successfully',
+      calendar
+    }, 201);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, validationMessage(error), 400);
+    }
+    console.error('[addNonTeachingDay]', error);
+    return errorResponse(res, 'Server error while adding non-teaching day', 500);
+  }
+};
+
+/**
+ * @desc    Remove a holiday / exam day / break
+ * @route   DELETE /api/hods/calendar/non-teaching-days/:dayId
+ * @access  Private (HOD only)
+ */
+const removeNonTeachingDay = async (req, res) => {
+  try {
+    const { dayId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(dayId)) {
+      return errorResponse(res, 'Invalid dayId', 400);
+    }
+
+    const calendar = await AcademicCalendar.findOneAndUpdate(
+      { hodId: req.hod._id, 'nonTeachingDays._id': dayId },
+      { $pull: { nonTeachingDays: { _id: dayId } } },
+      { new: true }
+    );
+    if (!calendar) return errorResponse(res, 'Non-teaching day not found', 404);
+
+    return successResponse(res, {
+      message: 'Non-teaching day removed successfully',
+      calendar
+    });
+  } catch (error) {
+    console.error('[removeNonTeachingDay]', error);
+    return errorResponse(res, 'Server error while removing non-teaching day', 500);
+  }
+};
+
+/**
+ * @desc    Check whether a date is a teaching day
+ * @route   GET /api/hods/calendar/check?date=YYYY-MM-DD
+ * @access  Private (HOD only)
+ */
+const checkDate = async (req, res) => {
+  try {
+    const dateMs = resolveDateMs(req.query);
+    if (!dateMs) return errorResponse(res, 'Provide dateMs or date (YYYY-MM-DD)', 400);
+
+    const calendar = await AcademicCalendar.findOne({ hodId: req.hod._id }).lean();
+    const reason = getNonTeachingReason(calendar, dateMs);
+
+    return successResponse(res, {
+      dateMs,
+      teachingDay: !reason,
+      reason
+    });
+  } catch (error) {
+    console.error('[checkDate]', error);
+    return errorResponse(res, 'Server error while checking date', 500);
+  }
+};
+
+module.exports = {
+  getCalendar,
+  updateCalendar,
+  addNonTeachingDay,
+  removeNonTeachingDay,
+  checkDate
+};
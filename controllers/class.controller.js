@@ -2,98 +2,94 @@ const Class = require('../models/class.model');
 const Student = require('../models/student.model');
 const Professor = require('../models/professor.model');
 const Counter = require('../models/counter.model'); // <-- ADD THIS LINE
+const Timetable = require('../models/timetable.model');
+const Subject = require('../models/subject.model');
 const { successResponse, errorResponse } = require('../utils/response.utils');
+const { UPLOAD_COLUMNS, mapHeaders, missingColumns } = require('../utils/excel.utils');
+const { isDryRun, readBulkRows, createPreview } = require('../utils/bulkUpload.utils');
+const { planClassUpload } = require('../utils/classImport.utils');
+const { enqueueImportJob } = require('../utils/importJob.utils');
 const mongoose = require('mongoose');
 const XLSX = require('xlsx');
 const fs = require('fs');
-const path = require('path');
 
 /**
  * Parse Excel file for classes
  * @param {String} filePath
- * @returns {Array} Array of { className, division }
+ * @returns {Object} { rows: [{ row, className, division }], headers, rejected: [{ row, values, reasons }], error }
  */
 const parseClassExcel = async (filePath) => {
-  if (!fs.existsSync(filePath)) return [];
+  if (!fs.existsSync(filePath)) return { rows: [], headers: {}, rejected: [], error: 'Uploaded file not found' };
   const workbook = XLSX.readFile(filePath);
   const sheetName = workbook.SheetNames[0];
   const worksheet = workbook.Sheets[sheetName];
   const raw = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
 
-  // Normalize headers
-  const normalizeHeader = h => String(h || '').trim().toLowerCase().replace(/[\s_]+/g, '');
-  const headerMap = {};
-  Object.keys(raw[0] || {}).forEach(k => {
-    headerMap[normalizeHeader(k)] = k;
-  });
+  // Remove temp file
+  fs.unlink(filePath, () => { });
 
-  const classNameHeader = headerMap['classname'] || headerMap['class'] || headerMap['name'];
-  const divisionHeader = headerMap['division'] || headerMap['section'] || headerMap['div'];
+  // Match headers to the accepted column names
+  const headers = mapHeaders(Object.keys(raw[0] || {}), UPLOAD_COLUMNS.classes);
+  const { className: classNameHeader, division: divisionHeader } = headers;
 
-  if (!classNameHeader || !divisionHeader) return [];
+  if (raw.length === 0) return { rows: [], headers, rejected: [], error: 'The sheet has no data rows' };
+  const missing = missingColumns(headers, UPLOAD_COLUMNS.classes);
+  if (missing.length > 0) {
+    return { rows: [], headers, rejected: [], error: `Missing required column(s): ${missing.join(', ')}` };
+  }
 
-  const classes = raw.map(row => ({
-    className: String(row[classNameHeader] || '').trim(),
-    division: String(row[divisionHeader] || '').trim()
-  })).filter(c => c.className && c.division);
+  const rows = [];
+  const rejected = [];
+  raw.forEach(r => {
+    const row = r.__rowNum__ + 1; // sheet row number
+    const className = String(r[classNameHeader] || '').trim();
+    const division = String(r[divisionHeader] || '').trim();
 
-  // Remove temp file
-  fs.unlink(filePath, () => { });
+    const reasons = [];
+    if (!className) reasons.push('missing class name');
+    if (!division) reasons.push('missing division');
+
+    if (reasons.length > 0) {
+      rejected.push({ row, values: { className, division }, reasons });
+      return;
+    }
+    rows.push({ row, className, division });
+  });
 
-  return classes;
+  return { rows, headers, rejected, error: null };
 };
 
+/**
+ * @desc    Bulk upload classes from Excel
+ * @route   POST /api/classes/bulk-upload  (?dryRun=true to preview; body.token commits a preview)
+ *          The upload itself runs as an import job (poll GET /api/jobs/:id)
+ * @access  Private (HOD only)
+ */
 const bulkUploadClasses = async (req, res) => {
   try {
-    if (!req.file) return errorResponse(res, 'Please upload an Excel file', 400);
-
     const hodId = req.user.id;
-    const filePath = req.file.path;
-
-    const classes = await parseClassExcel(filePath);
-    if (!classes || classes.length === 0) return errorResponse(res, 'No valid class data found', 400);
 
-    // Fetch existing classes for this HOD
-    const existingClasses = await Class.find({ createdBy: hodId })
-      .select('className division');
-
-    const existingSet = new Set(
-      existingClasses.map(c => `${c.className.toLowerCase()}||${c.division.toLowerCase()}`)
-    );
-
-    const classesToInsert = classes.filter(c => {
-      const key = `${c.className.toLowerCase()}||${c.division.toLowerCase()}`;
-      return !existingSet.has(key);
-    });
-
-    if (classesToInsert.length === 0) {
-      return errorResponse(res, 'All classes in the file already exist in the database', 400);
+    const upload = await readBulkRows(req, 'classes', hodId, parseClassExcel);
+    if (upload.error) {
+      return errorResponse(res, upload.error, upload.code, upload.headers ? { headers: upload.headers } : {});
     }
 
-    const insertedClasses = [];
-    for (let cls of classesToInsert) {
-      const counter = await Counter.findOneAndUpdate(
-        { hod: hodId },
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true, setDefaultsOnInsert: true }
-      );
-
-      const newClass = await Class.create({
-        classId: counter.seq,
-        className: cls.className,
-        division: cls.division,
-        students: [],
-        professors: [],
-        createdBy: hodId
+    // 🔍 Preview only: nothing is written
+    if (isDryRun(req)) {
+      const { toInsert: classesToInsert, duplicates } = await planClassUpload(upload.rows, hodId);
+      const preview = await createPreview({
+        type: 'classes',
+        hodId,
+        upload,
+        duplicates,
+        insertCount: classesToInsert.length
       });
-      insertedClasses.push(newClass);
+      return successResponse(res, preview);
     }
 
-    return successResponse(res, {
-      message: `${insertedClasses.length} classes uploaded successfully`,
-      totalUploaded: insertedClasses.length,
-      totalSkipped: classes.length - classesToInsert.length
-    }, 201);
+    // ⏳ Rows are written by the import worker
+    const job = await enqueueImportJob({ type: 'classes', hodId, upload });
+    return successResponse(res, job, 202);
 
   } catch (error) {
     console.error('bulkUploadClasses error:', error);
@@ -152,14 +148,18 @@ const createClass = async (req, res) => {
 
 /**
  * @desc    Get all classes
- * @route   GET /api/classes
+ * @route   GET /api/classes  (?includeArchived=true for past terms too)
  * @access  Private (HOD only)
  */
 const getClasses = async (req, res) => {
   try {
     const hodId = req.user.id;
 
-    const classes = await Class.find({ createdBy: hodId })
+    // Classes archived by a rollover only with ?includeArchived=true
+    const query = { createdBy: hodId };
+    if (req.query.includeArchived !== 'true') query.archived = { $ne: true };
+
+    const classes = await Class.find(query)
       .sort({ className: 1, division: 1 })
       .populate("students", "enrollmentNumber name semester")
       .populate("professors", "name username _id");  // ✅ always populated
@@ -284,6 +284,10 @@ const deleteClass = async (req, res) => {
       { $pull: { classes: classData._id } }
     );
 
+    // Drop the class timetable and subjects
+    await Timetable.deleteMany({ classId: classData._id });
+    await Subject.deleteMany({ classId: classData._id });
+
     // Delete class
     await classData.deleteOne();
 
@@ -538,7 +542,17 @@ const bulkDeleteClasses = async (req, res) => {
           { session }
         );
 
-        // 3) Delete classes
+        // 3) Drop their timetables and subjects
+        await Timetable.deleteMany(
+          { classId: { $in: classObjectIds } },
+          { session }
+        );
+        await Subject.deleteMany(
+          { classId: { $in: classObjectIds } },
+          { session }
+        );
+
+        // 4) Delete classes
         await Class.deleteMany(
           { _id: { $in: classObjectIds }, createdBy: hodId },
           { session }
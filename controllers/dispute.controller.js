@@ -0,0 +1,254 @@
+// controllers/dispute.controller.js
+const mongoose = require('mongoose');
+const Dispute = require('../models/dispute.model');
+const Attendance = require('../models/attendance.model');
+const AttendanceAudit = require('../models/attendanceAudit.model');
+const Class = require('../models/class.model');
+const HOD = require('../models/hod.model');
+const { getLockState } = require('../utils/lock.utils');
+const { sendPushToStudents } = require('../utils/notification.utils');
+const { resolveStatus } = require('../utils/status.utils');
+const { findSlotSession, refreshSessionCounts } = require('../utils/session.utils');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+const formatDispute = (d) => ({
+  id: String(d._id),
+  attendanceId: String(d.attendanceId),
+  date: new Date(d.dateMs).toISOString(),
+  slotNumber: d.slotNumber,
+  reason: d.reason,
+  status: d.status,
+  studentName: d.studentId?.name || '',
+  enrollmentNumber: d.studentId?.enrollmentNumber || '',
+  className: d.classId?.className || '',
+  division: d.classId?.division || '',
+  reviewNote: d.reviewNote || '',
+  reviewedBy: d.reviewedBy?.name || d.reviewedBy?.username || '',
+  reviewedAt: d.reviewedAt ? new Date(d.reviewedAt).toISOString() : null,
+  createdAt: new Date(d.createdAt).toISOString(),
+});
+
+/**
+ * Classes the current professor (assigned) or HOD (created) may review disputes for
+ */
+const reviewableClassFilter = (req) =>
+  req.hod ? { createdBy: req.hod._id } : { professors: req.professor._id };
+
+/**
+ * @desc    Raise a dispute on one of the student's attendance records
+ * @route   POST /api/disputes
+ * @access  Private (Student only)
+ * @body    { attendanceId, reason }
+ */
+const createDispute = async (req, res) => {
+  try {
+    const { attendanceId, reason } = req.body;
+
+    if (!attendanceId || !mongoose.Types.ObjectId.isValid(attendanceId)) {
+      return errorResponse(res, 'Valid attendanceId is required', 400);
+    }
+    if (!reason || !String(reason).trim()) {
+      return errorResponse(res, 'Reason is required', 400);
+    }
+
+    const record = await Attendance.findOne({ _id: attendanceId, studentId: req.student._id }).lean();
+    if (!record) return errorResponse(res, 'Attendance record not found', 404);
+
+    // Leave, medical and on-duty rows are not absences, whatever isPresent says
+    if (resolveStatus(record) !== 'absent') {
+      return errorResponse(res, 'Only absences can be disputed', 400);
+    }
+
+    const dispute = await Dispute.create({
+      attendanceId: record._id,
+      studentId: record.studentId,
+      classId: record.classId,
+      dateMs: record.dateMs,
+      slotNumber: record.slotNumber,
+      reason: String(reason).trim(),
+    });
+
+    return successResponse(res, {
+      message: 'Dispute raised successfully',
+      dispute: formatDispute(dispute)
+    }, 201);
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 'A dispute for this record is already pending', 400);
+    }
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, Object.values(error.errors).map(e => e.message).join(', '), 400);
+    }
+    console.error('[createDispute]', error);
+    return errorResponse(res, 'Server error while raising dispute', 500);
+  }
+};
+
+/**
+ * @desc    Get the logged-in student's disputes
+ * @route   GET /api/disputes/me
+ * @access  Private (Student only)
+ */
+const getMyDisputes = async (req, res) => {
+  try {
+    const filter = { studentId: req.student._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const disputes = await Dispute.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('classId', 'className division')
+      .populate('reviewedBy', 'name username')
+      .lean();
+
+    return successResponse(res, { disputes: disputes.map(formatDispute) });
+  } catch (error) {
+    console.error('[getMyDisputes]', error);
+    return errorResponse(res, 'Server error while fetching disputes', 500);
+  }
+};
+
+/**
+ * @desc    Get disputes for the classes a professor teaches / a HOD owns
+ * @route   GET /api/disputes?status=pending&classId=
+ * @access  Private (Professor or HOD)
+ */
+const getDisputes = async (req, res) => {
+  try {
+    const classFilter = reviewableClassFilter(req);
+    if (req.query.classId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.classId)) {
+        return errorResponse(res, 'Invalid classId', 400);
+      }
+      classFilter._id = req.query.classId;
+    }
+
+    const classes = await Class.find(classFilter).select('_id').lean();
+
+    const filter = { classId: { $in: classes.map(c => c._id) } };
+    if (req.query.status) filter.status = req.query.status;
+
+    const disputes = await Dispute.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('studentId', 'enrollmentNumber name')
+      .populate('classId', 'className division')
+      .populate('reviewedBy', 'name username')
+      .lean();
+
+    return successResponse(res, { disputes: disputes.map(formatDispute) });
+  } catch (error) {
+    console.error('[getDisputes]', error);
+    return errorResponse(res, 'Server error while fetching disputes', 500);
+  }
+};
+
+/**
+ * @desc    Approve or reject a dispute; approval marks the record present
+ * @route   PATCH /api/disputes/:id
+ * @access  Private (assigned Professor or HOD)
+ * @body    { status: 'approved' | 'rejected', note? }
+ */
+const reviewDispute = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid dispute id', 400);
+    }
+    if (!['approved', 'rejected'].includes(status)) {
+      return errorResponse(res, "status must be 'approved' or 'rejected'", 400);
+    }
+
+    const pending = await Dispute.findById(id).lean();
+    if (!pending) return errorResponse(res, 'Dispute not found', 404);
+    if (pending.status !== 'pending') {
+      return errorResponse(res, `Dispute is already ${pending.status}`, 400);
+    }
+
+    const cls = await Class.findOne({ _id: pending.classId, ...reviewableClassFilter(req) }).lean();
+    if (!cls) return errorResponse(res, 'Dispute not found', 404);
+
+    const actor = req.hod
+      ? { id: req.hod._id, model: 'HOD' }
+      : { id: req.professor._id, model: 'Professor' };
+
+    let before = null;
+    if (status === 'approved') {
+      before = await Attendance.findById(pending.attendanceId).lean();
+      if (!before) return errorResponse(res, 'Attendance record no longer exists', 404);
+
+      // 🔒 Professors respect the lock window; the HOD owns the lock and may correct directly
+      if (!req.hod) {
+        const hod = await HOD.findById(cls.createdBy).select('attendanceSettings').lean();
+        const lock = await getLockState(hod?.attendanceSettings, cls._id, before.dateMs, before.slotNumber);
+        if (lock.locked) {
+          return errorResponse(res, 'This attendance record is locked. Ask your HOD to unlock it', 423, {
+            lockedAt: new Date(lock.lockedAt).toISOString(),
+            refused: [{ studentId: String(before.studentId), reason: 'locked' }],
+          });
+        }
+      }
+    }
+
+    // 🏁 Claim the dispute first, so two reviewers at once cannot both apply it
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      {
+        $set: {
+          status,
+          reviewedBy: actor.id,
+          reviewedByModel: actor.model,
+          reviewNote: note || '',
+          reviewedAt: new Date(),
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!dispute) {
+      return errorResponse(res, 'Dispute was already reviewed', 409);
+    }
+
+    if (status === 'approved') {
+      const after = await Attendance.findByIdAndUpdate(
+        before._id,
+        { $set: { isPresent: true, status: 'present', leaveId: null } },
+        { new: true }
+      ).lean();
+
+      await AttendanceAudit.recordChanges(
+        [{ before, after, reason: `Dispute approved${note ? `: ${note}` : ''}` }],
+        actor
+      );
+
+      // The slot's session counts include this student
+      const session = await findSlotSession(after.classId, after.dateMs, after.slotNumber);
+      if (session) await refreshSessionCounts(session, cls.students);
+    }
+
+    // 🔔 Let the student know
+    const day = new Date(dispute.dateMs).toISOString().split('T')[0];
+    await sendPushToStudents(
+      [dispute.studentId],
+      {
+        title: `Attendance dispute ${status}`,
+        body: `Your dispute for ${cls.className} (${cls.division}), Slot ${dispute.slotNumber} on ${day} was ${status}.`,
+      },
+      { type: 'dispute', disputeId: String(dispute._id), status }
+    );
+
+    return successResponse(res, {
+      message: `Dispute ${status}`,
+      dispute: formatDispute(dispute)
+    });
+  } catch (error) {
+    console.error('[reviewDispute]', error);
+    return errorResponse(res, 'Server error while reviewing dispute', 500);
+  }
+};
+
+module.exports = {
+  createDispute,
+  getMyDisputes,
+  getDisputes,
+  reviewDispute
+};
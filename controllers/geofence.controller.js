@@ -0,0 +1,135 @@
+// controllers/geofence.controller.js
+const mongoose = require('mongoose');
+const Geofence = require('../models/geofence.model');
+const Class = require('../models/class.model');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+const FENCE_FIELDS = ['name', 'shape', 'center', 'radiusMeters', 'polygon', 'classIds', 'active'];
+
+const validationMessage = (error) =>
+  Object.values(error.errors).map(e => e.message).join(', ');
+
+/**
+ * Room fences may only list the HOD's own classes
+ * @returns {Promise<String|null>} error message
+ */
+const checkClassIds = async (classIds, hodId) => {
+  if (classIds === undefined) return null;
+  if (!Array.isArray(classIds) || !classIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return 'classIds must be an array of class ids';
+  }
+  const count = await Class.countDocuments({ _id: { $in: classIds }, createdBy: hodId });
+  return count === new Set(classIds.map(String)).size ? null : 'Some classes were not found';
+};
+
+/**
+ * @desc    List the HOD's check-in geofences
+ * @route   GET /api/hods/geofences
+ * @access  Private (HOD only)
+ */
+const getGeofences = async (req, res) => {
+  try {
+    const geofences = await Geofence.find({ hodId: req.hod._id }).sort({ name: 1 });
+    return successResponse(res, { geofences });
+  } catch (error) {
+    console.error('[getGeofences]', error);
+    return errorResponse(res, 'Server error while fetching geofences', 500);
+  }
+};
+
+/**
+ * @desc    Add a campus or room geofence
+ * @route   POST /api/hods/geofences
+ * @access  Private (HOD only)
+ * @body    { name, shape: 'circle', center: { lat, lng }, radiusMeters, classIds?, active? }
+ *          or { name, shape: 'polygon', polygon: [{ lat, lng }, ...], classIds?, active? }
+ */
+const createGeofence = async (req, res) => {
+  try {
+    const classError = await checkClassIds(req.body.classIds, req.hod._id);
+    if (classError) return errorResponse(res, classError, 400);
+
+    const data = {};
+    FENCE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const geofence = await Geofence.create({ ...data, hodId: req.hod._id });
+
+    return successResponse(res, {
+      message: 'Geofence created successfully',
+      geofence
+    }, 201);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return errorResponse(res, error.errors ? validationMessage(error) : error.message, 400);
+    }
+    console.error('[createGeofence]', error);
+    return errorResponse(res, 'Server error while creating geofence', 500);
+  }
+};
+
+/**
+ * @desc    Update a geofence (any of the create fields)
+ * @route   PUT /api/hods/geofences/:fenceId
+ * @access  Private (HOD only)
+ */
+const updateGeofence = async (req, res) => {
+  try {
+    const { fenceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(fenceId)) {
+      return errorResponse(res, 'Invalid fenceId', 400);
+    }
+
+    const geofence = await Geofence.findOne({ _id: fenceId, hodId: req.hod._id });
+    if (!geofence) return errorResponse(res, 'Geofence not found', 404);
+
+    const classError = await checkClassIds(req.body.classIds, req.hod._id);
+    if (classError) return errorResponse(res, classError, 400);
+
+    FENCE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) geofence[field] = req.body[field];
+    });
+    await geofence.save();
+
+    return successResponse(res, {
+      message: 'Geofence updated successfully',
+      geofence
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return errorResponse(res, error.errors ? validationMessage(error) : error.message, 400);
+    }
+    console.error('[updateGeofence]', error);
+    return errorResponse(res, 'Server error while updating geofence', 500);
+  }
+};
+
+/**
+ * @desc    Delete a geofence
+ * @route   DELETE /api/hods/geofences/:fenceId
+ * @access  Private (HOD only)
+ */
+const deleteGeofence = async (req, res) => {
+  try {
+    const { fenceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(fenceId)) {
+      return errorResponse(res, 'Invalid fenceId', 400);
+    }
+
+    const geofence = await Geofence.findOneAndDelete({ _id: fenceId, hodId: req.hod._id });
+    if (!geofence) return errorResponse(res, 'Geofence not found', 404);
+
+    return successResponse(res, { message: 'Geofence deleted successfully' });
+  } catch (error) {
+    console.error('[deleteGeofence]', error);
+    return errorResponse(res, 'Server error while deleting geofence', 500);
+  }
+};
+
+module.exports = {
+  getGeofences,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence
+};
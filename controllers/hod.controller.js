@@ -4,6 +4,7 @@ const { generateOTP, verifyOTP } = require('../utils/otp.utils');
 const { sendOTPEmail } = require('../config/email.config');
 const { successResponse, errorResponse } = require('../utils/response.utils');
 const { validatePassword } = require('../utils/validation'); 
+const { ATTENDANCE_STATUSES } = require('../utils/status.utils');
 
 /**
  * @desc    Register a new HOD
@@ -412,6 +413,111 @@ const confirmDeleteHOD = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get attendance settings
+ * @route   GET /api/hods/attendance-settings
+ * @access  Private
+ */
+const getAttendanceSettings = async (req, res) => {
+  try {
+    return successResponse(res, { attendanceSettings: req.hod.attendanceSettings });
+  } catch (error) {
+    console.error('Get Attendance Settings Error:', error);
+    return errorResponse(res, 'Server error while fetching attendance settings', 500);
+  }
+};
+
+/**
+ * @desc    Update attendance settings
+ * @route   PUT /api/hods/attendance-settings
+ * @access  Private
+ */
+const updateAttendanceSettings = async (req, res) => {
+  try {
+    const {
+      correctionWindowHours,
+      lockAfterDays,
+      defaulterThreshold,
+      countedStatuses,
+      excludedStatuses
+    } = req.body;
+    const hod = req.hod;
+
+    if (
+      correctionWindowHours === undefined &&
+      lockAfterDays === undefined &&
+      defaulterThreshold === undefined &&
+      countedStatuses === undefined &&
+      excludedStatuses === undefined
+    ) {
+      return errorResponse(res, 'At least one setting must be provided to update', 400);
+    }
+
+    if (correctionWindowHours !== undefined) {
+      const hours = Number(correctionWindowHours);
+      if (!Number.isFinite(hours) || hours < 0) {
+        return errorResponse(res, 'correctionWindowHours must be a non-negative number', 400);
+      }
+      hod.attendanceSettings.correctionWindowHours = hours;
+    }
+
+    // null (or "") turns locking off
+    if (lockAfterDays !== undefined) {
+      if (lockAfterDays === null || lockAfterDays === '') {
+        hod.attendanceSettings.lockAfterDays = null;
+      } else {
+        const days = Number(lockAfterDays);
+        if (!Number.isInteger(days) || days < 0) {
+          return errorResponse(res, 'lockAfterDays must be a non-negative whole number or null', 400);
+        }
+        hod.attendanceSettings.lockAfterDays = days;
+      }
+    }
+
+    if (defaulterThreshold !== undefined) {
+      const threshold = Number(defaulterThreshold);
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        return errorResponse(res, 'defaulterThreshold must be a number between 0 and 100', 400);
+      }
+      hod.attendanceSettings.defaulterThreshold = threshold;
+    }
+
+    // Which statuses count towards the percentage / are left out of it
+    const isStatusList = (list) =>
+      Array.isArray(list) && list.every(s => ATTENDANCE_STATUSES.includes(s) && s !== 'absent');
+
+    if (countedStatuses !== undefined) {
+      if (!isStatusList(countedStatuses) || countedStatuses.length === 0) {
+        return errorResponse(res, `countedStatuses must be a non-empty array of: ${ATTENDANCE_STATUSES.filter(s => s !== 'absent').join(', ')}`, 400);
+      }
+      hod.attendanceSettings.countedStatuses = Array.from(new Set(countedStatuses));
+    }
+
+    if (excludedStatuses !== undefined) {
+      if (!isStatusList(excludedStatuses)) {
+        return errorResponse(res, `excludedStatuses must be an array of: ${ATTENDANCE_STATUSES.filter(s => s !== 'absent').join(', ')}`, 400);
+      }
+      hod.attendanceSettings.excludedStatuses = Array.from(new Set(excludedStatuses));
+    }
+
+    const overlap = hod.attendanceSettings.countedStatuses
+      .filter(s => hod.attendanceSettings.excludedStatuses.includes(s));
+    if (overlap.length > 0) {
+      return errorResponse(res, `A status cannot be both counted and excluded: ${overlap.join(', ')}`, 400);
+    }
+
+    await hod.save();
+
+    return successResponse(res, {
+      message: 'Attendance settings updated successfully',
+      attendanceSettings: hod.attendanceSettings
+    });
+  } catch (error) {
+    console.error('Update Attendance Settings Error:', error);
+    return errorResponse(res, 'Server error while updating attendance settings', 500);
+  }
+};
+
 module.exports = {
   registerHOD,
   verifyOTPHandler,
@@ -421,5 +527,7 @@ module.exports = {
   updateHOD,
   verifyUpdateOTP,
   sendDeleteOTP,
-  confirmDeleteHOD
+  confirmDeleteHOD,
+  getAttendanceSettings,
+  updateAttendanceSettings
 };
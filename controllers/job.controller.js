@@ -0,0 +1,34 @@
+// controllers/job.controller.js
+const mongoose = require('mongoose');
+const ImportJob = require('../models/importJob.model');
+const { formatImportJob } = require('../utils/importJob.utils');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+/**
+ * @desc    Status and progress of a bulk import job (result once finished)
+ * @route   GET /api/jobs/:id
+ * @access  Private (HOD only, own jobs)
+ */
+const getJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid job id', 400);
+    }
+
+    const job = await ImportJob.findOne({ _id: id, hodId: req.hod._id }).select('-payload').lean();
+    if (!job) {
+      return errorResponse(res, 'Job not found or expired', 404);
+    }
+
+    return successResponse(res, { job: formatImportJob(job) });
+
+  } catch (error) {
+    console.error('[getJob]', error);
+    return errorResponse(res, 'Server error while fetching job', 500);
+  }
+};
+
+module.exports = {
+  getJob
+};
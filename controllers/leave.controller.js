@@ -0,0 +1,281 @@
+// controllers/leave.controller.js
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Leave = require('../models/leave.model');
+const Class = require('../models/class.model');
+const { applyLeaveToAttendance } = require('../utils/leave.utils');
+const { parseDayRange, startOfDay } = require('../utils/date.utils');
+const { sendPushToStudents } = require('../utils/notification.utils');
+const { attachmentsDir } = require('../middleware/upload.middleware');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+const removeUploadedFile = (file) => {
+  if (file) fs.promises.unlink(file.path).catch(() => {});
+};
+
+const formatLeave = (l) => ({
+  id: String(l._id),
+  type: l.type,
+  startDate: new Date(l.startMs).toISOString(),
+  endDate: new Date(l.endMs).toISOString(),
+  reason: l.reason,
+  status: l.status,
+  hasAttachment: !!l.attachment?.fileName,
+  attachmentName: l.attachment?.originalName || '',
+  studentName: l.studentId?.name || '',
+  enrollmentNumber: l.studentId?.enrollmentNumber || '',
+  reviewNote: l.reviewNote || '',
+  reviewedBy: l.reviewedBy?.name || l.reviewedBy?.username || '',
+  reviewedAt: l.reviewedAt ? new Date(l.reviewedAt).toISOString() : null,
+  createdAt: new Date(l.createdAt).toISOString(),
+});
+
+/**
+ * Leaves the current HOD (own students) or professor (students of assigned classes) may review
+ */
+const reviewableLeaveFilter = async (req) => {
+  if (req.hod) return { hodId: req.hod._id };
+  const classes = await Class.find({ professors: req.professor._id }).select('_id').lean();
+  return { classIds: { $in: classes.map(c => c._id) } };
+};
+
+/**
+ * @desc    Apply for leave (multipart; optional "attachment" file)
+ * @route   POST /api/leaves
+ * @access  Private (Student only)
+ * @body    { type, reason, date } or { type, reason, startDate, endDate }
+ */
+const applyForLeave = async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    // A leave covers whole days
+    const days = parseDayRange(req.body);
+    const range = days && { startMs: startOfDay(days.startMs), endMs: days.endMs };
+
+    if (!type || !reason || !range) {
+      removeUploadedFile(req.file);
+      return errorResponse(res, 'type, reason and a date (or startDate/endDate) are required', 400);
+    }
+    if (range.startMs > range.endMs) {
+      removeUploadedFile(req.file);
+      return errorResponse(res, 'startDate must be on or before endDate', 400);
+    }
+
+    const leave = await Leave.create({
+      studentId: req.student._id,
+      hodId: req.student.createdBy,
+      classIds: req.student.classIds,
+      type,
+      reason,
+      ...range,
+      attachment: req.file
+        ? {
+          fileName: req.file.filename,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+        }
+        : undefined,
+    });
+
+    return successResponse(res, {
+      message: 'Leave application submitted successfully',
+      leave: formatLeave(leave)
+    }, 201);
+  } catch (error) {
+    removeUploadedFile(req.file);
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, Object.values(error.errors).map(e => e.message).join(', '), 400);
+    }
+    console.error('[applyForLeave]', error);
+    return errorResponse(res, 'Server error while applying for leave', 500);
+  }
+};
+
+/**
+ * @desc    Get the logged-in student's leave applications
+ * @route   GET /api/leaves/me
+ * @access  Private (Student only)
+ */
+const getMyLeaves = async (req, res) => {
+  try {
+    const filter = { studentId: req.student._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const leaves = await Leave.find(filter)
+      .sort({ startMs: -1 })
+      .populate('reviewedBy', 'name username')
+      .lean();
+
+    return successResponse(res, { leaves: leaves.map(formatLeave) });
+  } catch (error) {
+    console.error('[getMyLeaves]', error);
+    return errorResponse(res, 'Server error while fetching leaves', 500);
+  }
+};
+
+/**
+ * @desc    Withdraw a pending leave application
+ * @route   PATCH /api/leaves/:id/cancel
+ * @access  Private (Student only)
+ */
+const cancelLeave = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid leave id', 400);
+    }
+
+    const leave = await Leave.findOne({ _id: id, studentId: req.student._id });
+    if (!leave) return errorResponse(res, 'Leave application not found', 404);
+    if (leave.status !== 'pending') {
+      return errorResponse(res, `Leave application is already ${leave.status}`, 400);
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+
+    return successResponse(res, {
+      message: 'Leave application cancelled',
+      leave: formatLeave(leave)
+    });
+  } catch (error) {
+    console.error('[cancelLeave]', error);
+    return errorResponse(res, 'Server error while cancelling leave', 500);
+  }
+};
+
+/**
+ * @desc    Get leave applications for a HOD's students / a professor's classes
+ * @route   GET /api/leaves?status=pending&classId=
+ * @access  Private (Professor or HOD)
+ */
+const getLeaves = async (req, res) => {
+  try {
+    const filter = await reviewableLeaveFilter(req);
+
+    if (req.query.classId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.classId)) {
+        return errorResponse(res, 'Invalid classId', 400);
+      }
+      filter.classIds = filter.classIds
+        ? { $in: filter.classIds.$in.filter(id => String(id) === req.query.classId) }
+        : req.query.classId;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const leaves = await Leave.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('studentId', 'enrollmentNumber name')
+      .populate('reviewedBy', 'name username')
+      .lean();
+
+    return successResponse(res, { leaves: leaves.map(formatLeave) });
+  } catch (error) {
+    console.error('[getLeaves]', error);
+    return errorResponse(res, 'Server error while fetching leaves', 500);
+  }
+};
+
+/**
+ * @desc    Approve or reject a leave application.
+ *          Approval marks the student's absences in the range as on leave.
+ * @route   PATCH /api/leaves/:id
+ * @access  Private (Professor or HOD)
+ * @body    { status: 'approved' | 'rejected', note? }
+ */
+const reviewLeave = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid leave id', 400);
+    }
+    if (!['approved', 'rejected'].includes(status)) {
+      return errorResponse(res, "status must be 'approved' or 'rejected'", 400);
+    }
+
+    const leave = await Leave.findOne({ _id: id, ...(await reviewableLeaveFilter(req)) });
+    if (!leave) return errorResponse(res, 'Leave application not found', 404);
+    if (leave.status !== 'pending') {
+      return errorResponse(res, `Leave application is already ${leave.status}`, 400);
+    }
+
+    const actor = req.hod
+      ? { id: req.hod._id, model: 'HOD' }
+      : { id: req.professor._id, model: 'Professor' };
+
+    leave.status = status;
+    leave.reviewedBy = actor.id;
+    leave.reviewedByModel = actor.model;
+    leave.reviewNote = note || '';
+    leave.reviewedAt = new Date();
+    await leave.save();
+
+    // Absences marked before approval; later marks pick the leave up in markBulkAttendance
+    const updatedRecords = status === 'approved' ? await applyLeaveToAttendance(leave, actor) : 0;
+
+    await sendPushToStudents(
+      [leave.studentId],
+      {
+        title: `Leave ${status}`,
+        body: `Your ${leave.type} leave from ${new Date(leave.startMs).toISOString().split('T')[0]} to ${new Date(leave.endMs).toISOString().split('T')[0]} was ${status}.`,
+      },
+      { type: 'leave', leaveId: String(leave._id), status }
+    );
+
+    return successResponse(res, {
+      message: `Leave ${status}`,
+      leave: formatLeave(leave.toObject()),
+      updatedRecords
+    });
+  } catch (error) {
+    console.error('[reviewLeave]', error);
+    return errorResponse(res, 'Server error while reviewing leave', 500);
+  }
+};
+
+/**
+ * @desc    Download a leave attachment
+ * @route   GET /api/leaves/:id/attachment
+ * @access  Private (owning Student, or a Professor/HOD who can review it)
+ */
+const getLeaveAttachment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid leave id', 400);
+    }
+
+    const filter = req.student
+      ? { studentId: req.student._id }
+      : await reviewableLeaveFilter(req);
+
+    const leave = await Leave.findOne({ _id: id, ...filter }).lean();
+    if (!leave || !leave.attachment?.fileName) {
+      return errorResponse(res, 'Attachment not found', 404);
+    }
+
+    const filePath = path.join(attachmentsDir, path.basename(leave.attachment.fileName));
+    if (!fs.existsSync(filePath)) {
+      return errorResponse(res, 'Attachment not found', 404);
+    }
+
+    res.type(leave.attachment.mimeType || path.extname(filePath));
+    return res.download(filePath, leave.attachment.originalName || leave.attachment.fileName);
+  } catch (error) {
+    console.error('[getLeaveAttachment]', error);
+    return errorResponse(res, 'Server error while fetching attachment', 500);
+  }
+};
+
+module.exports = {
+  applyForLeave,
+  getMyLeaves,
+  cancelLeave,
+  getLeaves,
+  reviewLeave,
+  getLeaveAttachment
+};
@@ -1,163 +1,100 @@
 const Professor = require('../models/professor.model');
 const Class = require('../models/class.model');
+const Subject = require('../models/subject.model');
 const mongoose = require('mongoose');
 const { generateToken } = require('../config/jwt.config');
 const { successResponse, errorResponse } = require('../utils/response.utils');
+const { UPLOAD_COLUMNS, mapHeaders, missingColumns } = require('../utils/excel.utils');
 const XLSX = require('xlsx');
 const fs = require('fs');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { validatePassword } = require('../utils/validation');
+const { isDryRun, readBulkRows, createPreview } = require('../utils/bulkUpload.utils');
+const { analyzeProfessorUpload } = require('../utils/professorImport.utils');
+const { enqueueImportJob } = require('../utils/importJob.utils');
 
 // -------------------------------
 // Helper: Parse Excel file for professors
+// Returns { rows: [{ row, name, email, password }], headers, rejected: [{ row, values, reasons }], error }
 // -------------------------------
 const parseProfessorExcel = async (filePath) => {
-  if (!fs.existsSync(filePath)) return [];
+  if (!fs.existsSync(filePath)) return { rows: [], headers: {}, rejected: [], error: 'Uploaded file not found' };
   const workbook = XLSX.readFile(filePath);
   const sheetName = workbook.SheetNames[0];
   const worksheet = workbook.Sheets[sheetName];
   const raw = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
 
-  const normalizeHeader = (h) => String(h || '').trim().toLowerCase().replace(/[\s_]+/g, '');
-  const headerMap = {};
-  Object.keys(raw[0] || {}).forEach((k) => {
-    headerMap[normalizeHeader(k)] = k;
-  });
-
-  const nameHeader = headerMap['name'] || headerMap['professorname'] || headerMap['profname'];
-  const emailHeader = headerMap['email'] || headerMap['e-mail'] || headerMap['emailaddress'];
-  const passwordHeader = headerMap['password'] || headerMap['pass'] || null;
-
-  if (!nameHeader || !emailHeader) return [];
+  fs.unlink(filePath, () => { });
 
-  const DEFAULT_PASSWORD = 'Temp@1234';
+  const headers = mapHeaders(Object.keys(raw[0] || {}), UPLOAD_COLUMNS.professors);
+  const { name: nameHeader, email: emailHeader, password: passwordHeader } = headers;
 
-  const rows = raw.map((row) => ({
-    name: String(row[nameHeader] || '').trim(),
-    email: String(row[emailHeader] || '').trim(),
-    password: String((passwordHeader && row[passwordHeader]) || DEFAULT_PASSWORD).trim(),
-  })).filter(r => r.name && r.email);
+  if (raw.length === 0) return { rows: [], headers, rejected: [], error: 'The sheet has no data rows' };
+  const missing = missingColumns(headers, UPLOAD_COLUMNS.professors);
+  if (missing.length > 0) {
+    return { rows: [], headers, rejected: [], error: `Missing required column(s): ${missing.join(', ')}` };
+  }
 
-  fs.unlink(filePath, () => { });
+  const rows = [];
+  const rejected = [];
+  raw.forEach((r) => {
+    const row = r.__rowNum__ + 1; // sheet row number
+    const name = String(r[nameHeader] || '').trim();
+    const email = String(r[emailHeader] || '').trim().toLowerCase();
+    const password = String((passwordHeader && r[passwordHeader]) || '').trim() || null;
+
+    const reasons = [];
+    if (!name) reasons.push('missing name');
+    if (!email) reasons.push('missing email');
+
+    if (reasons.length > 0) {
+      rejected.push({ row, values: { name, email }, reasons });
+      return;
+    }
+    rows.push({ row, name, email, password });
+  });
 
-  return rows;
+  return { rows, headers, rejected, error: null };
 };
 
-
 // -------------------------------
 // Bulk upload professors
+//   ?dryRun=true to preview; body.token commits a preview
+//   ?mode=upsert updates existing professors instead of skipping them
+//   The upload itself runs as an import job (poll GET /api/jobs/:id)
 // -------------------------------
 const bulkUploadProfessors = async (req, res) => {
   let filePath;
   try {
-    if (!req.file) return errorResponse(res, 'Please upload an Excel file', 400);
-
     const hodId = req.hod && req.hod._id;
     if (!hodId) {
       return errorResponse(res, 'HOD context missing', 400);
     }
 
-    filePath = req.file.path;
-    const rows = await parseProfessorExcel(filePath);
-    if (!rows || rows.length === 0) return errorResponse(res, 'No valid professor data found', 400);
-
-    const normalizedRows = rows.map(r => ({
-      name: r.name,
-      email: String(r.email || '').trim().toLowerCase(),
-      password: r.password || 'Temp@1234'
-    })).filter(r => r.name && r.email);
-
-    if (normalizedRows.length === 0) {
-      return successResponse(res, {
-        message: 'No valid professor rows after normalization',
-        totalProcessed: rows.length,
-        inserted: 0,
-        skipped: 0,
-        skippedDetails: []
-      });
+    filePath = req.file && req.file.path;
+    const upload = await readBulkRows(req, 'professors', hodId, parseProfessorExcel);
+    if (upload.error) {
+      return errorResponse(res, upload.error, upload.code, upload.headers ? { headers: upload.headers } : {});
     }
 
-    // Get all existing emails (global)
-    const existing = await Professor.find({}).select('email');
-    const existingSet = new Set(existing.map(e => String(e.email).toLowerCase()));
-
-    const seenInFile = new Set();
-    const toInsert = [];
-    const skipped = [];
-
-    normalizedRows.forEach((r, idx) => {
-      const emailLower = r.email.toLowerCase();
-      if (existingSet.has(emailLower)) {
-        skipped.push({ email: r.email, reason: 'already exists (DB)', row: idx + 2 });
-        return;
-      }
-      if (seenInFile.has(emailLower)) {
-        skipped.push({ email: r.email, reason: 'duplicate in uploaded file', row: idx + 2 });
-        return;
-      }
-
-      // validate password for this row
-      const pwdErr = validatePassword(r.password);
-      if (pwdErr) {
-        skipped.push({ email: r.email, reason: `invalid password: ${pwdErr}`, row: idx + 2 });
-        return;
-      }
-
-      seenInFile.add(emailLower);
-      toInsert.push({
-        name: r.name,
-        email: emailLower,
-        password: r.password,
-        createdBy: hodId
-      });
-    });
-
-    if (toInsert.length === 0) {
-      return successResponse(res, {
-        message: 'No new professors to add',
-        totalProcessed: normalizedRows.length,
-        inserted: 0,
-        skipped: skipped.length,
-        skippedDetails: skipped
+    // 🔍 Preview only: nothing is written
+    if (isDryRun(req)) {
+      const { toInsert, duplicates, invalid, diff } = await analyzeProfessorUpload(upload, hodId);
+      const preview = await createPreview({
+        type: 'professors',
+        hodId,
+        upload,
+        duplicates,
+        errors: invalid,
+        insertCount: toInsert.length,
+        diff: upload.mode === 'upsert' ? diff : undefined
       });
+      return successResponse(res, preview);
     }
 
-    const inserted = [];
-    const errors = [];
-    for (const doc of toInsert) {
-      try {
-        const prof = await Professor.create({
-          name: doc.name,
-          email: doc.email,
-          password: doc.password,
-          createdBy: doc.createdBy
-        });
-
-        inserted.push({
-          id: prof._id,
-          name: prof.name,
-          email: prof.email
-        });
-      } catch (err) {
-        const errMsg = (err && err.message) ? err.message : String(err);
-        if (err.code === 11000 || /duplicate/i.test(errMsg)) {
-          skipped.push({ email: doc.email, reason: 'duplicate key error on insert (race?)' });
-        } else {
-          errors.push({ email: doc.email, error: errMsg });
-        }
-      }
-    }
-
-    return successResponse(res, {
-      message: `${inserted.length} professors uploaded`,
-      totalProcessed: normalizedRows.length,
-      inserted: inserted.length,
-      insertedDetails: inserted,
-      skipped: skipped.length,
-      skippedDetails: skipped,
-      errors
-    }, 201);
+    // ⏳ Rows are written by the import worker
+    const job = await enqueueImportJob({ type: 'professors', hodId, upload });
+    return successResponse(res, job, 202);
 
   } catch (error) {
     console.error('bulkUploadProfessors error:', error);
@@ -167,7 +104,7 @@ const bulkUploadProfessors = async (req, res) => {
       if (filePath && fs.existsSync(filePath)) {
         fs.unlink(filePath, () => { });
       }
-    } catch (e) { }
+    } catch (e) { /* already removed */ }
   }
 };
 
@@ -208,6 +145,12 @@ const bulkDeleteProfessors = async (req, res) => {
           { session }
         );
 
+        await Subject.updateMany(
+          { professors: { $in: profObjectIds } },
+          { $pull: { professors: { $in: profObjectIds } } },
+          { session }
+        );
+
         await Professor.deleteMany(
           { _id: { $in: profObjectIds } },
           { session }
@@ -408,6 +351,11 @@ const deleteProfessor = async (req, res) => {
       { $pull: { professors: professorId } }
     );
 
+    await Subject.updateMany(
+      { professors: professorId },
+      { $pull: { professors: professorId } }
+    );
+
     await professor.deleteOne();
 
     return successResponse(res, { message: 'Professor deleted successfully' });
@@ -461,7 +409,7 @@ const getProfessorClasses = async (req, res) => {
       return errorResponse(res, 'Professor not found', 404);
     }
 
-    const classes = await Class.find({ professors: professorId })
+    const classes = await Class.find({ professors: professorId, archived: { $ne: true } })
       .populate('students', 'enrollmentNumber name');
 
     const formattedClasses = classes.map(cls => ({
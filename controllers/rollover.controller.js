@@ -0,0 +1,110 @@
+// controllers/rollover.controller.js
+const mongoose = require('mongoose');
+const { isDryRun } = require('../utils/bulkUpload.utils');
+const { DEFAULT_MAX_SEMESTER, planRollover, applyRollover } = require('../utils/rollover.utils');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+/**
+ * Optional array of ObjectIds from the body
+ * @returns {Array|null|false} null when absent, false when invalid
+ */
+const readIdList = (value) => {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.length === 0) return false;
+  return value.every(id => mongoose.Types.ObjectId.isValid(id)) ? value.map(String) : false;
+};
+
+/**
+ * @desc    End-of-term rollover: promote students to the next semester, archive
+ *          the term's classes (attendance is kept) and optionally clone them
+ *          (className / division / professors) for the new term
+ * @route   POST /api/rollover  (?dryRun=true to preview)
+ *          body: { classIds?, studentIds?, semesters?, cloneClasses?, term?, maxSemester? }
+ * @access  Private (HOD only)
+ */
+const rollover = async (req, res) => {
+  try {
+    const hodId = req.hod._id;
+    const { cloneClasses = false, term, semesters } = req.body || {};
+
+    const classIds = readIdList(req.body?.classIds);
+    if (classIds === false) return errorResponse(res, 'classIds must be a non-empty array of class ids', 400);
+    const studentIds = readIdList(req.body?.studentIds);
+    if (studentIds === false) return errorResponse(res, 'studentIds must be a non-empty array of student ids', 400);
+
+    if (semesters !== undefined && (
+      !Array.isArray(semesters) || semesters.length === 0 ||
+      !semesters.every(s => Number.isInteger(Number(s)) && Number(s) >= 1)
+    )) {
+      return errorResponse(res, 'semesters must be a non-empty array of semester numbers', 400);
+    }
+    if (studentIds && semesters) {
+      return errorResponse(res, 'Send either studentIds or semesters, not both', 400);
+    }
+
+    const maxSemester = req.body?.maxSemester !== undefined ? Number(req.body.maxSemester) : DEFAULT_MAX_SEMESTER;
+    if (!Number.isInteger(maxSemester) || maxSemester < 1) {
+      return errorResponse(res, 'maxSemester must be a positive whole number', 400);
+    }
+    if (typeof cloneClasses !== 'boolean') {
+      return errorResponse(res, 'cloneClasses must be true or false', 400);
+    }
+    if (term !== undefined && (typeof term !== 'string' || !term.trim())) {
+      return errorResponse(res, 'term must be a non-empty string', 400);
+    }
+
+    const planned = await planRollover({
+      hodId,
+      classIds,
+      studentIds,
+      semesters: semesters && semesters.map(Number),
+      cloneClasses,
+      term: term && term.trim(),
+      maxSemester,
+    });
+    if (!planned.ok) {
+      return errorResponse(res, planned.msg, planned.code, planned.details || {});
+    }
+    const { plan } = planned;
+
+    const summary = {
+      term: plan.term,
+      promoted: plan.promote.length,
+      promotedStudents: plan.promote,
+      notPromoted: plan.notPromoted,
+      archived: plan.archive.length,
+      archivedClasses: plan.archive,
+      cloned: plan.clone.length,
+    };
+
+    // 🔍 Preview only: nothing is written
+    if (isDryRun(req)) {
+      return successResponse(res, {
+        dryRun: true,
+        ...summary,
+        clonedClasses: plan.clone,
+      });
+    }
+
+    const applied = await applyRollover(plan, hodId);
+
+    return successResponse(res, {
+      message: `${applied.promoted} students promoted, ${applied.archived} classes archived, ${applied.cloned.length} classes created`,
+      ...summary,
+      promoted: applied.promoted,
+      // Previewed students whose semester changed in the meantime are left alone
+      alreadyChanged: plan.promote.length - applied.promoted,
+      archived: applied.archived,
+      cloned: applied.cloned.length,
+      clonedClasses: applied.cloned,
+    });
+
+  } catch (error) {
+    console.error('[rollover]', error);
+    return errorResponse(res, 'Server error during rollover', 500);
+  }
+};
+
+module.exports = {
+  rollover
+};
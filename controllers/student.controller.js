@@ -2,12 +2,21 @@
 const mongoose = require('mongoose');
 const Student = require('../models/student.model');
 const Class = require('../models/class.model');
-const { parseExcel } = require('../utils/excel.utils');
+const { parseExcel, generateUploadReport } = require('../utils/excel.utils');
+const {
+  isDryRun,
+  readBulkRows,
+  createPreview,
+  findUploadReport
+} = require('../utils/bulkUpload.utils');
+const { STUDENT_REPORT_COLUMNS, analyzeStudentUpload } = require('../utils/studentImport.utils');
+const { enqueueImportJob } = require('../utils/importJob.utils');
 const { successResponse, errorResponse } = require('../utils/response.utils');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { generateToken } = require('../config/jwt.config');
 const { validatePassword } = require('../utils/validation');
+const DeviceRebind = require('../models/deviceRebind.model');
+const { readDeviceId, checkStudentDevice, buildSuspiciousActivityReport } = require('../utils/device.utils');
 
 /**
  * @desc    Register FCM token for student
@@ -95,12 +104,22 @@ const loginStudent = async (req, res) => {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
+    // 📱 First login binds the device; another device is let in but flagged
+    const device = await checkStudentDevice({ student, deviceId: readDeviceId(req), event: 'login' });
+
     // Generate token for student
     const token = generateToken(student, 'student', student.createdBy);
 
     return successResponse(res, {
       message: 'Student logged in successfully',
       token,
+      device: {
+        status: device.verdict,
+        flagged: device.flagged,
+        ...(device.flagged
+          ? { message: 'This is not the device your account is registered to. Request a device change if you switched phones' }
+          : {})
+      },
       student: {
         id: student._id,
         name: student.name,
@@ -120,85 +139,75 @@ const loginStudent = async (req, res) => {
 /**
  * @desc    Bulk upload students from Excel
  * @route   POST /api/students/bulk-upload
+ *          ?dryRun=true to preview; body.token commits a preview;
+ *          ?mode=upsert updates existing students instead of skipping them;
+ *          the upload itself runs as an import job (poll GET /api/jobs/:id)
  * @access  Private (HOD only)
  */
 const bulkUploadStudents = async (req, res) => {
   try {
-    if (!req.file) {
-      return errorResponse(res, 'Please upload an Excel file', 400);
-    }
-
     const hodId = req.user.id;
-    const filePath = req.file.path;
-
-    const students = await parseExcel(filePath);
-    if (Array.isArray(students)) console.log('[bulkUploadStudents] sample:', students.slice(0, 5));
 
-    if (!students || students.length === 0) {
-      return errorResponse(res, 'No valid student data found in the Excel file', 400);
+    const upload = await readBulkRows(req, 'students', hodId, parseExcel);
+    if (upload.error) {
+      return errorResponse(res, upload.error, upload.code, upload.headers ? { headers: upload.headers } : {});
     }
 
-    const invalidStudents = students.filter(
-      student => !student.enrollmentNumber || !student.name || !student.semester
-    );
-
-    if (invalidStudents.length > 0) {
-      return errorResponse(res, 'Some student records are missing required fields', 400);
+    // 🔍 Preview only: nothing is written
+    if (isDryRun(req)) {
+      const { newStudents, duplicates, invalid, unknownClasses, diff } = await analyzeStudentUpload(upload, hodId);
+      const preview = await createPreview({
+        type: 'students',
+        hodId,
+        upload,
+        duplicates,
+        errors: invalid,
+        warnings: unknownClasses.map(u => ({
+          row: u.row,
+          enrollmentNumber: u.enrollmentNumber,
+          warning: `${u.reason}; the student is saved without it`
+        })),
+        insertCount: newStudents.length,
+        diff: upload.mode === 'upsert' ? diff : undefined
+      });
+      return successResponse(res, preview);
     }
 
-    // ✅ Check globally unique enrollment numbers
-    const existingEnrollments = await Student.find({
-      enrollmentNumber: { $in: students.map(s => s.enrollmentNumber) }
-    }).select('enrollmentNumber');
-
-    const existingEnrollmentSet = new Set(existingEnrollments.map(s => s.enrollmentNumber));
+    // ⏳ Large files would time out: the import worker writes the rows
+    const job = await enqueueImportJob({ type: 'students', hodId, upload });
+    return successResponse(res, job, 202);
 
-    const newStudents = students.filter(s => !existingEnrollmentSet.has(s.enrollmentNumber));
-
-    if (newStudents.length === 0) {
-      return errorResponse(res, 'All students in the file already exist', 400);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, Object.values(error.errors).map(e => e.message).join(', '), 400);
     }
+    console.error("[bulkUploadStudents]", error);
+    return errorResponse(res, 'Server error during bulk upload', 500);
+  }
+};
 
-    const DEFAULT_PASSWORD = "Temp@1234";
-    const salt = await bcrypt.genSalt(10);
-
-    // ✅ Hash passwords before inserting, validate if provided
-    const studentsToInsert = await Promise.all(newStudents.map(async student => {
-      let plainPassword = student.password || DEFAULT_PASSWORD;
-
-      if (student.password) {
-        const passwordError = validatePassword(plainPassword);
-        if (passwordError) {
-          console.warn(`[bulkUploadStudents] Weak password for ${student.enrollmentNumber}: ${passwordError}`);
-          // Optionally, you can skip this student or proceed with default password
-          plainPassword = DEFAULT_PASSWORD;
-        }
-      }
-
-      const hashedPassword = await bcrypt.hash(plainPassword, salt);
-      return {
-        enrollmentNumber: student.enrollmentNumber,
-        name: student.name,
-        semester: student.semester,
-        division: student.division || null,
-        classIds: [],
-        fcmTokens: [],
-        password: hashedPassword,
-        createdBy: hodId
-      };
-    }));
+/**
+ * @desc    Download the annotated report of a bulk upload
+ * @route   GET /api/students/bulk-upload/report/:token
+ * @access  Private (HOD only)
+ */
+const downloadUploadReport = async (req, res) => {
+  try {
+    const report = await findUploadReport('students', req.user.id, req.params.token);
+    if (!report) {
+      return errorResponse(res, 'Report not found or expired', 404);
+    }
 
-    const insertedStudents = await Student.insertMany(studentsToInsert);
+    const buffer = generateUploadReport(STUDENT_REPORT_COLUMNS, report.rows);
+    const baseName = (report.fileName || 'students').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
 
-    return successResponse(res, {
-      message: `${insertedStudents.length} students uploaded successfully`,
-      totalUploaded: insertedStudents.length,
-      totalSkipped: students.length - newStudents.length
-    }, 201);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}_report.xlsx"`);
+    return res.send(buffer);
 
   } catch (error) {
-    console.error("[bulkUploadStudents]", error);
-    return errorResponse(res, 'Server error during bulk upload', 500);
+    console.error('[downloadUploadReport]', error);
+    return errorResponse(res, 'Server error while generating upload report', 500);
   }
 };
 
@@ -280,7 +289,7 @@ const updateStudent = async (req, res) => {
   try {
     const studentId = req.params.id;
     const hodId = req.user.id;
-    let { name, enrollmentNumber, semester, classId, division, password } = req.body;
+    let { name, enrollmentNumber, semester, classId, division, password, email } = req.body;
 
     let student = await Student.findOne({
       _id: studentId,
@@ -343,6 +352,7 @@ const updateStudent = async (req, res) => {
       if (!Number.isNaN(semNum)) student.semester = semNum;
     }
     if (division !== undefined) student.division = division;
+    if (email !== undefined) student.email = email || null;
     if (password) student.password = password;
 
     await student.save();
@@ -353,6 +363,9 @@ const updateStudent = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, Object.values(error.errors).map(e => e.message).join(', '), 400);
+    }
     console.error("[updateStudent]", error);
     return errorResponse(res, 'Server error while updating student', 500);
   }
@@ -495,7 +508,7 @@ const deleteStudentsBulk = async (req, res) => {
 const addStudent = async (req, res) => {
   try {
     const hodId = req.user.id;
-    let { enrollmentNumber, name, semester, division, classId, password } = req.body;
+    let { enrollmentNumber, name, semester, division, classId, password, email } = req.body;
 
     if (!enrollmentNumber || !name || !semester || !password) {
       return errorResponse(res, "Enrollment number, name, semester, and password are required", 400);
@@ -532,6 +545,7 @@ const addStudent = async (req, res) => {
       name,
       semester,
       division: division || null,
+      email: email || null,
       classIds: resolvedClassId ? [resolvedClassId] : [],
       password,
       createdBy: hodId
@@ -552,6 +566,9 @@ const addStudent = async (req, res) => {
     }, 201);
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, Object.values(error.errors).map(e => e.message).join(', '), 400);
+    }
     console.error("[addStudent]", error);
     return errorResponse(res, "Server error while adding student", 500);
   }
@@ -583,6 +600,7 @@ const getStudentProfile = async (req, res) => {
         enrollmentNumber: student.enrollmentNumber,
         semester: student.semester,
         division: student.division,
+        email: student.email || null,
         classes: student.classIds, // now populated
       }
     });
@@ -595,8 +613,174 @@ const getStudentProfile = async (req, res) => {
 
 
 
+/**
+ * @desc    Bound device and any pending device change request
+ * @route   GET /api/students/me/device
+ * @access  Private (Student only)
+ */
+const getMyDevice = async (req, res) => {
+  try {
+    const student = await Student.findById(req.student._id).select('device').lean();
+    const pendingRequest = await DeviceRebind.findOne({ studentId: req.student._id, status: 'pending' })
+      .select('toDeviceId reason createdAt')
+      .lean();
+
+    return successResponse(res, {
+      device: student?.device?.deviceId ? student.device : null,
+      pendingRequest
+    });
+  } catch (error) {
+    console.error('[getMyDevice]', error);
+    return errorResponse(res, 'Server error while fetching device', 500);
+  }
+};
+
+/**
+ * @desc    Ask the HOD to move the account to a new device
+ * @route   POST /api/students/me/device/rebind
+ * @access  Private (Student only)
+ * @body    { deviceId (or X-Device-Id header), reason? }
+ */
+const requestDeviceRebind = async (req, res) => {
+  try {
+    const deviceId = readDeviceId(req);
+    if (!deviceId) {
+      return errorResponse(res, 'deviceId is required', 400);
+    }
+
+    const student = await Student.findById(req.student._id).select('device createdBy').lean();
+    if (student.device?.deviceId === deviceId) {
+      return errorResponse(res, 'Your account is already registered to this device', 400);
+    }
+
+    const request = await DeviceRebind.create({
+      studentId: student._id,
+      hodId: student.createdBy,
+      fromDeviceId: student.device?.deviceId || null,
+      toDeviceId: deviceId,
+      reason: req.body.reason || ''
+    });
+
+    return successResponse(res, {
+      message: 'Device change requested. Your HOD has to approve it',
+      request: { id: request._id, toDeviceId: request.toDeviceId, status: request.status, createdAt: request.createdAt }
+    }, 201);
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 'You already have a pending device change request', 409);
+    }
+    console.error('[requestDeviceRebind]', error);
+    return errorResponse(res, 'Server error while requesting device change', 500);
+  }
+};
+
+/**
+ * @desc    Device change requests of the HOD's students
+ * @route   GET /api/students/device-rebinds  (?status=pending|approved|rejected|all, default pending)
+ * @access  Private (HOD only)
+ */
+const getDeviceRebinds = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      return errorResponse(res, 'status must be pending, approved, rejected or all', 400);
+    }
+
+    const query = { hodId: req.user.id };
+    if (status !== 'all') query.status = status;
+
+    const requests = await DeviceRebind.find(query)
+      .populate('studentId', 'enrollmentNumber name semester division')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return successResponse(res, { requests });
+  } catch (error) {
+    console.error('[getDeviceRebinds]', error);
+    return errorResponse(res, 'Server error while fetching device change requests', 500);
+  }
+};
+
+/**
+ * @desc    Approve (the student is bound to the new device) or reject a device change
+ * @route   POST /api/students/device-rebinds/:requestId/review
+ * @access  Private (HOD only)
+ * @body    { decision: 'approve' | 'reject', note? }
+ */
+const reviewDeviceRebind = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { decision, note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return errorResponse(res, 'Invalid requestId', 400);
+    }
+    if (!['approve', 'reject'].includes(decision)) {
+      return errorResponse(res, 'decision must be approve or reject', 400);
+    }
+
+    const request = await DeviceRebind.findOneAndUpdate(
+      { _id: requestId, hodId: req.user.id, status: 'pending' },
+      {
+        $set: {
+          status: decision === 'approve' ? 'approved' : 'rejected',
+          reviewedBy: req.user.id,
+          reviewedAt: new Date(),
+          reviewNote: note || ''
+        }
+      },
+      { new: true }
+    );
+    if (!request) {
+      return errorResponse(res, 'Pending request not found', 404);
+    }
+
+    if (decision === 'approve') {
+      await Student.updateOne(
+        { _id: request.studentId, createdBy: req.user.id },
+        { $set: { device: { deviceId: request.toDeviceId, boundAt: new Date() } } }
+      );
+    }
+
+    return successResponse(res, {
+      message: decision === 'approve' ? 'Device change approved' : 'Device change rejected',
+      request
+    });
+  } catch (error) {
+    console.error('[reviewDeviceRebind]', error);
+    return errorResponse(res, 'Server error while reviewing device change', 500);
+  }
+};
+
+/**
+ * @desc    Students sharing FCM tokens or devices with other students, and
+ *          logins / check-ins from unrecognised devices
+ * @route   GET /api/students/suspicious-activity  (?days=30: flags and check-ins of the last N days)
+ * @access  Private (HOD only)
+ */
+const getSuspiciousActivity = async (req, res) => {
+  try {
+    const days = req.query.days == null ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return errorResponse(res, 'days must be a whole number between 1 and 365', 400);
+    }
+
+    const sinceMs = Date.now() - days * 24 * 60 * 60 * 1000;
+    const report = await buildSuspiciousActivityReport(req.hod._id, sinceMs);
+
+    return successResponse(res, {
+      since: new Date(sinceMs).toISOString(),
+      count: report.students.length,
+      ...report
+    });
+  } catch (error) {
+    console.error('[getSuspiciousActivity]', error);
+    return errorResponse(res, 'Server error while building suspicious activity report', 500);
+  }
+};
+
 module.exports = {
   bulkUploadStudents,
+  downloadUploadReport,
   getStudents,
   getStudentById,
   updateStudent,
@@ -607,5 +791,10 @@ module.exports = {
   loginStudent,
   registerFcmToken,
   removeFcmToken,
-  getStudentProfile
+  getStudentProfile,
+  getMyDevice,
+  requestDeviceRebind,
+  getDeviceRebinds,
+  reviewDeviceRebind,
+  getSuspiciousActivity
 };
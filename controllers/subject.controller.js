@@ -0,0 +1,261 @@
+// controllers/subject.controller.js
+const mongoose = require('mongoose');
+const Subject = require('../models/subject.model');
+const Class = require('../models/class.model');
+const Professor = require('../models/professor.model');
+const Timetable = require('../models/timetable.model');
+const Attendance = require('../models/attendance.model');
+const { findClassForUser } = require('../utils/access.utils');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+/**
+ * @desc    Get subjects of a class
+ * @route   GET /api/classes/:id/subjects
+ * @access  Private (HOD, assigned Professors, enrolled Students)
+ */
+const getSubjects = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+
+    const classData = await findClassForUser(req.params.id, req.user);
+    if (!classData) return errorResponse(res, 'Class not found', 404);
+
+    const subjects = await Subject.find({ classId: classData._id })
+      .sort({ name: 1 })
+      .populate('professors', 'name email');
+
+    return successResponse(res, { classId: classData._id, subjects });
+  } catch (error) {
+    console.error('[getSubjects]', error);
+    return errorResponse(res, 'Server error while fetching subjects', 500);
+  }
+};
+
+/**
+ * @desc    Create a subject in a class
+ * @route   POST /api/classes/:id/subjects
+ * @access  Private (HOD only)
+ * @body    { name, code? }
+ */
+const createSubject = async (req, res) => {
+  try {
+    const hodId = req.user.id;
+    const { name, code } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return errorResponse(res, 'Subject name is required', 400);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+
+    const classData = await Class.findOne({ _id: req.params.id, createdBy: hodId });
+    if (!classData) return errorResponse(res, 'Class not found', 404);
+
+    const subject = await Subject.create({
+      name: String(name).trim(),
+      code: code ? String(code).trim() : '',
+      classId: classData._id,
+      professors: [],
+      createdBy: hodId
+    });
+
+    return successResponse(res, {
+      message: 'Subject created successfully',
+      subject
+    }, 201);
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 'Subject already exists in this class', 400);
+    }
+    console.error('[createSubject]', error);
+    return errorResponse(res, 'Server error while creating subject', 500);
+  }
+};
+
+/**
+ * @desc    Update a subject
+ * @route   PUT /api/classes/:id/subjects/:subjectId
+ * @access  Private (HOD only)
+ */
+const updateSubject = async (req, res) => {
+  try {
+    const { id, subjectId } = req.params;
+    const { name, code } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
+    const subject = await Subject.findOne({ _id: subjectId, classId: id, createdBy: req.user.id });
+    if (!subject) return errorResponse(res, 'Subject not found', 404);
+
+    if (name && String(name).trim()) subject.name = String(name).trim();
+    if (code !== undefined) subject.code = code ? String(code).trim() : '';
+
+    await subject.save();
+
+    // Keep timetable labels in sync with the subject name
+    await Timetable.updateMany({ subjectId: subject._id }, { $set: { subject: subject.name } });
+
+    return successResponse(res, {
+      message: 'Subject updated successfully',
+      subject
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 'Subject already exists in this class', 400);
+    }
+    console.error('[updateSubject]', error);
+    return errorResponse(res, 'Server error while updating subject', 500);
+  }
+};
+
+/**
+ * @desc    Delete a subject
+ * @route   DELETE /api/classes/:id/subjects/:subjectId
+ * @access  Private (HOD only)
+ */
+const deleteSubject = async (req, res) => {
+  try {
+    const { id, subjectId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
+    const subject = await Subject.findOne({ _id: subjectId, classId: id, createdBy: req.user.id });
+    if (!subject) return errorResponse(res, 'Subject not found', 404);
+
+    // Detach timetable slots and attendance rows, attendance itself is kept
+    await Timetable.updateMany({ subjectId: subject._id }, { $set: { subjectId: null } });
+    await Attendance.updateMany({ subjectId: subject._id }, { $set: { subjectId: null } });
+
+    await subject.deleteOne();
+
+    return successResponse(res, { message: 'Subject deleted successfully' });
+  } catch (error) {
+    console.error('[deleteSubject]', error);
+    return errorResponse(res, 'Server error while deleting subject', 500);
+  }
+};
+
+/**
+ * @desc    Assign professors to a subject (also assigns them to the class)
+ * @route   POST /api/classes/:id/subjects/:subjectId/professors
+ * @access  Private (HOD only)
+ * @body    { professorIds: [] }
+ */
+const assignProfessorsToSubject = async (req, res) => {
+  try {
+    const hodId = req.user.id;
+    const { id, subjectId } = req.params;
+    const { professorIds } = req.body;
+
+    if (!professorIds || !Array.isArray(professorIds) || professorIds.length === 0) {
+      return errorResponse(res, 'Please provide an array of professor IDs', 400);
+    }
+    if (!professorIds.every(pid => mongoose.Types.ObjectId.isValid(pid))) {
+      return errorResponse(res, 'One or more professor IDs are invalid', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
+    const subject = await Subject.findOne({ _id: subjectId, classId: id, createdBy: hodId });
+    if (!subject) return errorResponse(res, 'Subject not found', 404);
+
+    const profObjectIds = professorIds.map(pid => new mongoose.Types.ObjectId(pid));
+
+    const professorsFound = await Professor.countDocuments({
+      _id: { $in: profObjectIds },
+      createdBy: hodId
+    });
+    if (professorsFound !== profObjectIds.length) {
+      return errorResponse(res, 'One or more professors not found', 404);
+    }
+
+    await Subject.updateOne(
+      { _id: subject._id },
+      { $addToSet: { professors: { $each: profObjectIds } } }
+    );
+
+    // A subject professor must also be able to see and mark the class
+    await Class.updateOne(
+      { _id: subject.classId },
+      { $addToSet: { professors: { $each: profObjectIds } } }
+    );
+    await Professor.updateMany(
+      { _id: { $in: profObjectIds } },
+      { $addToSet: { classes: subject.classId } }
+    );
+
+    return successResponse(res, {
+      message: `${profObjectIds.length} professors assigned to subject successfully`
+    });
+  } catch (error) {
+    console.error('[assignProfessorsToSubject]', error);
+    return errorResponse(res, 'Server error while assigning professors', 500);
+  }
+};
+
+/**
+ * @desc    Remove professors from a subject (class assignment is left as is)
+ * @route   DELETE /api/classes/:id/subjects/:subjectId/professors
+ * @access  Private (HOD only)
+ * @body    { professorIds: [] }
+ */
+const removeProfessorsFromSubject = async (req, res) => {
+  try {
+    const { id, subjectId } = req.params;
+    const { professorIds } = req.body;
+
+    if (!professorIds || !Array.isArray(professorIds) || professorIds.length === 0) {
+      return errorResponse(res, 'Please provide an array of professor IDs', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      return errorResponse(res, 'Invalid subjectId', 400);
+    }
+
+    const subject = await Subject.findOne({ _id: subjectId, classId: id, createdBy: req.user.id });
+    if (!subject) return errorResponse(res, 'Subject not found', 404);
+
+    const profObjectIds = professorIds
+      .filter(pid => mongoose.Types.ObjectId.isValid(pid))
+      .map(pid => new mongoose.Types.ObjectId(pid));
+
+    await Subject.updateOne(
+      { _id: subject._id },
+      { $pull: { professors: { $in: profObjectIds } } }
+    );
+
+    return successResponse(res, { message: 'Professors removed from subject successfully' });
+  } catch (error) {
+    console.error('[removeProfessorsFromSubject]', error);
+    return errorResponse(res, 'Server error while removing professors', 500);
+  }
+};
+
+module.exports = {
+  getSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject,
+  assignProfessorsToSubject,
+  removeProfessorsFromSubject
+};
@@ -0,0 +1,70 @@
+// controllers/template.controller.js
+const Class = require('../models/class.model');
+const Student = require('../models/student.model');
+const { findClassForUser } = require('../utils/access.utils');
+const { TEMPLATE_TYPES, buildTemplate } = require('../utils/template.utils');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+/**
+ * @desc    Download a pre-formatted Excel template for a bulk upload
+ * @route   GET /api/templates/:type  (students | professors | classes | attendance[?classId=])
+ * @access  Private (HOD; professors may download the attendance template)
+ */
+const getTemplate = async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!TEMPLATE_TYPES.includes(type)) {
+      return errorResponse(res, `type must be one of: ${TEMPLATE_TYPES.join(', ')}`, 400);
+    }
+    if (type !== 'attendance' && !req.hod) {
+      return errorResponse(res, 'Only HODs can download this template', 403);
+    }
+
+    const options = {};
+    let fileName = `${type}_template.xlsx`;
+
+    if (type === 'attendance' && req.query.classId) {
+      // Pre-fill the class's students
+      const cls = await findClassForUser(req.query.classId, req.user);
+      if (!cls) return errorResponse(res, 'Class not found', 404);
+
+      options.students = await Student.find({
+        $or: [{ _id: { $in: cls.students } }, { classIds: cls._id }]
+      })
+        .select('enrollmentNumber name')
+        .sort({ enrollmentNumber: 1 })
+        .lean();
+      fileName = `attendance_${cls.className}_${cls.division}_template.xlsx`.replace(/[^\w.-]+/g, '_');
+    } else if (type !== 'attendance') {
+      // Division dropdown offers the divisions the HOD already uses
+      options.divisions = (await Class.distinct('division', { createdBy: req.hod._id })).sort();
+    }
+
+    const buffer = await buildTemplate(type, options);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(Buffer.from(buffer));
+
+  } catch (error) {
+    console.error('[getTemplate]', error);
+    return errorResponse(res, 'Server error while generating template', 500);
+  }
+};
+
+/**
+ * @desc    List the available templates
+ * @route   GET /api/templates
+ * @access  Private (HOD or Professor)
+ */
+const listTemplates = async (req, res) => {
+  const types = req.hod ? TEMPLATE_TYPES : ['attendance'];
+  return successResponse(res, {
+    templates: types.map(type => ({ type, url: `/api/templates/${type}` }))
+  });
+};
+
+module.exports = {
+  getTemplate,
+  listTemplates
+};
@@ -0,0 +1,235 @@
+// controllers/timetable.controller.js
+const mongoose = require('mongoose');
+const Timetable = require('../models/timetable.model');
+const Class = require('../models/class.model');
+const Professor = require('../models/professor.model');
+const Subject = require('../models/subject.model');
+const { parseWeekday } = require('../utils/timetable.utils');
+const { findClassForUser } = require('../utils/access.utils');
+const { successResponse, errorResponse } = require('../utils/response.utils');
+
+/**
+ * Validate an optional professorId against the HOD's professors
+ * @returns {Object} { ok, professor, msg }
+ */
+const resolveProfessor = async (professorId, hodId) => {
+  if (professorId === undefined) return { ok: true, professor: undefined };
+  if (professorId === null || professorId === '') return { ok: true, professor: null };
+
+  if (!mongoose.Types.ObjectId.isValid(professorId)) {
+    return { ok: false, msg: 'Invalid professorId' };
+  }
+  const professor = await Professor.findOne({ _id: professorId, createdBy: hodId }).select('_id');
+  if (!professor) return { ok: false, msg: 'Professor not found' };
+
+  return { ok: true, professor: professor._id };
+};
+
+/**
+ * Validate an optional subjectId against the class's subjects
+ * @returns {Object} { ok, subject, msg }
+ */
+const resolveSubject = async (subjectId, classId) => {
+  if (subjectId === undefined) return { ok: true, subject: undefined };
+  if (subjectId === null || subjectId === '') return { ok: true, subject: null };
+
+  if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+    return { ok: false, msg: 'Invalid subjectId' };
+  }
+  const subject = await Subject.findOne({ _id: subjectId, classId }).select('_id name');
+  if (!subject) return { ok: false, msg: 'Subject not found in this class' };
+
+  return { ok: true, subject };
+};
+
+/**
+ * @desc    Get timetable of a class
+ * @route   GET /api/classes/:id/timetable
+ * @access  Private (HOD, assigned Professors, enrolled Students)
+ */
+const getTimetable = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+
+    const classData = await findClassForUser(req.params.id, req.user);
+    if (!classData) return errorResponse(res, 'Class not found', 404);
+
+    const filter = { classId: classData._id };
+    if (req.query.weekday !== undefined) {
+      const weekday = parseWeekday(req.query.weekday);
+      if (weekday === null) return errorResponse(res, 'Invalid weekday', 400);
+      filter.weekday = weekday;
+    }
+
+    const timetable = await Timetable.find(filter)
+      .sort({ weekday: 1, slotNumber: 1 })
+      .populate('professor', 'name email')
+      .populate('subjectId', 'name code');
+
+    return successResponse(res, { classId: classData._id, timetable });
+  } catch (error) {
+    console.error('[getTimetable]', error);
+    return errorResponse(res, 'Server error while fetching timetable', 500);
+  }
+};
+
+/**
+ * @desc    Add a slot to a class timetable
+ * @route   POST /api/classes/:id/timetable
+ * @access  Private (HOD only)
+ * @body    { weekday, slotNumber, startTime, endTime, subject?, subjectId?, professorId? }
+ */
+const addTimetableEntry = async (req, res) => {
+  try {
+    const hodId = req.user.id;
+    const { weekday, slotNumber, startTime, endTime, subject, subjectId, professorId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+
+    const classData = await Class.findOne({ _id: req.params.id, createdBy: hodId });
+    if (!classData) return errorResponse(res, 'Class not found', 404);
+
+    const parsedWeekday = parseWeekday(weekday);
+    if (parsedWeekday === null) {
+      return errorResponse(res, 'weekday must be 0-6 or a day name', 400);
+    }
+    if (slotNumber == null || !startTime || !endTime) {
+      return errorResponse(res, 'slotNumber, startTime and endTime are required', 400);
+    }
+
+    const prof = await resolveProfessor(professorId, hodId);
+    if (!prof.ok) return errorResponse(res, prof.msg, 400);
+
+    const subj = await resolveSubject(subjectId, classData._id);
+    if (!subj.ok) return errorResponse(res, subj.msg, 400);
+
+    const entry = await Timetable.create({
+      classId: classData._id,
+      weekday: parsedWeekday,
+      slotNumber: Number(slotNumber),
+      startTime,
+      endTime,
+      subject: subj.subject ? subj.subject.name : (subject || ''),
+      subjectId: subj.subject ? subj.subject._id : null,
+      professor: prof.professor || null,
+      createdBy: hodId
+    });
+
+    return successResponse(res, {
+      message: 'Timetable entry added successfully',
+      entry
+    }, 201);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    if (error.code === 11000) {
+      return errorResponse(res, 'This slot is already scheduled for that weekday', 400);
+    }
+    console.error('[addTimetableEntry]', error);
+    return errorResponse(res, 'Server error while adding timetable entry', 500);
+  }
+};
+
+/**
+ * @desc    Update a timetable entry
+ * @route   PUT /api/classes/:id/timetable/:entryId
+ * @access  Private (HOD only)
+ */
+const updateTimetableEntry = async (req, res) => {
+  try {
+    const hodId = req.user.id;
+    const { id, entryId } = req.params;
+    const { weekday, slotNumber, startTime, endTime, subject, subjectId, professorId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      return errorResponse(res, 'Invalid timetable entry id', 400);
+    }
+
+    const entry = await Timetable.findOne({ _id: entryId, classId: id, createdBy: hodId });
+    if (!entry) return errorResponse(res, 'Timetable entry not found', 404);
+
+    if (weekday !== undefined) {
+      const parsedWeekday = parseWeekday(weekday);
+      if (parsedWeekday === null) {
+        return errorResponse(res, 'weekday must be 0-6 or a day name', 400);
+      }
+      entry.weekday = parsedWeekday;
+    }
+    if (slotNumber != null) entry.slotNumber = Number(slotNumber);
+    if (startTime) entry.startTime = startTime;
+    if (endTime) entry.endTime = endTime;
+    if (subject !== undefined) entry.subject = subject || '';
+
+    const prof = await resolveProfessor(professorId, hodId);
+    if (!prof.ok) return errorResponse(res, prof.msg, 400);
+    if (prof.professor !== undefined) entry.professor = prof.professor;
+
+    const subj = await resolveSubject(subjectId, entry.classId);
+    if (!subj.ok) return errorResponse(res, subj.msg, 400);
+    if (subj.subject !== undefined) {
+      entry.subjectId = subj.subject ? subj.subject._id : null;
+      if (subj.subject) entry.subject = subj.subject.name;
+    }
+
+    await entry.save();
+
+    return successResponse(res, {
+      message: 'Timetable entry updated successfully',
+      entry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    if (error.code === 11000) {
+      return errorResponse(res, 'This slot is already scheduled for that weekday', 400);
+    }
+    console.error('[updateTimetableEntry]', error);
+    return errorResponse(res, 'Server error while updating timetable entry', 500);
+  }
+};
+
+/**
+ * @desc    Delete a timetable entry
+ * @route   DELETE /api/classes/:id/timetable/:entryId
+ * @access  Private (HOD only)
+ */
+const deleteTimetableEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid class id', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      return errorResponse(res, 'Invalid timetable entry id', 400);
+    }
+
+    const result = await Timetable.deleteOne({ _id: entryId, classId: id, createdBy: req.user.id });
+    if (result.deletedCount === 0) {
+      return errorResponse(res, 'Timetable entry not found', 404);
+    }
+
+    return successResponse(res, { message: 'Timetable entry deleted successfully' });
+  } catch (error) {
+    console.error('[deleteTimetableEntry]', error);
+    return errorResponse(res, 'Server error while deleting timetable entry', 500);
+  }
+};
+
+module.exports = {
+  getTimetable,
+  addTimetableEntry,
+  updateTimetableEntry,
+  deleteTimetableEntry
+};
@@ -0,0 +1,134 @@
+// jobs/bulkImport.job.js
+const ImportJob = require('../models/importJob.model');
+const { finishImportJob } = require('../utils/importJob.utils');
+const { openRowPasswords } = require('../utils/bulkUpload.utils');
+const { runStudentImport } = require('../utils/studentImport.utils');
+const { runProfessorImport } = require('../utils/professorImport.utils');
+const { runClassImport } = require('../utils/classImport.utils');
+
+// How often the worker looks for queued uploads; 0 disables it
+const POLL_MS = Number(process.env.IMPORT_WORKER_POLL_MS ?? 2000);
+
+// A running job not heard from for this long is considered abandoned (crash, restart)
+const LOCK_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Progress is written at most this often
+const PROGRESS_EVERY_MS = 1000;
+
+const RUNNERS = {
+  students: runStudentImport,
+  professors: runProfessorImport,
+  classes: runClassImport,
+};
+
+/**
+ * Take the oldest queued job, or an abandoned running one, and mark it running
+ * @returns {Promise<Object|null>} lean ImportJob
+ */
+const claimNextJob = () => {
+  const now = new Date();
+  return ImportJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: 'running', startedAt: now, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  ).lean();
+};
+
+/**
+ * Run one claimed job to completion and store its outcome
+ * @param {Object} job - lean ImportJob
+ */
+const runImportJob = async (job) => {
+  if (job.attempts > MAX_ATTEMPTS) {
+    await finishImportJob(job._id, {
+      status: 'failed',
+      error: `Import stopped after ${MAX_ATTEMPTS} attempts`,
+    });
+    return;
+  }
+
+  let lastWrite = 0;
+  const onProgress = async (processed, total) => {
+    if (processed < total && Date.now() - lastWrite < PROGRESS_EVERY_MS) return;
+    lastWrite = Date.now();
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { $set: { progress: { processed, total }, lockedUntil: new Date(lastWrite + LOCK_MS) } }
+    );
+  };
+
+  try {
+    // On a retry, records created since the job was queued are its own earlier work
+    const resumeSince = job.attempts > 1 ? job.createdAt : null;
+    // Queued passwords are encrypted; the runner hashes them as it imports
+    const rows = openRowPasswords(job.payload.rows);
+    const outcome = await RUNNERS[job.type](
+      { hodId: job.hodId, upload: { ...job.payload, rows, fileName: job.fileName, resumeSince } },
+      onProgress
+    );
+
+    if (outcome.ok) {
+      await finishImportJob(job._id, { status: 'completed', result: { code: outcome.code, ...outcome.data } });
+    } else {
+      await finishImportJob(job._id, {
+        status: 'failed',
+        error: outcome.msg,
+        result: { code: outcome.code, ...(outcome.details || {}) },
+      });
+    }
+    console.log(`[importWorker] Job ${job._id} (${job.type}) ${outcome.ok ? 'completed' : `failed: ${outcome.msg}`}`);
+  } catch (err) {
+    console.error(`[importWorker] Job ${job._id} (${job.type}) failed:`, err);
+    const error = err.name === 'ValidationError'
+      ? Object.values(err.errors).map(e => e.message).join(', ')
+      : 'Server error during bulk upload';
+    await finishImportJob(job._id, { status: 'failed', error });
+  }
+};
+
+let running = false;
+
+/**
+ * Work through the queue, one job at a time, until it is empty
+ */
+const runImportWorker = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runImportJob(job);
+    }
+  } catch (err) {
+    console.error('[importWorker] Poll failed:', err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Poll for queued import jobs every IMPORT_WORKER_POLL_MS
+ */
+const startImportWorker = () => {
+  if (!Number.isFinite(POLL_MS) || POLL_MS <= 0) {
+    console.log('[importWorker] Disabled');
+    return;
+  }
+
+  setInterval(runImportWorker, POLL_MS);
+};
+
+module.exports = {
+  runImportWorker,
+  startImportWorker
+};
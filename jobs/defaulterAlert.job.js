@@ -0,0 +1,159 @@
+// jobs/defaulterAlert.job.js
+const HOD = require('../models/hod.model');
+const Class = require('../models/class.model');
+const Student = require('../models/student.model');
+const DefaulterAlert = require('../models/defaulterAlert.model');
+const { getCalendar, getTermToDateRange } = require('../utils/calendar.utils');
+const { findDefaulters } = require('../utils/defaulter.utils');
+const { sendPushToStudents } = require('../utils/notification.utils');
+const { sendDefaulterWarningEmail, sendDefaulterDigestEmail } = require('../config/email.config');
+
+// How often the check runs; 0 disables it
+const INTERVAL_HOURS = Number(process.env.DEFAULTER_ALERT_INTERVAL_HOURS ?? 24);
+
+/**
+ * Warn students of one HOD who newly fell below the threshold (term-to-date)
+ * and mail the HOD a digest of every current defaulter, new or not.
+ * @param {Object} hod - lean HOD ({ _id, name, email, attendanceSettings })
+ * @returns {Promise<Number>} number of new alerts sent
+ */
+const alertHodDefaulters = async (hod) => {
+  const threshold = hod.attendanceSettings?.defaulterThreshold ?? 75;
+  const range = getTermToDateRange(await getCalendar(hod._id), Date.now());
+
+  const classes = await Class.find({ createdBy: hod._id, archived: { $ne: true } }).select('className division').lean();
+  if (classes.length === 0) return 0;
+
+  const report = await findDefaulters(classes, range.startMs, range.endMs, { threshold });
+
+  const current = report.flatMap(c => c.defaulters.map(d => ({ ...d, cls: c })));
+  const keyOf = (studentId, classId) => `${studentId}|${classId}`;
+  const currentKeys = new Set(current.map(d => keyOf(d.studentId, d.cls.classId)));
+
+  const existing = await DefaulterAlert.find({ hodId: hod._id, rangeStartMs: range.startMs }).lean();
+  const alertedKeys = new Set(existing.map(a => keyOf(a.studentId, a.classId)));
+
+  // Students back above the threshold get warned again if they drop later
+  const recovered = existing.filter(a => !currentKeys.has(keyOf(a.studentId, a.classId)));
+  if (recovered.length > 0) {
+    await DefaulterAlert.deleteMany({ _id: { $in: recovered.map(a => a._id) } });
+  }
+
+  if (current.length === 0) return 0;
+
+  const fresh = current.filter(d => !alertedKeys.has(keyOf(d.studentId, d.cls.classId)));
+
+  // Only students not warned yet this term get a warning; the digest lists everyone
+  if (fresh.length > 0) {
+    const students = await Student.find({ _id: { $in: fresh.map(d => d.studentId) } }).select('email').lean();
+    const emailById = new Map(students.map(s => [String(s._id), s.email]));
+
+    for (const d of fresh) {
+      await sendPushToStudents(
+        [d.studentId],
+        {
+          title: 'Low attendance warning',
+          body: `Your attendance in ${d.cls.className} (${d.cls.division}) is ${d.percentage}%, below the required ${threshold}%.`,
+        },
+        { type: 'defaulter', classId: d.cls.classId, percentage: String(d.percentage) }
+      );
+
+      const email = emailById.get(d.studentId);
+      if (email) {
+        try {
+          await sendDefaulterWarningEmail(email, {
+            name: d.name,
+            className: d.cls.className,
+            division: d.cls.division,
+            percentage: d.percentage,
+            threshold,
+          });
+        } catch (err) {
+          console.error(`[defaulterAlerts] Email to student ${d.studentId} failed:`, err.message);
+        }
+      }
+    }
+
+    await DefaulterAlert.insertMany(
+      fresh.map(d => ({
+        studentId: d.studentId,
+        classId: d.cls.classId,
+        hodId: hod._id,
+        rangeStartMs: range.startMs,
+        percentage: d.percentage,
+        threshold,
+      })),
+      { ordered: false }
+    );
+  }
+
+  const freshKeys = new Set(fresh.map(d => keyOf(d.studentId, d.cls.classId)));
+  try {
+    await sendDefaulterDigestEmail(hod.email, {
+      name: hod.username,
+      threshold,
+      rangeLabel: range.termName
+        ? `${range.termName} to date`
+        : `since ${new Date(range.startMs).toISOString().split('T')[0]}`,
+      rows: current.map(d => ({
+        className: d.cls.className,
+        division: d.cls.division,
+        enrollmentNumber: d.enrollmentNumber,
+        studentName: d.name,
+        percentage: d.percentage,
+        isNew: freshKeys.has(keyOf(d.studentId, d.cls.classId)),
+      })),
+    });
+  } catch (err) {
+    console.error(`[defaulterAlerts] Digest to HOD ${hod._id} failed:`, err.message);
+  }
+
+  return fresh.length;
+};
+
+let running = false;
+
+/**
+ * One pass over every verified HOD; a failing HOD does not stop the others
+ */
+const runDefaulterAlerts = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const hods = await HOD.find({ verified: true }).select('username email attendanceSettings').lean();
+    let sent = 0;
+
+    for (const hod of hods) {
+      try {
+        sent += await alertHodDefaulters(hod);
+      } catch (err) {
+        console.error(`[defaulterAlerts] HOD ${hod._id} failed:`, err);
+      }
+    }
+
+    console.log(`[defaulterAlerts] Run finished: ${sent} new alert(s)`);
+  } catch (err) {
+    console.error('[defaulterAlerts] Run failed:', err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Schedule the check every DEFAULTER_ALERT_INTERVAL_HOURS (first run a minute after boot)
+ */
+const startDefaulterAlertJob = () => {
+  if (!Number.isFinite(INTERVAL_HOURS) || INTERVAL_HOURS <= 0) {
+    console.log('[defaulterAlerts] Disabled');
+    return;
+  }
+
+  setTimeout(runDefaulterAlerts, 60 * 1000);
+  setInterval(runDefaulterAlerts, INTERVAL_HOURS * 60 * 60 * 1000);
+};
+
+module.exports = {
+  runDefaulterAlerts,
+  startDefaulterAlertJob
+};
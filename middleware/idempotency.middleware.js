@@ -0,0 +1,78 @@
+// middleware/idempotency.middleware.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey.model');
+const { errorResponse } = require('../utils/response.utils');
+
+const MAX_KEY_LENGTH = 255;
+
+// How long a key (and the response stored for it) is remembered
+const KEY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// A key still 'processing' after this long belongs to a request that never
+// answered (server restarted mid-request) and may be taken over by a retry
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+// -------------------------------
+// Idempotent: honour an Idempotency-Key header on a write route.
+// A retry of a request that already succeeded gets the stored response back
+// (with Idempotent-Replayed: true) and the handler does not run again, so
+// nothing is written or notified twice. Needs authenticate before it.
+// -------------------------------
+
+const idempotent = async (req, res, next) => {
+  const header = req.get('Idempotency-Key');
+  if (header === undefined) return next();
+
+  const key = header.trim();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return errorResponse(res, `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, 400);
+  }
+
+  const scope = { userId: req.user.id, key };
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body ?? {})).digest('hex');
+
+  try {
+    await IdempotencyKey.create({ ...scope, route, requestHash, expiresAt: new Date(Date.now() + KEY_TTL_MS) });
+  } catch (err) {
+    if (err.code !== 11000) return next(err);
+
+    const stored = await IdempotencyKey.findOne(scope).lean();
+    if (stored && (stored.route !== route || stored.requestHash !== requestHash)) {
+      return errorResponse(res, 'This Idempotency-Key was already used for a different request', 422);
+    }
+    if (stored?.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.responseStatus).json(stored.responseBody);
+    }
+
+    const abandoned = stored && Date.now() - new Date(stored.updatedAt).getTime() > PROCESSING_TIMEOUT_MS;
+    const claimed = abandoned && await IdempotencyKey.findOneAndUpdate(
+      { _id: stored._id, status: 'processing', updatedAt: stored.updatedAt },
+      { $set: { expiresAt: new Date(Date.now() + KEY_TTL_MS) } }
+    );
+    if (!claimed) {
+      res.set('Retry-After', '2');
+      return errorResponse(res, 'A request with this Idempotency-Key is still being processed', 409);
+    }
+  }
+
+  // 📦 A successful response is kept for replays; any other outcome frees the key for a retry
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const saved = res.statusCode >= 200 && res.statusCode < 300
+      ? IdempotencyKey.updateOne(scope, {
+        $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body },
+      })
+      : IdempotencyKey.deleteOne(scope);
+
+    saved
+      .catch((error) => console.error('[idempotent]', error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
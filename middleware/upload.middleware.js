@@ -9,6 +9,12 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// Leave attachments are kept out of the public /uploads folder
+const attachmentsDir = path.join(__dirname, '../attachments');
+if (!fs.existsSync(attachmentsDir)) {
+  fs.mkdirSync(attachmentsDir, { recursive: true });
+}
+
 // Read max file size from env or default to 5 MB
 const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // bytes
 
@@ -45,12 +51,43 @@ const upload = multer({
   }
 });
 
+// Supporting documents for leave applications
+const attachmentFilter = (req, file, cb) => {
+  const allowedExtensions = ['.pdf', '.jpg', '.jpeg', '.png'];
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedExtensions.includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only PDF and image files (.pdf, .jpg, .jpeg, .png) are allowed'), false);
+  }
+};
+
+const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, attachmentsDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'leave-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+  }),
+  fileFilter: attachmentFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE
+  }
+});
+
 // Middleware for handling Excel file upload
 const uploadExcel = upload.single('file'); // expects field name "file"
 
+// Middleware for an optional leave attachment
+const uploadAttachment = attachmentUpload.single('attachment'); // expects field name "attachment"
+
 // Wrapper to handle multer errors
-const handleExcelUpload = (req, res, next) => {
-  uploadExcel(req, res, (err) => {
+const withUploadErrors = (uploader) => (req, res, next) => {
+  uploader(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       if (err.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({
@@ -72,4 +109,7 @@ const handleExcelUpload = (req, res, next) => {
   });
 };
 
-module.exports = { handleExcelUpload };
+const handleExcelUpload = withUploadErrors(uploadExcel);
+const handleAttachmentUpload = withUploadErrors(uploadAttachment);
+
+module.exports = { handleExcelUpload, handleAttachmentUpload, attachmentsDir };
@@ -10,7 +10,7 @@ const validateHODRegistration = (req, res, next) => {
     return errorResponse(res, 'All fields are required', 400);
   }
 
-  const emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+  const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
   if (!emailRegex.test(email)) {
     return errorResponse(res, 'Please provide a valid email address', 400);
   }
@@ -36,7 +36,7 @@ const validateOTP = (req, res, next) => {
     return errorResponse(res, 'Email and OTP are required', 400);
   }
 
-  const emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+  const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
   if (!emailRegex.test(email)) {
     return errorResponse(res, 'Please provide a valid email address', 400);
   }
@@ -143,7 +143,7 @@ const validateHODUpdate = (req, res, next) => {
   }
 
   if (email) {
-    const emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+    const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
     if (!emailRegex.test(email)) {
       return errorResponse(res, 'Please provide a valid email address', 400);
     }
@@ -0,0 +1,62 @@
+// models/academicCalendar.model.js
+const mongoose = require('mongoose');
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true
+  },
+  startMs: { type: Number, required: [true, 'Term start is required'] },
+  endMs: { type: Number, required: [true, 'Term end is required'] }
+});
+
+// A single day or a range (startMs === endMs for one day)
+const nonTeachingDaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'exam', 'break', 'other'],
+    default: 'holiday'
+  },
+  startMs: { type: Number, required: true },
+  endMs: { type: Number, required: true }
+});
+
+const academicCalendarSchema = new mongoose.Schema({
+  // One calendar per HOD (department)
+  hodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HOD',
+    required: true,
+    unique: true
+  },
+  terms: {
+    type: [termSchema],
+    default: []
+  },
+  // Weekdays without lectures, Date#getDay() numbering (0 = Sunday)
+  weeklyOffDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0]
+  },
+  nonTeachingDays: {
+    type: [nonTeachingDaySchema],
+    default: []
+  }
+}, { timestamps: true });
+
+[termSchema, nonTeachingDaySchema].forEach(schema => {
+  schema.pre('validate', function (next) {
+    if (this.startMs > this.endMs) this.invalidate('endMs', 'End date must not be before start date');
+    next();
+  });
+});
+
+const AcademicCalendar = mongoose.model('AcademicCalendar', academicCalendarSchema);
+
+module.exports = AcademicCalendar;
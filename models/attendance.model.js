@@ -1,5 +1,64 @@
 // models/attendance.model.js
 const mongoose = require('mongoose');
+const { ATTENDANCE_STATUSES, PRESENT_STATUSES } = require('../utils/status.utils');
+const { LOCATION_VERDICTS } = require('../utils/geofence.utils');
+
+// 📱 Student self check-in details (QR scan), with where it came from
+const checkinSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AttendanceSession',
+      required: true,
+    },
+    checkedInAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // As reported by the device; accuracy in metres
+    location: {
+      lat: { type: Number, default: null },
+      lng: { type: Number, default: null },
+      accuracy: { type: Number, default: null },
+    },
+    verdict: {
+      type: String,
+      enum: LOCATION_VERDICTS,
+      required: true,
+    },
+    fenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Geofence',
+      default: null,
+    },
+    distanceMeters: {
+      type: Number,
+      default: null,
+    },
+    // Device the scan came from, compared with the student's bound device
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    deviceVerdict: {
+      type: String,
+      enum: ['bound', 'match', 'unbound', 'missing', 'mismatch', 'shared'],
+      default: null,
+    },
+    // Out-of-fence or other-device check-ins count as present until a professor reviews them
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    review: {
+      status: { type: String, enum: ['pending', 'approved', 'rejected'], default: null },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Professor', default: null },
+      reviewedAt: { type: Date, default: null },
+      note: { type: String, trim: true, default: '' },
+    },
+  },
+  { _id: false }
+);
 
 const attendanceSchema = new mongoose.Schema(
   {
@@ -23,6 +82,14 @@ const attendanceSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Subject taught in this session (optional; classes without subjects leave it null)
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      default: null,
+      index: true,
+    },
+
     // Session number for the day (S1, S2, ...)
     slotNumber: {
       type: Number,
@@ -31,12 +98,25 @@ const attendanceSchema = new mongoose.Schema(
       default: 1,
     },
 
-    // Present/Absent
+    // Present/Absent (kept in sync with status for older clients)
     isPresent: {
       type: Boolean,
       required: true,
     },
 
+    // Detailed status; rows written before statuses existed only have isPresent
+    status: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+    },
+
+    // Approved leave covering this absence (excluded from shortfall calculations)
+    leaveId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Leave',
+      default: null,
+    },
+
     // Who marked it
     markedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -44,10 +124,26 @@ const attendanceSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+
+    // Set when the student checked in themselves
+    checkin: {
+      type: checkinSchema,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// ✅ Keep isPresent and status consistent on document saves
+attendanceSchema.pre('validate', function (next) {
+  if (this.status) {
+    this.isPresent = PRESENT_STATUSES.includes(this.status);
+  } else if (this.isPresent != null) {
+    this.status = this.isPresent ? 'present' : 'absent';
+  }
+  next();
+});
+
 // Prevent duplicate marks for the same (student, class, date, slot)
 attendanceSchema.index(
   { studentId: 1, classId: 1, dateMs: 1, slotNumber: 1 },
@@ -63,6 +159,9 @@ attendanceSchema.index({
 // Helpful query indexes
 attendanceSchema.index({ classId: 1, dateMs: 1, slotNumber: 1 });
 attendanceSchema.index({ studentId: 1, dateMs: 1 });
+attendanceSchema.index({ classId: 1, 'checkin.flagged': 1 });
+// Delta sync: a class's rows changed since a time
+attendanceSchema.index({ classId: 1, updatedAt: 1, _id: 1 });
 
 const Attendance = mongoose.model('Attendance', attendanceSchema);
 module.exports = Attendance;
@@ -0,0 +1,103 @@
+// models/attendanceAudit.model.js
+const mongoose = require('mongoose');
+
+// Attendance fields whose changes are recorded
+const TRACKED_FIELDS = ['isPresent', 'status', 'markedBy', 'subjectId', 'leaveId'];
+
+const attendanceAuditSchema = new mongoose.Schema(
+  {
+    attendanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+      required: true,
+      index: true,
+    },
+
+    // Denormalized so history survives and can be queried per class/student
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true, index: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true, index: true },
+    dateMs: { type: Number, required: true },
+    slotNumber: { type: Number, required: true },
+
+    action: {
+      type: String,
+      enum: ['create', 'update'],
+      required: true,
+    },
+
+    // Snapshots of TRACKED_FIELDS (oldValue is null for a create)
+    oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    newValue: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    // Who made the change (Professor, HOD or Student)
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'changedByModel',
+      required: true,
+    },
+    changedByModel: {
+      type: String,
+      enum: ['Professor', 'HOD', 'Student'],
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+attendanceAuditSchema.index({ attendanceId: 1, createdAt: 1 });
+
+/**
+ * Pick the audited fields of an attendance row
+ */
+attendanceAuditSchema.statics.snapshot = function (row) {
+  if (!row) return null;
+  const snap = {};
+  TRACKED_FIELDS.forEach((f) => {
+    snap[f] = row[f] === undefined ? null : row[f];
+  });
+  return snap;
+};
+
+/**
+ * True when any audited field differs between two rows
+ */
+attendanceAuditSchema.statics.hasChanges = function (before, after) {
+  if (!before) return true;
+  return TRACKED_FIELDS.some((f) => String(before[f] ?? null) !== String(after[f] ?? null));
+};
+
+/**
+ * Record audit entries for attendance writes; unchanged rows are ignored.
+ * @param {Array} changes - [{ before, after, reason }] lean rows, before = null for inserts
+ * @param {Object} actor - { id, model: 'Professor' | 'HOD' | 'Student' }
+ * @returns {Promise<Array>} inserted audit docs
+ */
+attendanceAuditSchema.statics.recordChanges = async function (changes, actor) {
+  const docs = changes
+    .filter(({ before, after }) => after && this.hasChanges(before, after))
+    .map(({ before, after, reason }) => ({
+      attendanceId: after._id,
+      classId: after.classId,
+      studentId: after.studentId,
+      dateMs: after.dateMs,
+      slotNumber: after.slotNumber,
+      action: before ? 'update' : 'create',
+      oldValue: this.snapshot(before),
+      newValue: this.snapshot(after),
+      changedBy: actor.id,
+      changedByModel: actor.model,
+      reason: reason || '',
+    }));
+
+  if (docs.length === 0) return [];
+  return this.insertMany(docs);
+};
+
+const AttendanceAudit = mongoose.model('AttendanceAudit', attendanceAuditSchema);
+module.exports = AttendanceAudit;
@@ -0,0 +1,97 @@
+// models/attendanceSession.model.js
+const mongoose = require('mongoose');
+
+// One lecture of a class/date/slot and its lifecycle:
+//  scheduled → open (live QR check-in) → closed, or cancelled before it is held.
+// Marking attendance for a slot records it as conducted (closed); the
+// attendance itself stays in ordinary Attendance rows of the same class/date/slot.
+const attendanceSessionSchema = new mongoose.Schema(
+  {
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+      required: true,
+    },
+    hodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+      index: true,
+    },
+    professorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professor',
+      required: true,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      default: null,
+    },
+    // Midnight-normalized, like Attendance.dateMs
+    dateMs: {
+      type: Number,
+      required: true,
+    },
+    slotNumber: {
+      type: Number,
+      required: true,
+    },
+    topic: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'open', 'closed', 'cancelled'],
+      default: 'scheduled',
+    },
+    openedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'cancelledByModel',
+      default: null,
+    },
+    cancelledByModel: {
+      type: String,
+      enum: ['Professor', 'HOD'],
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Kept up to date as the slot is marked
+    presentCount: {
+      type: Number,
+      default: 0,
+    },
+    absentCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// 🔒 One session per class/date/slot
+attendanceSessionSchema.index({ classId: 1, dateMs: 1, slotNumber: 1 }, { unique: true });
+
+// Delta sync
+attendanceSessionSchema.index({ classId: 1, updatedAt: 1, _id: 1 });
+
+const AttendanceSession = mongoose.model('AttendanceSession', attendanceSessionSchema);
+module.exports = AttendanceSession;
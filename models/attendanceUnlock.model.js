@@ -0,0 +1,45 @@
+// models/attendanceUnlock.model.js
+const mongoose = require('mongoose');
+
+// A HOD-granted window during which a locked class/date/slot can be edited again
+const attendanceUnlockSchema = new mongoose.Schema(
+  {
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+      required: true,
+    },
+    dateMs: {
+      type: Number,
+      required: true,
+    },
+    // null unlocks every slot of that date
+    slotNumber: {
+      type: Number,
+      default: null,
+    },
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+attendanceUnlockSchema.index({ classId: 1, dateMs: 1, slotNumber: 1 });
+
+// Expired unlocks are removed by MongoDB
+attendanceUnlockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AttendanceUnlock = mongoose.model('AttendanceUnlock', attendanceUnlockSchema);
+module.exports = AttendanceUnlock;
@@ -0,0 +1,63 @@
+// models/bulkUpload.model.js
+const mongoose = require('mongoose');
+
+// Rows parsed by a bulk upload, kept for a short while under a random token:
+//  - preview: a dry run the HOD can commit
+//  - report: the row-by-row outcome of a finished upload, downloadable as xlsx
+const bulkUploadSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ['students', 'professors', 'classes'],
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['preview', 'report'],
+      default: 'preview',
+    },
+    hodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      default: '',
+    },
+    // insert: skip existing records, upsert: update them (preview only)
+    mode: {
+      type: String,
+      enum: ['insert', 'upsert'],
+      default: 'insert',
+    },
+    // preview: parsed rows exactly as shown, passwords encrypted (validated again on commit)
+    // report: every sheet row with its status and reasons
+    rows: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    // preview: rows the parser already rejected, carried into the commit's report
+    rejected: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Uncommitted previews and old reports are removed by MongoDB
+bulkUploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BulkUpload = mongoose.model('BulkUpload', bulkUploadSchema);
+module.exports = BulkUpload;
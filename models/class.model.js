@@ -29,6 +29,27 @@ const classSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'HOD',
     required: true
+  },
+  // Academic term the class belongs to (name from the HOD's calendar)
+  term: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // 🗄️ Archived by a rollover: kept with its attendance for reports, no longer marked
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Class of the previous term this one was cloned from
+  rolledOverFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
   }
 }, { timestamps: true });
 
@@ -37,6 +58,7 @@ classSchema.index({ classId: 1, createdBy: 1 }, { unique: true });
 
 // ✅ Optional: make queries faster for HOD dashboard
 classSchema.index({ className: 1, division: 1, createdBy: 1 });
+classSchema.index({ createdBy: 1, archived: 1 });
 
 const Class = mongoose.model('Class', classSchema);
 
@@ -0,0 +1,38 @@
+// models/defaulterAlert.model.js
+const mongoose = require('mongoose');
+
+// A warning already sent to a student who fell below the HOD's defaulter threshold.
+// Removed again once the student recovers, so a later drop warns them again.
+const defaulterAlertSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+      required: true,
+    },
+    hodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+      index: true,
+    },
+
+    // Start of the term (or year) the percentage was measured over
+    rangeStartMs: { type: Number, required: true },
+
+    percentage: { type: Number, required: true },
+    threshold: { type: Number, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// ✅ One alert per student, class and term
+defaulterAlertSchema.index({ studentId: 1, classId: 1, rangeStartMs: 1 }, { unique: true });
+
+const DefaulterAlert = mongoose.model('DefaulterAlert', defaulterAlertSchema);
+module.exports = DefaulterAlert;
@@ -0,0 +1,56 @@
+// models/deviceFlag.model.js
+const mongoose = require('mongoose');
+
+// A login or check-in that did not come from the student's bound device,
+// or a check-in from a device another student already used in the same session
+const deviceFlagSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      index: true,
+    },
+    hodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+      index: true,
+    },
+    event: {
+      type: String,
+      enum: ['login', 'checkin'],
+      required: true,
+    },
+    // mismatch: not the bound device, missing: no device sent, shared: used by another student
+    reason: {
+      type: String,
+      enum: ['mismatch', 'missing', 'shared'],
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    boundDeviceId: {
+      type: String,
+      default: null,
+    },
+    // Students the device was shared with (reason: shared)
+    otherStudentIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+    }],
+    attendanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+deviceFlagSchema.index({ hodId: 1, createdAt: -1 });
+
+const DeviceFlag = mongoose.model('DeviceFlag', deviceFlagSchema);
+module.exports = DeviceFlag;
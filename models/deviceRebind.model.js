@@ -0,0 +1,64 @@
+// models/deviceRebind.model.js
+const mongoose = require('mongoose');
+
+// A student asking to move their account to a new device; a HOD decides
+const deviceRebindSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      index: true,
+    },
+    hodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+      index: true,
+    },
+    // Bound device at the time of the request (null if none)
+    fromDeviceId: {
+      type: String,
+      default: null,
+    },
+    toDeviceId: {
+      type: String,
+      required: [true, 'deviceId is required'],
+      trim: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+// 🔒 One pending request per student
+deviceRebindSchema.index(
+  { studentId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const DeviceRebind = mongoose.model('DeviceRebind', deviceRebindSchema);
+module.exports = DeviceRebind;
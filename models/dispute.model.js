@@ -0,0 +1,72 @@
+// models/dispute.model.js
+const mongoose = require('mongoose');
+
+// A student's request to correct one attendance record (e.g. a wrong "absent")
+const disputeSchema = new mongoose.Schema(
+  {
+    attendanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+      required: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      index: true,
+    },
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+      required: true,
+      index: true,
+    },
+    dateMs: { type: Number, required: true },
+    slotNumber: { type: Number, required: true },
+
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+      maxlength: [1000, 'Reason must be at most 1000 characters'],
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+      index: true,
+    },
+
+    // Professor or HOD who resolved it
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reviewedByModel',
+      default: null,
+    },
+    reviewedByModel: {
+      type: String,
+      enum: ['Professor', 'HOD'],
+      default: undefined,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// ✅ Only one open dispute per attendance record
+disputeSchema.index(
+  { attendanceId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+module.exports = Dispute;
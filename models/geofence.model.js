@@ -0,0 +1,63 @@
+// models/geofence.model.js
+const mongoose = require('mongoose');
+
+const pointSchema = new mongoose.Schema({
+  lat: { type: Number, required: true, min: [-90, 'Latitude must be between -90 and 90'], max: [90, 'Latitude must be between -90 and 90'] },
+  lng: { type: Number, required: true, min: [-180, 'Longitude must be between -180 and 180'], max: [180, 'Longitude must be between -180 and 180'] }
+}, { _id: false });
+
+// 📍 Where students may check in from: a circle (centre + radius) or a polygon
+const geofenceSchema = new mongoose.Schema({
+  hodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HOD',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Geofence name is required'],
+    trim: true
+  },
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    default: 'circle'
+  },
+  center: {
+    type: pointSchema,
+    default: null
+  },
+  radiusMeters: {
+    type: Number,
+    min: [1, 'Radius must be at least 1 metre'],
+    default: null
+  },
+  polygon: {
+    type: [pointSchema],
+    default: []
+  },
+  // Room fences: only these classes. Empty = the whole campus (every class)
+  classIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+geofenceSchema.pre('validate', function (next) {
+  if (this.shape === 'circle') {
+    if (!this.center) this.invalidate('center', 'A circle needs a center');
+    if (!this.radiusMeters) this.invalidate('radiusMeters', 'A circle needs a radius');
+  } else if (this.polygon.length < 3) {
+    this.invalidate('polygon', 'A polygon needs at least 3 points');
+  }
+  next();
+});
+
+const Geofence = mongoose.model('Geofence', geofenceSchema);
+
+module.exports = Geofence;
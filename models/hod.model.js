@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const {
+  ATTENDANCE_STATUSES,
+  DEFAULT_COUNTED_STATUSES,
+  DEFAULT_EXCLUDED_STATUSES
+} = require('../utils/status.utils');
 const bcrypt = require('bcrypt');
 
 const hodSchema = new mongoose.Schema({
@@ -26,7 +31,7 @@ const hodSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
     match: [
-      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
       'Please provide a valid email address'
     ]
   },
@@ -45,6 +50,37 @@ const hodSchema = new mongoose.Schema({
   pendingUpdates: {
     email: String,
     password: String
+  },
+  attendanceSettings: {
+    // Changing a record more than this many hours after it was first marked requires a reason
+    correctionWindowHours: {
+      type: Number,
+      default: 24,
+      min: [0, 'Correction window cannot be negative']
+    },
+    // Records lock this many days after their date; null disables locking
+    lockAfterDays: {
+      type: Number,
+      default: null,
+      min: [0, 'Lock window cannot be negative']
+    },
+    // Students below this attendance percentage are reported and warned as defaulters
+    defaulterThreshold: {
+      type: Number,
+      default: 75,
+      min: [0, 'Defaulter threshold must be between 0 and 100'],
+      max: [100, 'Defaulter threshold must be between 0 and 100']
+    },
+    // Statuses that count as attended towards the percentage
+    countedStatuses: {
+      type: [{ type: String, enum: ATTENDANCE_STATUSES }],
+      default: () => [...DEFAULT_COUNTED_STATUSES]
+    },
+    // Statuses left out of the total altogether (neither attended nor missed)
+    excludedStatuses: {
+      type: [{ type: String, enum: ATTENDANCE_STATUSES }],
+      default: () => [...DEFAULT_EXCLUDED_STATUSES]
+    }
   }
 }, { timestamps: true });
 
@@ -70,6 +106,21 @@ async function cascadeDelete(hodId) {
   const ClassModel = mongoose.model("Class");
   const Counter = mongoose.model("Counter");
   const Attendance = mongoose.model("Attendance");
+  const Timetable = mongoose.model("Timetable");
+  const Subject = mongoose.model("Subject");
+  const AcademicCalendar = mongoose.model("AcademicCalendar");
+  const AttendanceAudit = mongoose.model("AttendanceAudit");
+  const AttendanceUnlock = mongoose.model("AttendanceUnlock");
+  const Dispute = mongoose.model("Dispute");
+  const Leave = mongoose.model("Leave");
+  const DefaulterAlert = mongoose.model("DefaulterAlert");
+  const BulkUpload = mongoose.model("BulkUpload");
+  const ImportJob = mongoose.model("ImportJob");
+  const AttendanceSession = mongoose.model("AttendanceSession");
+  const Geofence = mongoose.model("Geofence");
+  const DeviceRebind = mongoose.model("DeviceRebind");
+  const DeviceFlag = mongoose.model("DeviceFlag");
+  const IdempotencyKey = mongoose.model("IdempotencyKey");
 
   // find all related entities first
   const [professors, students, classes] = await Promise.all([
@@ -88,6 +139,22 @@ async function cascadeDelete(hodId) {
     Student.deleteMany({ _id: { $in: studentIds } }),
     ClassModel.deleteMany({ _id: { $in: classIds } }),
     Counter.deleteOne({ hod: hodId }),
+    Timetable.deleteMany({ createdBy: hodId }),
+    Subject.deleteMany({ createdBy: hodId }),
+    AcademicCalendar.deleteOne({ hodId }),
+
+    AttendanceAudit.deleteMany({ classId: { $in: classIds } }),
+    AttendanceUnlock.deleteMany({ unlockedBy: hodId }),
+    Dispute.deleteMany({ classId: { $in: classIds } }),
+    Leave.deleteMany({ hodId }),
+    DefaulterAlert.deleteMany({ hodId }),
+    BulkUpload.deleteMany({ hodId }),
+    ImportJob.deleteMany({ hodId }),
+    AttendanceSession.deleteMany({ hodId }),
+    Geofence.deleteMany({ hodId }),
+    DeviceRebind.deleteMany({ hodId }),
+    DeviceFlag.deleteMany({ hodId }),
+    IdempotencyKey.deleteMany({ userId: { $in: [hodId, ...professorIds] } }),
 
     // delete attendance linked to any of them
     Attendance.deleteMany({
@@ -0,0 +1,56 @@
+// models/idempotencyKey.model.js
+const mongoose = require('mongoose');
+
+// A write request sent with an Idempotency-Key header. While the first request
+// runs the key is 'processing'; once it succeeds the response is stored so a
+// retry of the same request gets it back without running the handler again.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Keys are per user: two phones may well generate the same one
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // "POST /api/attendance/bulk"
+    route: {
+      type: String,
+      required: true,
+    },
+    // sha256 of the JSON body; the same key with another body is refused
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// 🔒 One record per user and key
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Old keys are removed by MongoDB
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+module.exports = IdempotencyKey;
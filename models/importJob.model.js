@@ -0,0 +1,68 @@
+// models/importJob.model.js
+const mongoose = require('mongoose');
+
+// A committed bulk upload waiting for (or being run by) the import worker.
+// The parsed rows live in payload until the job finishes; the outcome that the
+// synchronous upload used to return is kept in result.
+const importJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['students', 'professors', 'classes'],
+      required: true,
+    },
+    hodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    fileName: {
+      type: String,
+      default: '',
+    },
+    // { rows, rejected, mode } as returned by readBulkRows, passwords encrypted (cleared once finished)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    progress: {
+      total: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+    },
+    // HTTP-style outcome: { code, data } on success, { code, msg, details } when nothing was saved
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    // A running job whose worker stopped renewing this is picked up again
+    lockedUntil: Date,
+    // Set when the job finishes; the record is kept a while for polling
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+// 🔎 Worker pick-up: oldest queued job first
+importJobSchema.index({ status: 1, createdAt: 1 });
+
+// Finished jobs are removed by MongoDB
+importJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+module.exports = ImportJob;
@@ -0,0 +1,96 @@
+// models/leave.model.js
+const mongoose = require('mongoose');
+
+const LEAVE_TYPES = ['medical', 'on-duty', 'personal', 'other'];
+
+// A student's leave application covering one or more days
+const leaveSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      index: true,
+    },
+
+    // Denormalized from the student so HODs/professors can find applications quickly
+    hodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+      index: true,
+    },
+    classIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+    }],
+
+    type: {
+      type: String,
+      enum: LEAVE_TYPES,
+      required: [true, 'Leave type is required'],
+    },
+
+    // Inclusive day range (startMs at 00:00, endMs at 23:59:59.999 local)
+    startMs: { type: Number, required: true },
+    endMs: { type: Number, required: true },
+
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+      maxlength: [1000, 'Reason must be at most 1000 characters'],
+    },
+
+    // Supporting document (medical certificate, duty letter, ...)
+    attachment: {
+      fileName: { type: String },
+      originalName: { type: String },
+      mimeType: { type: String },
+      size: { type: Number },
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+      index: true,
+    },
+
+    // Professor or HOD who resolved it
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reviewedByModel',
+      default: null,
+    },
+    reviewedByModel: {
+      type: String,
+      enum: ['Professor', 'HOD'],
+      default: undefined,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// ✅ Approved-leave lookups by student and date
+leaveSchema.index({ studentId: 1, status: 1, startMs: 1, endMs: 1 });
+leaveSchema.index({ classIds: 1, status: 1 });
+
+leaveSchema.pre('validate', function (next) {
+  if (this.startMs != null && this.endMs != null && this.startMs > this.endMs) {
+    return next(new Error('Leave start date must be on or before the end date'));
+  }
+  next();
+});
+
+const Leave = mongoose.model('Leave', leaveSchema);
+module.exports = Leave;
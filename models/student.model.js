@@ -23,6 +23,17 @@ const studentSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Optional; used for attendance warnings
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email address'
+    ]
+  },
   classIds: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Class',
@@ -32,6 +43,11 @@ const studentSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // 📱 Device the account is bound to (set at first login, changed only by a HOD-approved rebind)
+  device: {
+    deviceId: { type: String, trim: true, default: null },
+    boundAt: { type: Date, default: null }
+  },
   password: {
     type: String,
     required: [true, 'Password is required']
@@ -46,6 +62,7 @@ const studentSchema = new mongoose.Schema({
 // ✅ Indexes
 studentSchema.index({ enrollmentNumber: 1 }, { unique: true });
 studentSchema.index({ classIds: 1 });
+studentSchema.index({ 'device.deviceId': 1 });
 
 // ✅ Hash password before saving
 studentSchema.pre('save', async function(next) {
@@ -0,0 +1,40 @@
+// models/subject.model.js
+const mongoose = require('mongoose');
+
+const subjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Subject name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Cohort (className + division) this subject is taught to
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true,
+    index: true
+  },
+  professors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professor',
+    default: []
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HOD',
+    required: true
+  }
+}, { timestamps: true });
+
+// ✅ A subject name appears once per class
+subjectSchema.index({ classId: 1, name: 1 }, { unique: true });
+subjectSchema.index({ professors: 1 });
+
+const Subject = mongoose.model('Subject', subjectSchema);
+
+module.exports = Subject;
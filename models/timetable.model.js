@@ -0,0 +1,81 @@
+// models/timetable.model.js
+const mongoose = require('mongoose');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:mm (24h)
+
+const timetableSchema = new mongoose.Schema(
+  {
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+      required: true,
+      index: true,
+    },
+
+    // Day of week, same numbering as Date#getDay() (0 = Sunday ... 6 = Saturday)
+    weekday: {
+      type: Number,
+      required: [true, 'Weekday is required'],
+      min: [0, 'Weekday must be between 0 and 6'],
+      max: [6, 'Weekday must be between 0 and 6'],
+    },
+
+    // Session number for the day (matches Attendance.slotNumber)
+    slotNumber: {
+      type: Number,
+      required: [true, 'Slot number is required'],
+      min: [1, 'Slot number must be at least 1'],
+    },
+
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: [TIME_REGEX, 'Start time must be in HH:mm format'],
+    },
+    endTime: {
+      type: String,
+      required: [true, 'End time is required'],
+      match: [TIME_REGEX, 'End time must be in HH:mm format'],
+    },
+
+    // Free-text label; kept in sync with the linked Subject's name when subjectId is set
+    subject: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      default: null,
+    },
+
+    professor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professor',
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HOD',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// ✅ One entry per (class, weekday, slot)
+timetableSchema.index({ classId: 1, weekday: 1, slotNumber: 1 }, { unique: true });
+
+// HH:mm strings compare correctly as plain strings
+timetableSchema.pre('validate', function (next) {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+const Timetable = mongoose.model('Timetable', timetableSchema);
+module.exports = Timetable;
@@ -4,18 +4,103 @@ const router = express.Router();
 const attendanceController = require("../controllers/attendance.controller");
 const {
   authenticate,
+  authorizeHOD,
   authorizeProfessor,
   authorizeProfessorOrHod,
   authorizeStudent,
 } = require("../middleware/auth.middleware");
+const { handleExcelUpload } = require("../middleware/upload.middleware");
+const { idempotent } = require("../middleware/idempotency.middleware");
 
-// Write attendance → professors only
+// Write attendance → professors only (retries with the same Idempotency-Key are replayed)
 router.post(
   "/bulk",
   authenticate,
   authorizeProfessor,
+  idempotent,
   attendanceController.markBulkAttendance,
 );
+// Offline-marked sessions from a register sheet → professors only
+router.post(
+  "/import",
+  authenticate,
+  authorizeProfessor,
+  handleExcelUpload,
+  attendanceController.importAttendance,
+);
+
+// Lecture sessions: planned, held or called off
+router.get(
+  "/sessions",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.getSessions,
+);
+router.post(
+  "/sessions/schedule",
+  authenticate,
+  authorizeProfessor,
+  attendanceController.scheduleSession,
+);
+router.patch(
+  "/sessions/:sessionId",
+  authenticate,
+  authorizeProfessor,
+  attendanceController.updateSession,
+);
+router.post(
+  "/sessions/:sessionId/cancel",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.cancelSession,
+);
+
+// QR self check-in: professors run the session, students scan
+router.post(
+  "/sessions",
+  authenticate,
+  authorizeProfessor,
+  attendanceController.openCheckinSession,
+);
+router.get(
+  "/sessions/:sessionId/qr",
+  authenticate,
+  authorizeProfessor,
+  attendanceController.getCheckinToken,
+);
+router.post(
+  "/sessions/:sessionId/close",
+  authenticate,
+  authorizeProfessor,
+  attendanceController.closeCheckinSession,
+);
+router.post(
+  "/checkin",
+  authenticate,
+  authorizeStudent,
+  attendanceController.checkIn,
+);
+// Check-ins from outside the geofence → professors review them
+router.get(
+  "/checkins/flagged",
+  authenticate,
+  authorizeProfessor,
+  attendanceController.getFlaggedCheckins,
+);
+router.post(
+  "/checkins/:recordId/review",
+  authenticate,
+  authorizeProfessor,
+  attendanceController.reviewCheckin,
+);
+
+// Re-open a locked class/date/slot → hods only
+router.post(
+  "/unlock",
+  authenticate,
+  authorizeHOD,
+  attendanceController.unlockAttendance,
+);
 
 router.get(
   "/me",
@@ -23,6 +108,18 @@ router.get(
   authorizeStudent,
   attendanceController.getStudentAttendanceForSelf,
 );
+router.get(
+  "/me/summary",
+  authenticate,
+  authorizeStudent,
+  attendanceController.getMySummary,
+);
+router.get(
+  "/me/pdf",
+  authenticate,
+  authorizeStudent,
+  attendanceController.getStudentStatementPdf,
+);
 router.get(
   "/me/class/:classId",
   authenticate,
@@ -30,6 +127,14 @@ router.get(
   attendanceController.getMyAttendanceForClass,
 );
 
+// Delta sync for offline clients → professors or hods
+router.get(
+  "/changes",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.getChanges,
+);
+
 // Read attendance → professors or hods
 router.get(
   "/student/:studentId",
@@ -37,6 +142,39 @@ router.get(
   authorizeProfessorOrHod,
   attendanceController.getStudentAttendance,
 );
+router.get(
+  "/student/:studentId/summary",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.getStudentSummary,
+);
+// PDF reports for submission → professors or hods
+router.get(
+  "/student/:studentId/pdf",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.getStudentStatementPdf,
+);
+router.get(
+  "/summary/:classId/pdf",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.getClassReportPdf,
+);
+// Students below the attendance threshold → professors or hods
+router.get(
+  "/defaulters",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.getDefaulters,
+);
+// Register download (xlsx / csv) → professors or hods
+router.get(
+  "/class/:classId/export",
+  authenticate,
+  authorizeProfessorOrHod,
+  attendanceController.exportClassAttendance,
+);
 router.get(
   "/class/:classId",
   authenticate,
@@ -55,6 +193,14 @@ router.get(
   authorizeProfessorOrHod,
   attendanceController.getMonthlySummary,
 );
+// Audit trail of a single record → hods only
+router.get(
+  "/:recordId/history",
+  authenticate,
+  authorizeHOD,
+  attendanceController.getAttendanceHistory,
+);
+
 router.get(
   "/class/:classId/student/:studentId",
   authenticate,
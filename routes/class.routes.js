@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const classController = require('../controllers/class.controller');
+const timetableController = require('../controllers/timetable.controller');
+const subjectController = require('../controllers/subject.controller');
 const { authenticate, authorizeHOD } = require('../middleware/auth.middleware');
 const { handleExcelUpload } = require('../middleware/upload.middleware');
 
 // Get class by ID
 router.get('/:id', authenticate, classController.getClassById);
 
+// Get class timetable (HOD, assigned professors, enrolled students)
+router.get('/:id/timetable', authenticate, timetableController.getTimetable);
+
+// Get class subjects (HOD, assigned professors, enrolled students)
+router.get('/:id/subjects', authenticate, subjectController.getSubjects);
+
 // All routes require HOD authentication
 router.use(authenticate, authorizeHOD);
 
@@ -41,4 +49,16 @@ router.post('/:id/professors', classController.assignProfessorsToClass);
 // Remove professors from class
 router.delete('/:id/professors', classController.removeProfessorsFromClass);
 
+// Timetable slots
+router.post('/:id/timetable', timetableController.addTimetableEntry);
+router.put('/:id/timetable/:entryId', timetableController.updateTimetableEntry);
+router.delete('/:id/timetable/:entryId', timetableController.deleteTimetableEntry);
+
+// Subjects taught to the class
+router.post('/:id/subjects', subjectController.createSubject);
+router.put('/:id/subjects/:subjectId', subjectController.updateSubject);
+router.delete('/:id/subjects/:subjectId', subjectController.deleteSubject);
+router.post('/:id/subjects/:subjectId/professors', subjectController.assignProfessorsToSubject);
+router.delete('/:id/subjects/:subjectId/professors', subjectController.removeProfessorsFromSubject);
+
 module.exports = router;
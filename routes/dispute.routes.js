@@ -0,0 +1,39 @@
+// routes/dispute.routes.js
+const express = require("express");
+const router = express.Router();
+const disputeController = require("../controllers/dispute.controller");
+const {
+  authenticate,
+  authorizeProfessorOrHod,
+  authorizeStudent,
+} = require("../middleware/auth.middleware");
+
+// Students raise and follow their own disputes
+router.post(
+  "/",
+  authenticate,
+  authorizeStudent,
+  disputeController.createDispute,
+);
+router.get(
+  "/me",
+  authenticate,
+  authorizeStudent,
+  disputeController.getMyDisputes,
+);
+
+// Assigned professors or hods review them
+router.get(
+  "/",
+  authenticate,
+  authorizeProfessorOrHod,
+  disputeController.getDisputes,
+);
+router.patch(
+  "/:id",
+  authenticate,
+  authorizeProfessorOrHod,
+  disputeController.reviewDispute,
+);
+
+module.exports = router;
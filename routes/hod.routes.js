@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const hodController = require("../controllers/hod.controller");
+const calendarController = require("../controllers/calendar.controller");
+const geofenceController = require("../controllers/geofence.controller");
 const { authenticate, authorizeHOD } = require("../middleware/auth.middleware");
 const {
   validateHODRegistration,
@@ -54,4 +56,41 @@ router.post(
   hodController.confirmDeleteHOD,
 );
 
+// Attendance settings (correction window, ...)
+router.get(
+  "/attendance-settings",
+  authenticate,
+  authorizeHOD,
+  hodController.getAttendanceSettings,
+);
+router.put(
+  "/attendance-settings",
+  authenticate,
+  authorizeHOD,
+  hodController.updateAttendanceSettings,
+);
+
+// Academic calendar (terms, holidays, non-teaching days)
+router.get("/calendar", authenticate, authorizeHOD, calendarController.getCalendar);
+router.put("/calendar", authenticate, authorizeHOD, calendarController.updateCalendar);
+router.get("/calendar/check", authenticate, authorizeHOD, calendarController.checkDate);
+router.post(
+  "/calendar/non-teaching-days",
+  authenticate,
+  authorizeHOD,
+  calendarController.addNonTeachingDay,
+);
+router.delete(
+  "/calendar/non-teaching-days/:dayId",
+  authenticate,
+  authorizeHOD,
+  calendarController.removeNonTeachingDay,
+);
+
+// Campus / room geofences for student check-in
+router.get("/geofences", authenticate, authorizeHOD, geofenceController.getGeofences);
+router.post("/geofences", authenticate, authorizeHOD, geofenceController.createGeofence);
+router.put("/geofences/:fenceId", authenticate, authorizeHOD, geofenceController.updateGeofence);
+router.delete("/geofences/:fenceId", authenticate, authorizeHOD, geofenceController.deleteGeofence);
+
 module.exports = router;
@@ -0,0 +1,15 @@
+// routes/job.routes.js
+const express = require("express");
+const router = express.Router();
+const jobController = require("../controllers/job.controller");
+const { authenticate, authorizeHOD } = require("../middleware/auth.middleware");
+
+// Bulk import progress → hods only
+router.get(
+  "/:id",
+  authenticate,
+  authorizeHOD,
+  jobController.getJob,
+);
+
+module.exports = router;
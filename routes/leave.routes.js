@@ -0,0 +1,60 @@
+// routes/leave.routes.js
+const express = require("express");
+const router = express.Router();
+const leaveController = require("../controllers/leave.controller");
+const { handleAttachmentUpload } = require("../middleware/upload.middleware");
+const {
+  authenticate,
+  authorizeProfessorOrHod,
+  authorizeStudent,
+} = require("../middleware/auth.middleware");
+
+// Attachments are visible to the applicant and to the reviewers
+const authorizeLeaveViewer = (req, res, next) =>
+  req.user.role === "student"
+    ? authorizeStudent(req, res, next)
+    : authorizeProfessorOrHod(req, res, next);
+
+// Students apply for and follow their own leaves
+router.post(
+  "/",
+  authenticate,
+  authorizeStudent,
+  handleAttachmentUpload,
+  leaveController.applyForLeave,
+);
+router.get(
+  "/me",
+  authenticate,
+  authorizeStudent,
+  leaveController.getMyLeaves,
+);
+router.patch(
+  "/:id/cancel",
+  authenticate,
+  authorizeStudent,
+  leaveController.cancelLeave,
+);
+
+// Professors of the student's classes or the hod review them
+router.get(
+  "/",
+  authenticate,
+  authorizeProfessorOrHod,
+  leaveController.getLeaves,
+);
+router.patch(
+  "/:id",
+  authenticate,
+  authorizeProfessorOrHod,
+  leaveController.reviewLeave,
+);
+
+router.get(
+  "/:id/attachment",
+  authenticate,
+  authorizeLeaveViewer,
+  leaveController.getLeaveAttachment,
+);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/rollover.routes.js
+const express = require("express");
+const router = express.Router();
+const rolloverController = require("../controllers/rollover.controller");
+const { authenticate, authorizeHOD } = require("../middleware/auth.middleware");
+
+// End-of-term promotion / archive / clone → hods only
+router.post(
+  "/",
+  authenticate,
+  authorizeHOD,
+  rolloverController.rollover,
+);
+
+module.exports = router;
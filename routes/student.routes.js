@@ -27,6 +27,10 @@ router.put('/me', authenticate, authorizeStudent, studentController.updateOwnPro
 // ✅ Register FCM token → students only
 router.post('/fcm-token', authenticate, authorizeStudent, studentController.registerFcmToken);
 
+// Device the account is bound to, and requests to move it to a new one → students only
+router.get('/me/device', authenticate, authorizeStudent, studentController.getMyDevice);
+router.post('/me/device/rebind', authenticate, authorizeStudent, studentController.requestDeviceRebind);
+
 // ✅ Shared access: HOD + Professor can fetch students
 router.get('/', authenticate, allowHODorProfessor, studentController.getStudents);
 
@@ -36,6 +40,14 @@ router.use(authenticate, authorizeHOD);
 // Bulk upload students from Excel
 router.post('/bulk-upload', handleExcelUpload, studentController.bulkUploadStudents);
 
+// Annotated xlsx of a bulk upload's accepted and rejected rows
+router.get('/bulk-upload/report/:token', studentController.downloadUploadReport);
+
+// Device change requests and the shared-device report
+router.get('/device-rebinds', studentController.getDeviceRebinds);
+router.post('/device-rebinds/:requestId/review', studentController.reviewDeviceRebind);
+router.get('/suspicious-activity', studentController.getSuspiciousActivity);
+
 // Bulk delete students
 router.delete('/', studentController.deleteStudentsBulk);
 
@@ -0,0 +1,24 @@
+// routes/template.routes.js
+const express = require("express");
+const router = express.Router();
+const templateController = require("../controllers/template.controller");
+const {
+  authenticate,
+  authorizeProfessorOrHod,
+} = require("../middleware/auth.middleware");
+
+// Upload templates → hods (all types) and professors (attendance)
+router.get(
+  "/",
+  authenticate,
+  authorizeProfessorOrHod,
+  templateController.listTemplates,
+);
+router.get(
+  "/:type",
+  authenticate,
+  authorizeProfessorOrHod,
+  templateController.getTemplate,
+);
+
+module.exports = router;
@@ -1,6 +1,5 @@
 // server.js
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
@@ -17,6 +16,15 @@ const professorRoutes = require('./routes/professor.routes');
 const studentRoutes = require('./routes/student.routes');
 const classRoutes = require('./routes/class.routes');
 const attendanceRoutes = require('./routes/attendance.routes');
+const disputeRoutes = require('./routes/dispute.routes');
+const leaveRoutes = require('./routes/leave.routes');
+const templateRoutes = require('./routes/template.routes');
+const jobRoutes = require('./routes/job.routes');
+const rolloverRoutes = require('./routes/rollover.routes');
+
+// Background jobs
+const { startDefaulterAlertJob } = require('./jobs/defaulterAlert.job');
+const { startImportWorker } = require('./jobs/bulkImport.job');
 
 // Database connection
 const connectDB = require('./config/db.config');
@@ -39,6 +47,11 @@ app.use('/api/professors', professorRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/classes', classRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/rollover', rolloverRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -52,6 +65,8 @@ app.use(errorMiddleware);
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  startDefaulterAlertJob();
+  startImportWorker();
 });
 
 // Handle unhandled promise rejections
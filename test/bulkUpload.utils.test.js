@@ -0,0 +1,40 @@
+// test/bulkUpload.utils.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { sealRowPasswords, openRowPasswords } = require('../utils/bulkUpload.utils');
+
+describe('sealRowPasswords / openRowPasswords', () => {
+  before(() => {
+    process.env.UPLOAD_ROW_SECRET = 'test-secret';
+  });
+
+  const rows = [
+    { row: 2, name: 'Asha', password: 'Secret@123' },
+    { row: 3, name: 'Ravi', password: null },
+    { row: 4, name: 'Meera' },
+  ];
+
+  it('stores no plaintext password', () => {
+    const sealed = sealRowPasswords(rows);
+    assert.equal(sealed[0].password, undefined);
+    assert.ok(!JSON.stringify(sealed).includes('Secret@123'));
+    assert.deepEqual(sealed[1], { row: 3, name: 'Ravi' });
+    assert.deepEqual(sealed[2], { row: 4, name: 'Meera' });
+  });
+
+  it('gets the passwords back', () => {
+    assert.deepEqual(openRowPasswords(sealRowPasswords(rows)), [
+      { row: 2, name: 'Asha', password: 'Secret@123' },
+      { row: 3, name: 'Ravi' },
+      { row: 4, name: 'Meera' },
+    ]);
+  });
+
+  it('refuses a tampered password', () => {
+    const [sealed] = sealRowPasswords(rows.slice(0, 1));
+    const [iv, tag, data] = sealed.sealedPassword.split('.');
+    const forged = Buffer.from(data, 'base64url');
+    forged[0] ^= 1;
+    assert.throws(() => openRowPasswords([{ ...sealed, sealedPassword: `${iv}.${tag}.${forged.toString('base64url')}` }]));
+  });
+});
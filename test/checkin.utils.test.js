@@ -0,0 +1,49 @@
+// test/checkin.utils.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { issueCheckinToken, verifyCheckinToken } = require('../utils/checkin.utils');
+
+const sessionId = '65a000000000000000000001';
+const now = 1700000000000; // start of a 10 s step
+
+describe('check-in tokens', () => {
+  before(() => {
+    process.env.CHECKIN_TOKEN_SECRET = 'test-secret';
+  });
+
+  it('issues a token for the current step', () => {
+    const { token, expiresAt, rotateSeconds } = issueCheckinToken(sessionId, now);
+    assert.equal(rotateSeconds, 10);
+    assert.ok(token.startsWith(`${sessionId}.170000000.`));
+    assert.equal(expiresAt.getTime(), now + 10000);
+  });
+
+  it('accepts the current token', () => {
+    const { token } = issueCheckinToken(sessionId, now);
+    assert.deepEqual(verifyCheckinToken(token, now + 9999), { ok: true, sessionId });
+  });
+
+  it('still accepts the previous token right after a rotation', () => {
+    const { token } = issueCheckinToken(sessionId, now);
+    assert.equal(verifyCheckinToken(token, now + 10000).ok, true);
+  });
+
+  it('rejects tokens two rotations old or from the future', () => {
+    assert.equal(verifyCheckinToken(issueCheckinToken(sessionId, now).token, now + 20000).code, 410);
+    assert.equal(verifyCheckinToken(issueCheckinToken(sessionId, now + 10000).token, now).code, 410);
+  });
+
+  it('rejects a tampered token', () => {
+    const { token } = issueCheckinToken(sessionId, now);
+    const [, step, signature] = token.split('.');
+    const otherSession = '65a000000000000000000002';
+    assert.equal(verifyCheckinToken(`${otherSession}.${step}.${signature}`, now).code, 400);
+    assert.equal(verifyCheckinToken(`${sessionId}.${Number(step) + 1}.${signature}`, now + 10000).code, 400);
+  });
+
+  it('rejects malformed input', () => {
+    assert.equal(verifyCheckinToken('', now).code, 400);
+    assert.equal(verifyCheckinToken('not-a-token', now).code, 400);
+    assert.equal(verifyCheckinToken(`${sessionId}.abc.xyz`, now).code, 400);
+  });
+});
@@ -0,0 +1,31 @@
+// test/date.utils.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDayRange, startOfDay, endOfDay } = require('../utils/date.utils');
+
+// Local dates, as the calendar works in server time
+const at = (y, m, d, h = 0) => new Date(y, m - 1, d, h).getTime();
+
+describe('parseDayRange', () => {
+  it('reads startDate / endDate up to the end of the last day', () => {
+    assert.deepEqual(parseDayRange({ startDate: '2024-03-04', endDate: '2024-03-08' }), {
+      startMs: startOfDay(new Date('2024-03-04').getTime()),
+      endMs: endOfDay(new Date('2024-03-08').getTime()),
+    });
+  });
+
+  it('reads a single date as one day', () => {
+    const range = parseDayRange({ date: '2024-03-04' });
+    assert.equal(range.endMs, endOfDay(range.startMs));
+  });
+
+  it('keeps the start of a calendar range as given', () => {
+    const range = parseDayRange({ startMs: at(2024, 3, 4, 10), endMs: at(2024, 3, 8, 10) });
+    assert.deepEqual(range, { startMs: at(2024, 3, 4, 10), endMs: endOfDay(at(2024, 3, 8)) });
+  });
+
+  it('returns null without a start or with an invalid date', () => {
+    assert.equal(parseDayRange({}), null);
+    assert.equal(parseDayRange({ startDate: 'not a date' }), null);
+  });
+});
@@ -0,0 +1,68 @@
+// test/geofence.utils.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { distanceMeters, distanceToFence, locationVerdict } = require('../utils/geofence.utils');
+
+const center = { lat: 18.5204, lng: 73.8567 };
+
+describe('distanceMeters', () => {
+  it('is 0 for the same point', () => {
+    assert.equal(distanceMeters(center, center), 0);
+  });
+
+  it('measures about 111 km per degree of latitude', () => {
+    const d = distanceMeters({ lat: 0, lng: 0 }, { lat: 1, lng: 0 });
+    assert.ok(Math.abs(d - 111195) < 1, `got ${d}`);
+  });
+});
+
+describe('distanceToFence', () => {
+  const circle = { shape: 'circle', center, radiusMeters: 100 };
+  // ~111 m square around the center
+  const square = {
+    shape: 'polygon',
+    polygon: [
+      { lat: center.lat - 0.0005, lng: center.lng - 0.0005 },
+      { lat: center.lat - 0.0005, lng: center.lng + 0.0005 },
+      { lat: center.lat + 0.0005, lng: center.lng + 0.0005 },
+      { lat: center.lat + 0.0005, lng: center.lng - 0.0005 },
+    ],
+  };
+
+  it('is 0 inside a circle', () => {
+    assert.equal(distanceToFence(circle, { lat: center.lat + 0.0005, lng: center.lng }), 0);
+  });
+
+  it('measures from the edge of a circle', () => {
+    const d = distanceToFence(circle, { lat: center.lat + 0.001, lng: center.lng });
+    assert.ok(Math.abs(d - 11.2) < 0.5, `got ${d}`);
+  });
+
+  it('is 0 inside a polygon', () => {
+    assert.equal(distanceToFence(square, center), 0);
+  });
+
+  it('measures from the nearest polygon edge', () => {
+    const d = distanceToFence(square, { lat: center.lat + 0.001, lng: center.lng });
+    assert.ok(Math.abs(d - 55.6) < 0.5, `got ${d}`);
+  });
+});
+
+describe('locationVerdict', () => {
+  it('is inside only within the fence', () => {
+    assert.equal(locationVerdict(0, 20), 'inside');
+  });
+
+  it('flags a position whose accuracy circle reaches the fence as near the edge', () => {
+    assert.equal(locationVerdict(15, 20), 'near_edge');
+    assert.equal(locationVerdict(20, 20), 'near_edge');
+  });
+
+  it('is outside beyond the accuracy circle', () => {
+    assert.equal(locationVerdict(25, 20), 'outside');
+  });
+
+  it('does not trust imprecise positions, even inside', () => {
+    assert.equal(locationVerdict(0, 500), 'low_accuracy');
+  });
+});
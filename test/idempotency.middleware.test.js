@@ -0,0 +1,150 @@
+// test/idempotency.middleware.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey.model');
+const { idempotent } = require('../middleware/idempotency.middleware');
+
+const body = { classId: 'c1', records: [{ studentId: 's1', status: 'present' }] };
+const hashOf = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+const makeReq = (overrides = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/attendance',
+  path: '/bulk',
+  body,
+  user: { id: 'u1' },
+  headers: { 'idempotency-key': 'key-1' },
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: null,
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.sent = payload;
+      return res;
+    },
+  };
+  return res;
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+const leanOf = (doc) => ({ lean: async () => doc });
+
+describe('idempotent', () => {
+  beforeEach(() => {
+    mock.method(IdempotencyKey, 'updateOne', async () => ({}));
+    mock.method(IdempotencyKey, 'deleteOne', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('runs the handler when no key is sent', async () => {
+    const create = mock.method(IdempotencyKey, 'create', async () => ({}));
+    const next = mock.fn();
+    await idempotent(makeReq({ headers: {} }), makeRes(), next);
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('stores a successful response for replays', async () => {
+    mock.method(IdempotencyKey, 'create', async () => ({}));
+    const res = makeRes();
+    const next = mock.fn();
+    await idempotent(makeReq(), res, next);
+    assert.equal(next.mock.callCount(), 1);
+
+    res.status(201).json({ success: true, saved: 1 });
+    await new Promise(setImmediate);
+
+    const [filter, update] = IdempotencyKey.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { userId: 'u1', key: 'key-1' });
+    assert.deepEqual(update.$set, { status: 'completed', responseStatus: 201, responseBody: { success: true, saved: 1 } });
+    assert.deepEqual(res.sent, { success: true, saved: 1 });
+  });
+
+  it('frees the key when the request fails', async () => {
+    mock.method(IdempotencyKey, 'create', async () => ({}));
+    const res = makeRes();
+    await idempotent(makeReq(), res, mock.fn());
+
+    res.status(400).json({ success: false });
+    await new Promise(setImmediate);
+
+    assert.equal(IdempotencyKey.deleteOne.mock.callCount(), 1);
+    assert.equal(IdempotencyKey.updateOne.mock.callCount(), 0);
+  });
+
+  it('replays a completed request without running the handler', async () => {
+    mock.method(IdempotencyKey, 'create', async () => { throw duplicateKey(); });
+    mock.method(IdempotencyKey, 'findOne', () => leanOf({
+      route: 'POST /api/attendance/bulk',
+      requestHash: hashOf(body),
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { success: true, saved: 1 },
+    }));
+    const res = makeRes();
+    const next = mock.fn();
+    await idempotent(makeReq(), res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(res.sent, { success: true, saved: 1 });
+  });
+
+  it('refuses the same key with another body', async () => {
+    mock.method(IdempotencyKey, 'create', async () => { throw duplicateKey(); });
+    mock.method(IdempotencyKey, 'findOne', () => leanOf({
+      route: 'POST /api/attendance/bulk',
+      requestHash: hashOf({ other: true }),
+      status: 'completed',
+    }));
+    const res = makeRes();
+    const next = mock.fn();
+    await idempotent(makeReq(), res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 422);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    mock.method(IdempotencyKey, 'create', async () => { throw duplicateKey(); });
+    mock.method(IdempotencyKey, 'findOne', () => leanOf({
+      route: 'POST /api/attendance/bulk',
+      requestHash: hashOf(body),
+      status: 'processing',
+      updatedAt: new Date(),
+    }));
+    const res = makeRes();
+    const next = mock.fn();
+    await idempotent(makeReq(), res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.headers['Retry-After'], '2');
+  });
+
+  it('rejects an empty key', async () => {
+    const res = makeRes();
+    await idempotent(makeReq({ headers: { 'idempotency-key': '  ' } }), res, mock.fn());
+    assert.equal(res.statusCode, 400);
+  });
+});
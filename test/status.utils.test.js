@@ -0,0 +1,94 @@
+// test/status.utils.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveStatus,
+  parseStatusCode,
+  leaveStatus,
+  getStatusRules,
+  countStatuses,
+  summarizeStatusCounts,
+  DEFAULT_COUNTED_STATUSES,
+  DEFAULT_EXCLUDED_STATUSES,
+} = require('../utils/status.utils');
+
+describe('resolveStatus', () => {
+  it('uses the stored status', () => {
+    assert.equal(resolveStatus({ status: 'late', isPresent: true }), 'late');
+  });
+
+  it('falls back to isPresent for rows without a status', () => {
+    assert.equal(resolveStatus({ isPresent: true }), 'present');
+    assert.equal(resolveStatus({ isPresent: false }), 'absent');
+  });
+});
+
+describe('parseStatusCode', () => {
+  it('reads codes and full names in any case', () => {
+    assert.equal(parseStatusCode('P'), 'present');
+    assert.equal(parseStatusCode(' od '), 'on-duty');
+    assert.equal(parseStatusCode('Medical'), 'medical');
+  });
+
+  it('returns null for unknown or empty values', () => {
+    assert.equal(parseStatusCode('X'), null);
+    assert.equal(parseStatusCode(''), null);
+    assert.equal(parseStatusCode(null), null);
+  });
+});
+
+describe('leaveStatus', () => {
+  it('keeps medical and on-duty leaves, excuses the rest', () => {
+    assert.equal(leaveStatus('medical'), 'medical');
+    assert.equal(leaveStatus('on-duty'), 'on-duty');
+    assert.equal(leaveStatus('personal'), 'excused');
+  });
+});
+
+describe('getStatusRules', () => {
+  it('falls back to the defaults', () => {
+    assert.deepEqual(getStatusRules(undefined), {
+      counted: DEFAULT_COUNTED_STATUSES,
+      excluded: DEFAULT_EXCLUDED_STATUSES,
+    });
+  });
+
+  it('keeps an empty excluded list from the settings', () => {
+    const rules = getStatusRules({ countedStatuses: ['present'], excludedStatuses: [] });
+    assert.deepEqual(rules, { counted: ['present'], excluded: [] });
+  });
+});
+
+describe('summarizeStatusCounts', () => {
+  const rows = [
+    ...Array(6).fill({ status: 'present' }),
+    { status: 'late' },
+    { status: 'on-duty' },
+    { isPresent: false },
+    { status: 'medical' },
+  ];
+  const counts = countStatuses(rows);
+  const rules = getStatusRules(undefined);
+
+  it('counts every status, zero-filled', () => {
+    assert.deepEqual(counts, { present: 6, absent: 1, late: 1, excused: 0, 'on-duty': 1, medical: 1 });
+  });
+
+  it('leaves excluded statuses out of the percentage', () => {
+    assert.deepEqual(summarizeStatusCounts(counts, rules), {
+      totalClasses: 10,
+      presents: 8,
+      absents: 1,
+      excluded: 1,
+      percentage: 88.89,
+    });
+  });
+
+  it('measures against the scheduled sessions when more were scheduled', () => {
+    assert.equal(summarizeStatusCounts(counts, rules, 12).percentage, 72.73);
+  });
+
+  it('gives 0% when nothing counts', () => {
+    assert.equal(summarizeStatusCounts(countStatuses([]), rules).percentage, 0);
+  });
+});
@@ -0,0 +1,47 @@
+// test/summary.utils.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPeriods } = require('../utils/summary.utils');
+
+// Local dates, as buildPeriods works in server time
+const at = (y, m, d) => new Date(y, m - 1, d).getTime();
+const endOf = (y, m, d) => new Date(y, m - 1, d, 23, 59, 59, 999).getTime();
+
+describe('buildPeriods', () => {
+  it('splits into calendar months clamped to the range', () => {
+    const periods = buildPeriods('month', at(2024, 1, 15), endOf(2024, 3, 10), null);
+    assert.deepEqual(periods.map(p => p.label), ['2024-01', '2024-02', '2024-03']);
+    assert.equal(periods[0].startMs, at(2024, 1, 15));
+    assert.equal(periods[0].endMs, at(2024, 2, 1) - 1);
+    assert.equal(periods[1].startMs, at(2024, 2, 1));
+    assert.equal(periods[2].endMs, endOf(2024, 3, 10));
+  });
+
+  it('splits into Monday-Sunday weeks', () => {
+    // Wed 2024-01-10 .. Tue 2024-01-23
+    const periods = buildPeriods('week', at(2024, 1, 10), endOf(2024, 1, 23), null);
+    assert.deepEqual(periods.map(p => p.label), ['Week of 2024-01-08', 'Week of 2024-01-15', 'Week of 2024-01-22']);
+    assert.equal(periods[0].startMs, at(2024, 1, 10));
+    assert.equal(periods[0].endMs, at(2024, 1, 15) - 1);
+    assert.equal(periods[2].endMs, endOf(2024, 1, 23));
+  });
+
+  it('uses the overlapping calendar terms in order', () => {
+    const calendar = {
+      terms: [
+        { name: 'Even', startMs: at(2024, 1, 1), endMs: endOf(2024, 5, 31) },
+        { name: 'Odd', startMs: at(2023, 7, 1), endMs: endOf(2023, 11, 30) },
+        { name: 'Next odd', startMs: at(2024, 7, 1), endMs: endOf(2024, 11, 30) },
+      ],
+    };
+    const periods = buildPeriods('semester', at(2023, 10, 1), endOf(2024, 2, 29), calendar);
+    assert.deepEqual(periods, [
+      { label: 'Odd', startMs: at(2023, 10, 1), endMs: endOf(2023, 11, 30) },
+      { label: 'Even', startMs: at(2024, 1, 1), endMs: endOf(2024, 2, 29) },
+    ]);
+  });
+
+  it('has no terms without a calendar', () => {
+    assert.deepEqual(buildPeriods('term', at(2024, 1, 1), endOf(2024, 1, 31), null), []);
+  });
+});
@@ -0,0 +1,25 @@
+// utils/access.utils.js
+const mongoose = require('mongoose');
+const Class = require('../models/class.model');
+
+/**
+ * Find a class visible to the current user (same scoping as getClassById)
+ *  - HOD: classes they created
+ *  - Student: classes they belong to
+ *  - Professor: classes they are assigned to
+ * @param {String} classId - Class _id
+ * @param {Object} user - Decoded token ({ id, role })
+ * @returns {Object|null} Class document or null
+ */
+const findClassForUser = async (classId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(classId)) return null;
+
+  if (user.role === 'hod') return Class.findOne({ _id: classId, createdBy: user.id });
+  if (user.role === 'student') return Class.findOne({ _id: classId, students: user.id });
+  if (user.role === 'professor') return Class.findOne({ _id: classId, professors: user.id });
+  return null;
+};
+
+module.exports = {
+  findClassForUser
+};
@@ -0,0 +1,363 @@
+// utils/attendance.utils.js
+const mongoose = require('mongoose');
+const Attendance = require('../models/attendance.model');
+const AttendanceAudit = require('../models/attendanceAudit.model');
+const Class = require('../models/class.model');
+const HOD = require('../models/hod.model');
+const Subject = require('../models/subject.model');
+const { findScheduledSlot } = require('./timetable.utils');
+const { getCalendar, getNonTeachingReason } = require('./calendar.utils');
+const { getLockState } = require('./lock.utils');
+const { findApprovedLeaves } = require('./leave.utils');
+const { sendPushToStudents } = require('./notification.utils');
+const { PRESENT_STATUSES, resolveStatus, leaveStatus } = require('./status.utils');
+const { findSlotSession, recordConductedSession } = require('./session.utils');
+
+/**
+ * Verify professor access to a class.
+ *  - Class must exist (always check by _id).
+ *  - If hodId exists in token → enforce createdBy match (HOD view).
+ *  - If class has professors/assignedProfessors → ensure professor is listed.
+ */
+const verifyProfessorAccessToClass = async (professorId, hodId, classId) => {
+  const query = { _id: classId };
+  if (hodId) {
+    query.createdBy = hodId; // only enforce if provided
+  }
+
+  const cls = await Class.findOne(query).lean();
+  if (!cls) {
+    return { ok: false, code: 404, msg: `Class not found (id=${classId}, hodId=${hodId || 'none'})` };
+  }
+
+  const profList = cls.professors || cls.assignedProfessors;
+  if (Array.isArray(profList) && profList.length > 0) {
+    const isAssigned = profList.some((p) => String(p) === String(professorId));
+    if (!isAssigned) {
+      return { ok: false, code: 403, msg: `Professor ${professorId} is not assigned to class ${classId}` };
+    }
+  }
+
+  return { ok: true, class: cls };
+};
+
+/**
+ * Mark one class/date/slot for a professor. Shared by POST /bulk and the Excel import,
+ * so calendar, timetable, subject, lock, leave, correction-window and audit rules
+ * apply the same way to both.
+ * @param {Object} params
+ * @param {String} params.professorId
+ * @param {String} [params.hodId] - from the professor's token
+ * @param {String} params.classId
+ * @param {Number} params.dateMs - midnight-normalized date
+ * @param {Number} params.slotNumber
+ * @param {String} [params.subjectId] - defaults to the timetable slot's subject
+ * @param {Array} params.records - [{ studentId, status?, isPresent?, reason? }]
+ * @param {Boolean} [params.override] - allow marking on a non-teaching day
+ * @param {String} [params.reason] - correction reason for every record
+ * @param {Object} [params.cls] - class already checked with verifyProfessorAccessToClass
+ * @param {Boolean} [params.keepExisting] - leave rows that already hold a different status
+ *   untouched and report them as conflicts instead of correcting them
+ * @param {Boolean} [params.notify] - push "Attendance Updated" to the students (default true)
+ * @param {String} [params.topic] - what the lecture covered, stored on its session
+ * @returns {Promise<Object>} { ok: false, code, msg, details? } or
+ *   { ok: true, class, session, savedCount, correctedCount, skippedStudentIds, conflicts, results }
+ *   where results maps studentId → 'created' | 'updated' | 'unchanged' and session is
+ *   the slot's AttendanceSession (null when nothing was marked and none exists)
+ */
+const markSlotAttendance = async ({
+  professorId,
+  hodId,
+  classId,
+  dateMs,
+  slotNumber,
+  subjectId: requestedSubjectId,
+  records,
+  override = false,
+  reason = '',
+  cls: verifiedClass,
+  keepExisting = false,
+  notify = true,
+  topic,
+}) => {
+  // 🔑 Verify access
+  let cls = verifiedClass;
+  if (!cls) {
+    const access = await verifyProfessorAccessToClass(professorId, hodId, classId);
+    if (!access.ok) {
+      console.warn(`[attendance] Access denied → ${access.msg}`);
+      return access;
+    }
+    cls = access.class;
+  }
+
+  // 🗄️ Classes of a past term are read-only
+  if (cls.archived) {
+    return { ok: false, code: 409, msg: 'This class has been archived by a term rollover' };
+  }
+
+  // 📅 Holidays, exam days and breaks need an explicit override
+  const calendar = await getCalendar(cls.createdBy);
+  const nonTeaching = getNonTeachingReason(calendar, dateMs);
+  if (nonTeaching && override !== true) {
+    return {
+      ok: false,
+      code: 400,
+      msg: `${new Date(dateMs).toDateString()} is a non-teaching day (${nonTeaching.name}). Send override: true to mark attendance anyway`,
+    };
+  }
+
+  // 🚫 A cancelled lecture takes no attendance
+  const existingSession = await findSlotSession(classId, dateMs, slotNumber);
+  if (existingSession?.status === 'cancelled') {
+    return {
+      ok: false,
+      code: 409,
+      msg: `Slot ${slotNumber} on ${new Date(dateMs).toDateString()} was cancelled`,
+      details: { sessionId: String(existingSession._id), cancelReason: existingSession.cancelReason },
+    };
+  }
+
+  // 🗓️ Only accept slots scheduled on the class timetable for that weekday
+  const schedule = await findScheduledSlot(classId, dateMs, slotNumber);
+  if (schedule.enforced && !schedule.entry) {
+    return {
+      ok: false,
+      code: 400,
+      msg: `Slot ${slotNumber} is not scheduled for this class on ${new Date(dateMs).toDateString()}`,
+    };
+  }
+
+  // 📚 Subject: explicit subjectId, else the one linked to the timetable slot
+  const subjectId = requestedSubjectId || schedule.entry?.subjectId || null;
+  if (subjectId) {
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      return { ok: false, code: 400, msg: 'Invalid subjectId' };
+    }
+    const subject = await Subject.findOne({ _id: subjectId, classId }).lean();
+    if (!subject) {
+      return { ok: false, code: 404, msg: 'Subject not found in this class' };
+    }
+    const subjectProfs = subject.professors || [];
+    if (subjectProfs.length > 0 && !subjectProfs.some((p) => String(p) === String(professorId))) {
+      return { ok: false, code: 403, msg: `Professor ${professorId} is not assigned to subject ${subject.name}` };
+    }
+  }
+
+  // ✅ Deduplicate by studentId (last record wins)
+  const dedupedMap = new Map();
+  const skippedStudentIds = [];
+
+  for (const rec of records) {
+    if (!mongoose.Types.ObjectId.isValid(rec.studentId)) {
+      skippedStudentIds.push(rec.studentId); // invalid ObjectId
+      continue;
+    }
+    if (dedupedMap.has(String(rec.studentId))) {
+      skippedStudentIds.push(rec.studentId); // duplicate in request
+    }
+    dedupedMap.set(String(rec.studentId), rec); // keep last one
+  }
+
+  let dedupedRecords = Array.from(dedupedMap.values());
+
+  const hod = await HOD.findById(cls.createdBy).select('attendanceSettings').lean();
+
+  // 🔒 Past the HOD's lock window only a HOD unlock re-opens the slot
+  const lock = await getLockState(hod?.attendanceSettings, classId, dateMs, slotNumber);
+  if (lock.locked) {
+    return {
+      ok: false,
+      code: 423,
+      msg: `Attendance for slot ${slotNumber} on ${new Date(dateMs).toDateString()} is locked. Ask your HOD to unlock it`,
+      details: {
+        lockedAt: new Date(lock.lockedAt).toISOString(),
+        refusedCount: dedupedRecords.length,
+        refused: dedupedRecords.map((rec) => ({ studentId: rec.studentId, reason: 'locked' })),
+      },
+    };
+  }
+
+  // 🏖️ Absences covered by an approved leave take the leave's status and link to it
+  const approvedLeaves = await findApprovedLeaves(
+    dedupedRecords.map((r) => r.studentId),
+    dateMs
+  );
+  const markFor = (rec) => {
+    const status = rec.status || (rec.isPresent ? 'present' : 'absent');
+    const leave = status === 'absent' ? approvedLeaves.get(String(rec.studentId)) : null;
+    const finalStatus = leave ? leaveStatus(leave.type) : status;
+    return {
+      status: finalStatus,
+      isPresent: PRESENT_STATUSES.includes(finalStatus),
+      leaveId: leave ? leave._id : null,
+    };
+  };
+
+  const slotFilter = {
+    classId,
+    dateMs,
+    slotNumber: Number(slotNumber),
+  };
+  const existingRows = await Attendance.find({
+    ...slotFilter,
+    studentId: { $in: dedupedRecords.map((r) => r.studentId) },
+  }).lean();
+  // Older rows have no status yet; compare against the one isPresent implies
+  const existingByStudent = new Map(
+    existingRows.map((r) => [String(r.studentId), { ...r, status: resolveStatus(r) }])
+  );
+
+  // ⚖️ Optionally keep what is already recorded when it disagrees
+  const conflicts = [];
+  if (keepExisting) {
+    dedupedRecords = dedupedRecords.filter((rec) => {
+      const before = existingByStudent.get(String(rec.studentId));
+      const status = markFor(rec).status;
+      if (before && before.status !== status) {
+        conflicts.push({ studentId: rec.studentId, existingStatus: before.status, status });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // ✍️ Corrections to rows older than the HOD's correction window need a reason
+  const windowHours = hod?.attendanceSettings?.correctionWindowHours ?? 24;
+  const windowStart = Date.now() - windowHours * 60 * 60 * 1000;
+  const reasonFor = (rec) => String(rec.reason || reason || '').trim();
+
+  const reasonRequired = dedupedRecords
+    .filter((rec) => {
+      const before = existingByStudent.get(String(rec.studentId));
+      return before &&
+        new Date(before.createdAt).getTime() < windowStart &&
+        AttendanceAudit.hasChanges(before, { ...before, ...markFor(rec), subjectId }) &&
+        !reasonFor(rec);
+    })
+    .map((rec) => rec.studentId);
+
+  if (reasonRequired.length > 0) {
+    return {
+      ok: false,
+      code: 400,
+      msg: `A reason is required to correct attendance marked more than ${windowHours} hours ago`,
+      details: { reasonRequiredFor: reasonRequired },
+    };
+  }
+
+  // ✅ Bulk save attendance
+  const ops = dedupedRecords.map((rec) => ({
+    updateOne: {
+      filter: {
+        studentId: rec.studentId,
+        ...slotFilter,
+      },
+      update: {
+        $set: {
+          ...markFor(rec),
+          markedBy: professorId,
+          subjectId,
+        },
+        $setOnInsert: {
+          studentId: rec.studentId,
+          ...slotFilter,
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  if (ops.length > 0) {
+    try {
+      await Attendance.bulkWrite(ops, { ordered: false });
+    } catch (err) {
+      const writeErrors = err.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== 11000)) throw err;
+
+      // Two markings of the same slot at once: the other one inserted these rows first.
+      // Diff them against its rows (not as creates of ours), then write them again.
+      const racedStudentIds = writeErrors.map((e) => dedupedRecords[e.index].studentId);
+      const racedRows = await Attendance.find({ ...slotFilter, studentId: { $in: racedStudentIds } }).lean();
+      racedRows.forEach((r) => existingByStudent.set(String(r.studentId), { ...r, status: resolveStatus(r) }));
+
+      let retryRecords = writeErrors.map((e) => dedupedRecords[e.index]);
+      if (keepExisting) {
+        const kept = new Set();
+        retryRecords = retryRecords.filter((rec) => {
+          const before = existingByStudent.get(String(rec.studentId));
+          const status = markFor(rec).status;
+          if (before && before.status !== status) {
+            conflicts.push({ studentId: rec.studentId, existingStatus: before.status, status });
+            kept.add(String(rec.studentId));
+            return false;
+          }
+          return true;
+        });
+        dedupedRecords = dedupedRecords.filter((rec) => !kept.has(String(rec.studentId)));
+      }
+
+      const retryIds = new Set(retryRecords.map((rec) => String(rec.studentId)));
+      const retryOps = ops.filter((op) => retryIds.has(String(op.updateOne.filter.studentId)));
+      if (retryOps.length > 0) await Attendance.bulkWrite(retryOps);
+    }
+  }
+
+  // 🧾 Audit trail: every created or changed row
+  const savedRows = await Attendance.find({
+    ...slotFilter,
+    studentId: { $in: dedupedRecords.map((r) => r.studentId) },
+  }).lean();
+  const recordByStudent = new Map(dedupedRecords.map((r) => [String(r.studentId), r]));
+  const audits = await AttendanceAudit.recordChanges(
+    savedRows.map((after) => ({
+      before: existingByStudent.get(String(after.studentId)) || null,
+      after,
+      reason: reasonFor(recordByStudent.get(String(after.studentId)) || {}),
+    })),
+    { id: professorId, model: 'Professor' }
+  );
+  const correctedCount = audits.filter((a) => a.action === 'update').length;
+
+  const results = new Map(dedupedRecords.map((r) => [String(r.studentId), 'unchanged']));
+  audits.forEach((a) => {
+    results.set(String(a.studentId), a.action === 'create' ? 'created' : 'updated');
+  });
+
+  // 📖 The lecture took place: record / update its session
+  const session = dedupedRecords.length > 0
+    ? await recordConductedSession({ cls, professorId, dateMs, slotNumber, subjectId, topic })
+    : existingSession;
+
+  // =============== 🔔 Notification Part ===============
+  if (notify && dedupedRecords.length > 0) {
+    const className = cls?.className || 'Class';
+    const division = cls?.division ? ` (${cls.division})` : '';
+
+    await sendPushToStudents(
+      dedupedRecords.map((r) => r.studentId),
+      {
+        title: 'Attendance Updated',
+        body: `Your attendance for ${className}${division}, Slot ${slotNumber} on ${new Date(
+          dateMs
+        ).toISOString().split('T')[0]} has been marked.`,
+      }
+    );
+  }
+
+  return {
+    ok: true,
+    class: cls,
+    session,
+    savedCount: dedupedRecords.length,
+    correctedCount,
+    skippedStudentIds,
+    conflicts,
+    results,
+  };
+};
+
+module.exports = {
+  verifyProfessorAccessToClass,
+  markSlotAttendance
+};
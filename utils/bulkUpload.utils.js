@@ -0,0 +1,196 @@
+// utils/bulkUpload.utils.js
+const crypto = require('crypto');
+const BulkUpload = require('../models/bulkUpload.model');
+
+// How long a dry-run preview can be committed with its token
+const PREVIEW_TTL_MINUTES = Number(process.env.BULK_PREVIEW_TTL_MINUTES) || 30;
+
+const UPLOAD_MODES = ['insert', 'upsert'];
+
+/**
+ * ?dryRun=true (or dryRun in the multipart body)
+ */
+const isDryRun = (req) => [req.query.dryRun, req.body?.dryRun].some((v) => v === true || v === 'true');
+
+/**
+ * ?mode=insert|upsert (or mode in the multipart body); insert by default
+ * @returns {String|null} null when the value is not a known mode
+ */
+const getUploadMode = (req) => {
+  const mode = req.query.mode || req.body?.mode || 'insert';
+  return UPLOAD_MODES.includes(mode) ? mode : null;
+};
+
+/**
+ * Rows for a bulk upload: parsed from the uploaded file, or taken from a dry-run
+ * preview when the body carries its token instead of a file. A preview can only
+ * be committed once, by the HOD who created it, and keeps the mode it was previewed with.
+ * @param {Object} req
+ * @param {String} type - 'students' | 'professors' | 'classes'
+ * @param {String} hodId
+ * @param {Function} parser - async (filePath) → { rows, headers, rejected, error }
+ * @returns {Promise<Object>} { rows, headers, rejected, fileName, mode, fromPreview } or { error, code }
+ */
+const readBulkRows = async (req, type, hodId, parser) => {
+  if (req.file) {
+    const mode = getUploadMode(req);
+    const parsed = await parser(req.file.path);
+    if (!mode) return { error: `mode must be one of: ${UPLOAD_MODES.join(', ')}`, code: 400 };
+    if (parsed.error) return { error: parsed.error, code: 400, headers: parsed.headers };
+    return { ...parsed, fileName: req.file.originalname, mode, fromPreview: false };
+  }
+
+  const token = req.body?.token;
+  if (!token) return { error: 'Please upload an Excel file', code: 400 };
+  if (isDryRun(req)) return { error: 'Upload the file again to preview it', code: 400 };
+
+  const preview = await BulkUpload.findOneAndDelete({
+    token: String(token),
+    type,
+    purpose: 'preview',
+    hodId,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!preview) {
+    return { error: 'Preview not found or expired. Upload the file again', code: 404 };
+  }
+
+  return {
+    rows: openRowPasswords(preview.rows),
+    headers: null,
+    rejected: preview.rejected || [],
+    fileName: preview.fileName,
+    mode: preview.mode,
+    fromPreview: true,
+  };
+};
+
+// Key for sheet passwords kept with stored rows
+const rowPasswordKey = () =>
+  crypto.createHash('sha256').update(String(process.env.UPLOAD_ROW_SECRET || process.env.JWT_SECRET)).digest();
+
+/**
+ * Encrypt the sheet's passwords before rows are stored (AES-256-GCM), so a
+ * preview or a queued import never keeps them in plaintext. Hashing waits for
+ * the import itself.
+ * @param {Array} rows - parsed rows, possibly with a password
+ * @returns {Array} rows with sealedPassword instead of password
+ */
+const sealRowPasswords = (rows) => {
+  const key = rowPasswordKey();
+  return rows.map(({ password, ...row }) => {
+    if (!password) return row;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(password), 'utf8'), cipher.final()]);
+    return { ...row, sealedPassword: [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.') };
+  });
+};
+
+/**
+ * Undo sealRowPasswords on rows read back from storage
+ * @param {Array} rows
+ * @returns {Array} rows with their plaintext password
+ */
+const openRowPasswords = (rows) => {
+  const key = rowPasswordKey();
+  return rows.map(({ sealedPassword, ...row }) => {
+    if (!sealedPassword) return row;
+    const [iv, tag, data] = sealedPassword.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return { ...row, password: Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8') };
+  });
+};
+
+/**
+ * Save parsed rows for a later commit and build the dry-run response.
+ * Passwords are stored encrypted (see sealRowPasswords).
+ * @param {Object} params
+ * @param {String} params.type
+ * @param {String} params.hodId
+ * @param {Object} params.upload - from readBulkRows
+ * @param {Array} params.duplicates - [{ row, ..., reason }] rows that would be skipped
+ * @param {Array} [params.errors] - [{ row, ..., reasons }] rows rejected after parsing
+ * @param {Array} [params.warnings] - [{ row, ..., warning }] rows that import with a change
+ * @param {Number} params.insertCount - rows that would be created
+ * @param {Array} [params.diff] - upsert: [{ row, ..., action, changes }] per matched row
+ * @returns {Promise<Object>} response payload
+ */
+const createPreview = async ({ type, hodId, upload, duplicates, errors = [], warnings = [], insertCount, diff }) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + PREVIEW_TTL_MINUTES * 60 * 1000);
+
+  await BulkUpload.create({
+    token,
+    type,
+    hodId,
+    fileName: upload.fileName || '',
+    mode: upload.mode,
+    rows: sealRowPasswords(upload.rows),
+    rejected: upload.rejected,
+    expiresAt,
+  });
+
+  return {
+    dryRun: true,
+    token,
+    expiresAt,
+    fileName: upload.fileName,
+    headers: upload.headers,
+    mode: upload.mode,
+    totalRows: upload.rows.length + upload.rejected.length,
+    insertCount,
+    // Passwords from the sheet are never echoed back
+    rows: upload.rows.map(({ password, ...row }) => (
+      password === undefined ? row : { ...row, hasPassword: Boolean(password) }
+    )),
+    errors: [...upload.rejected, ...errors].sort((a, b) => a.row - b.row),
+    duplicates,
+    warnings,
+    ...(diff ? { diff } : {}),
+  };
+};
+
+/**
+ * Keep the row-by-row outcome of an upload so it can be downloaded as xlsx
+ * @param {Object} params - { type, hodId, fileName, rows: [{ row, values, status, reasons }] }
+ * @returns {Promise<String>} report token
+ */
+const saveUploadReport = async ({ type, hodId, fileName, rows }) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  await BulkUpload.create({
+    token,
+    type,
+    purpose: 'report',
+    hodId,
+    fileName: fileName || '',
+    rows: [...rows].sort((a, b) => a.row - b.row),
+    expiresAt: new Date(Date.now() + PREVIEW_TTL_MINUTES * 60 * 1000),
+  });
+  return token;
+};
+
+/**
+ * A saved upload report of this HOD, or null when unknown/expired
+ */
+const findUploadReport = (type, hodId, token) =>
+  BulkUpload.findOne({
+    token: String(token),
+    type,
+    purpose: 'report',
+    hodId,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+
+module.exports = {
+  UPLOAD_MODES,
+  isDryRun,
+  getUploadMode,
+  readBulkRows,
+  sealRowPasswords,
+  openRowPasswords,
+  createPreview,
+  saveUploadReport,
+  findUploadReport
+};
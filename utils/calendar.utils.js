@@ -0,0 +1,112 @@
+// utils/calendar.utils.js
+const AcademicCalendar = require('../models/academicCalendar.model');
+const { startOfDay, endOfDay, forEachDay } = require('./date.utils');
+
+/**
+ * Load a HOD's academic calendar (null when none has been set up)
+ * @param {String} hodId
+ * @returns {Object|null} Lean calendar document
+ */
+const getCalendar = async (hodId) => {
+  if (!hodId) return null;
+  return AcademicCalendar.findOne({ hodId }).lean();
+};
+
+/**
+ * Why a date is not a teaching day, or null if it is one.
+ * Without a calendar every day is a teaching day.
+ * @param {Object|null} calendar - Lean AcademicCalendar
+ * @param {Number} dateMs
+ * @returns {Object|null} { type, name }
+ */
+const getNonTeachingReason = (calendar, dateMs) => {
+  if (!calendar) return null;
+
+  const dayStart = startOfDay(dateMs);
+  const dayEnd = endOfDay(dateMs);
+
+  const special = (calendar.nonTeachingDays || []).find(
+    d => d.startMs <= dayEnd && d.endMs >= dayStart
+  );
+  if (special) return { type: special.type, name: special.name };
+
+  if ((calendar.weeklyOffDays || []).includes(new Date(dateMs).getDay())) {
+    return { type: 'weekly-off', name: 'Weekly off' };
+  }
+
+  const terms = calendar.terms || [];
+  if (terms.length > 0 && !terms.some(t => t.startMs <= dayEnd && t.endMs >= dayStart)) {
+    return { type: 'break', name: 'Outside academic term' };
+  }
+
+  return null;
+};
+
+/**
+ * Non-teaching days between two dates, merged into contiguous day ranges
+ * @param {Object|null} calendar
+ * @param {Number} startMs
+ * @param {Number} endMs
+ * @returns {Array} [{ startMs, endMs }]
+ */
+const getNonTeachingRanges = (calendar, startMs, endMs) => {
+  if (!calendar) return [];
+
+  const ranges = [];
+  forEachDay(startMs, endMs, (dayMs) => {
+    if (!getNonTeachingReason(calendar, dayMs)) return;
+
+    const last = ranges[ranges.length - 1];
+    if (last && startOfDay(last.endMs + 1) === dayMs) {
+      last.endMs = endOfDay(dayMs);
+    } else {
+      ranges.push({ startMs: dayMs, endMs: endOfDay(dayMs) });
+    }
+  });
+  return ranges;
+};
+
+/**
+ * Mongo condition that keeps dateMs out of the given day ranges
+ * Usage: Object.assign(match, excludeRangesCondition(ranges))
+ * @param {Array} ranges - from getNonTeachingRanges
+ * @returns {Object} { $nor: [...] } or {}
+ */
+const excludeRangesCondition = (ranges) => {
+  if (!ranges || ranges.length === 0) return {};
+  return { $nor: ranges.map(r => ({ dateMs: { $gte: r.startMs, $lte: r.endMs } })) };
+};
+
+/**
+ * Term containing a date, or null
+ * @param {Object|null} calendar
+ * @param {Number} dateMs
+ * @returns {Object|null} { name, startMs, endMs }
+ */
+const getCurrentTerm = (calendar, dateMs) =>
+  (calendar?.terms || []).find(t => t.startMs <= dateMs && t.endMs >= dateMs) || null;
+
+/**
+ * From the start of the current term to the end of the given day.
+ * Without a matching term the range starts on January 1st of that year.
+ * @param {Object|null} calendar
+ * @param {Number} dateMs
+ * @returns {Object} { startMs, endMs, termName }
+ */
+const getTermToDateRange = (calendar, dateMs) => {
+  const term = getCurrentTerm(calendar, dateMs);
+  return {
+    startMs: term ? term.startMs : new Date(new Date(dateMs).getFullYear(), 0, 1).getTime(),
+    endMs: endOfDay(dateMs),
+    termName: term ? term.name : null,
+  };
+};
+
+module.exports = {
+  getCalendar,
+  getCurrentTerm,
+  getTermToDateRange,
+  getNonTeachingReason,
+  getNonTeachingRanges,
+  excludeRangesCondition
+};
@@ -0,0 +1,376 @@
+// utils/checkin.utils.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Attendance = require('../models/attendance.model');
+const AttendanceSession = require('../models/attendanceSession.model');
+const Class = require('../models/class.model');
+const { verifyProfessorAccessToClass, markSlotAttendance } = require('./attendance.utils');
+const { PRESENT_STATUSES, resolveStatus } = require('./status.utils');
+const { startOfDay } = require('./date.utils');
+const { evaluateCheckinLocation } = require('./geofence.utils');
+const { checkStudentDevice, findSharedCheckinDevice } = require('./device.utils');
+const DeviceFlag = require('../models/deviceFlag.model');
+const Student = require('../models/student.model');
+const { refreshSessionCounts } = require('./session.utils');
+
+// The QR payload changes every ROTATE_SECONDS; the previous one is still
+// accepted so a scan right before a rotation does not fail
+const ROTATE_SECONDS = Number(process.env.CHECKIN_TOKEN_ROTATE_SECONDS) || 10;
+
+const tokenSecret = () => process.env.CHECKIN_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const signStep = (sessionId, step) =>
+  crypto.createHmac('sha256', tokenSecret()).update(`${sessionId}.${step}`).digest('base64url').slice(0, 22);
+
+/**
+ * Current QR payload of a session: "<sessionId>.<step>.<signature>"
+ * @param {String} sessionId
+ * @param {Number} [now]
+ * @returns {Object} { token, expiresAt, rotateSeconds }
+ */
+const issueCheckinToken = (sessionId, now = Date.now()) => {
+  const step = Math.floor(now / (ROTATE_SECONDS * 1000));
+  return {
+    token: `${sessionId}.${step}.${signStep(String(sessionId), step)}`,
+    expiresAt: new Date((step + 1) * ROTATE_SECONDS * 1000),
+    rotateSeconds: ROTATE_SECONDS,
+  };
+};
+
+/**
+ * Check a scanned QR payload
+ * @param {String} token
+ * @param {Number} [now]
+ * @returns {Object} { ok: true, sessionId } or { ok: false, code, msg }
+ */
+const verifyCheckinToken = (token, now = Date.now()) => {
+  const [sessionId, stepText, signature] = String(token || '').split('.');
+  const step = Number(stepText);
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !Number.isInteger(step) || !signature) {
+    return { ok: false, code: 400, msg: 'Invalid check-in code' };
+  }
+
+  const expected = Buffer.from(signStep(sessionId, step));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, code: 400, msg: 'Invalid check-in code' };
+  }
+
+  const currentStep = Math.floor(now / (ROTATE_SECONDS * 1000));
+  if (step < currentStep - 1 || step > currentStep) {
+    return { ok: false, code: 410, msg: 'Check-in code expired. Scan the code again' };
+  }
+
+  return { ok: true, sessionId };
+};
+
+/**
+ * Open a live check-in session for today's slot. The slot goes through the same
+ * checks as marking it (calendar, timetable, subject, lock), so check-ins cannot
+ * fail on them later. Opening an already open session of the same professor returns it;
+ * a scheduled or already closed session of the slot is (re)opened.
+ * @param {Object} params - { professorId, hodId, classId, slotNumber, subjectId?, topic?, override? }
+ * @returns {Promise<Object>} { ok: true, code, session, alreadyOpen? } or { ok: false, code, msg, details? }
+ */
+const openCheckinSession = async ({ professorId, hodId, classId, slotNumber, subjectId, topic, override }) => {
+  const access = await verifyProfessorAccessToClass(professorId, hodId, classId);
+  if (!access.ok) return access;
+  const cls = access.class;
+  const dateMs = startOfDay(Date.now());
+
+  const check = await markSlotAttendance({
+    professorId,
+    hodId,
+    classId,
+    dateMs,
+    slotNumber,
+    subjectId,
+    records: [],
+    override,
+    cls,
+    notify: false,
+  });
+  if (!check.ok) return check;
+
+  const existing = check.session;
+  if (existing?.status === 'open') {
+    if (String(existing.professorId) !== String(professorId)) {
+      return { ok: false, code: 409, msg: 'Another professor already has a session open for this slot' };
+    }
+    return { ok: true, code: 200, session: existing, alreadyOpen: true };
+  }
+
+  const set = { status: 'open', professorId, closedAt: null };
+  if (subjectId) set.subjectId = subjectId;
+  if (typeof topic === 'string' && topic.trim()) set.topic = topic.trim();
+
+  if (existing) {
+    // Conditional, so two professors opening the same slot cannot both win
+    const opened = await AttendanceSession.findOneAndUpdate(
+      { _id: existing._id, status: existing.status },
+      { $set: { ...set, openedAt: existing.openedAt || new Date() } },
+      { new: true }
+    ).lean();
+    if (!opened) {
+      return { ok: false, code: 409, msg: 'This session changed in the meantime. Try again' };
+    }
+    return { ok: true, code: 200, session: opened };
+  }
+
+  try {
+    const session = await AttendanceSession.create({
+      ...set,
+      classId,
+      hodId: cls.createdBy,
+      dateMs,
+      slotNumber: Number(slotNumber),
+      openedAt: new Date(),
+    });
+    return { ok: true, code: 201, session: session.toObject() };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { ok: false, code: 409, msg: 'A session was just created for this slot. Try again' };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Mark a student present from a scanned QR payload. The reported position is
+ * judged against the HOD's geofences and the device against the student's bound
+ * device; a check-in from outside the fence, from another device or from a device
+ * another student already used in this session is still saved as present but
+ * flagged for the professor to review.
+ * @param {Object} params - { studentId, token, location?: { lat, lng, accuracy }, deviceId? }
+ * @returns {Promise<Object>} { ok: true, session, class, status, alreadyCheckedIn, location?, device? }
+ *   or { ok: false, code, msg, details? }
+ */
+const checkInStudent = async ({ studentId, token, location, deviceId = null }) => {
+  const verified = verifyCheckinToken(token);
+  if (!verified.ok) return verified;
+
+  const session = await AttendanceSession.findById(verified.sessionId).lean();
+  if (!session || session.status !== 'open') {
+    return { ok: false, code: 410, msg: 'This attendance session is closed' };
+  }
+
+  const cls = await Class.findById(session.classId).lean();
+  if (!cls || !(cls.students || []).some(id => String(id) === String(studentId))) {
+    return { ok: false, code: 403, msg: 'You are not enrolled in this class' };
+  }
+
+  const slotFilter = { classId: session.classId, dateMs: session.dateMs, slotNumber: session.slotNumber };
+  const existing = await Attendance.findOne({ ...slotFilter, studentId }).lean();
+  if (existing && PRESENT_STATUSES.includes(resolveStatus(existing))) {
+    return { ok: true, session, class: cls, status: resolveStatus(existing), alreadyCheckedIn: true };
+  }
+
+  // A professor's own mark is never overwritten by a scan
+  const result = await markSlotAttendance({
+    professorId: session.professorId,
+    hodId: session.hodId,
+    classId: session.classId,
+    dateMs: session.dateMs,
+    slotNumber: session.slotNumber,
+    subjectId: session.subjectId,
+    records: [{ studentId, status: 'present' }],
+    cls,
+    keepExisting: true,
+    notify: false,
+  });
+  if (!result.ok) return result;
+  if (result.conflicts.length > 0) {
+    return {
+      ok: false,
+      code: 409,
+      msg: `Your attendance for this lecture is already marked as ${result.conflicts[0].existingStatus}`,
+    };
+  }
+
+  // 📍 Location verdict
+  const verdict = await evaluateCheckinLocation({ hodId: session.hodId, classId: session.classId, location });
+
+  // 📱 Device verdict: one phone checking in several students is the usual proxy
+  const saved = await Attendance.findOne({ ...slotFilter, studentId }).select('_id').lean();
+  const student = await Student.findById(studentId).select('device createdBy').lean();
+  const sharedWith = await findSharedCheckinDevice({ sessionId: session._id, deviceId, studentId });
+  let device = await checkStudentDevice({
+    student,
+    deviceId,
+    event: 'checkin',
+    flagMissing: true,
+    attendanceId: saved._id,
+  });
+  if (sharedWith.length > 0) {
+    await DeviceFlag.create({
+      studentId,
+      hodId: student.createdBy,
+      event: 'checkin',
+      reason: 'shared',
+      deviceId,
+      boundDeviceId: student.device?.deviceId || null,
+      otherStudentIds: sharedWith,
+      attendanceId: saved._id,
+    });
+    device = { verdict: 'shared', flagged: true };
+  }
+  const flagged = verdict.flagged || device.flagged;
+
+  await Attendance.updateOne(
+    { _id: saved._id },
+    {
+      $set: {
+        checkin: {
+          sessionId: session._id,
+          checkedInAt: new Date(),
+          location: {
+            lat: location?.lat ?? null,
+            lng: location?.lng ?? null,
+            accuracy: location?.accuracy ?? null,
+          },
+          verdict: verdict.verdict,
+          fenceId: verdict.fenceId,
+          distanceMeters: verdict.distanceMeters,
+          deviceId,
+          deviceVerdict: device.verdict,
+          flagged,
+          review: { status: flagged ? 'pending' : null },
+        },
+      },
+    }
+  );
+
+  return {
+    ok: true,
+    session,
+    class: cls,
+    status: 'present',
+    alreadyCheckedIn: false,
+    location: verdict,
+    device,
+    flagged,
+  };
+};
+
+// Why a check-in was flagged, in words
+const flagReasons = (checkin) => [
+  ...(['inside', 'no_fence'].includes(checkin.verdict) ? [] : [`location ${checkin.verdict.replace('_', ' ')}`]),
+  ...(['mismatch', 'missing', 'shared'].includes(checkin.deviceVerdict) ? [`device ${checkin.deviceVerdict}`] : []),
+];
+
+/**
+ * Professor decision on a flagged check-in: approve keeps the student present,
+ * reject marks them absent (a regular correction: lock and audit rules apply)
+ * @param {Object} params
+ * @param {String} params.recordId - Attendance _id
+ * @param {String} params.professorId
+ * @param {String} [params.hodId]
+ * @param {String} params.decision - 'approve' | 'reject'
+ * @param {String} [params.note]
+ * @returns {Promise<Object>} { ok: true, record } or { ok: false, code, msg, details? }
+ */
+const reviewFlaggedCheckin = async ({ recordId, professorId, hodId, decision, note = '' }) => {
+  const record = await Attendance.findById(recordId).lean();
+  if (!record || !record.checkin?.flagged) {
+    return { ok: false, code: 404, msg: 'Flagged check-in not found' };
+  }
+  if (record.checkin.review?.status !== 'pending') {
+    return { ok: false, code: 409, msg: `This check-in was already ${record.checkin.review?.status}` };
+  }
+
+  const access = await verifyProfessorAccessToClass(professorId, hodId, record.classId);
+  if (!access.ok) return access;
+
+  if (decision === 'reject') {
+    const result = await markSlotAttendance({
+      professorId,
+      hodId,
+      classId: record.classId,
+      dateMs: record.dateMs,
+      slotNumber: record.slotNumber,
+      subjectId: record.subjectId,
+      records: [{ studentId: record.studentId, status: 'absent' }],
+      reason: note || `Check-in rejected (${flagReasons(record.checkin).join(', ')})`,
+      cls: access.class,
+    });
+    if (!result.ok) return result;
+  }
+
+  const updated = await Attendance.findByIdAndUpdate(
+    record._id,
+    {
+      $set: {
+        'checkin.review': {
+          status: decision === 'reject' ? 'rejected' : 'approved',
+          reviewedBy: professorId,
+          reviewedAt: new Date(),
+          note,
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+
+  return { ok: true, record: updated };
+};
+
+/**
+ * Close a session and mark every enrolled student without a record absent
+ * (approved leaves still apply). Check-ins stop as soon as the session closes.
+ * @param {Object} params - { sessionId, professorId, hodId }
+ * @returns {Promise<Object>} { ok: true, session, markedAbsent } or { ok: false, code, msg, details? }
+ */
+const closeCheckinSession = async ({ sessionId, professorId, hodId }) => {
+  const session = await AttendanceSession.findOneAndUpdate(
+    { _id: sessionId, professorId, status: 'open' },
+    { $set: { status: 'closed', closedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!session) {
+    return { ok: false, code: 404, msg: 'Open session not found' };
+  }
+
+  const reopen = () => AttendanceSession.updateOne({ _id: session._id }, { $set: { status: 'open', closedAt: null } });
+
+  const access = await verifyProfessorAccessToClass(professorId, hodId, session.classId);
+  if (!access.ok) {
+    await reopen();
+    return access;
+  }
+  const cls = access.class;
+
+  const slotFilter = { classId: session.classId, dateMs: session.dateMs, slotNumber: session.slotNumber };
+  const marked = new Set((await Attendance.distinct('studentId', slotFilter)).map(String));
+  const absentees = (cls.students || []).filter(id => !marked.has(String(id)));
+
+  if (absentees.length > 0) {
+    const result = await markSlotAttendance({
+      professorId,
+      hodId,
+      classId: session.classId,
+      dateMs: session.dateMs,
+      slotNumber: session.slotNumber,
+      subjectId: session.subjectId,
+      records: absentees.map(studentId => ({ studentId, status: 'absent' })),
+      cls,
+      keepExisting: true,
+    });
+    if (!result.ok) {
+      await reopen();
+      return result;
+    }
+  }
+
+  const closed = await refreshSessionCounts(session, cls.students);
+
+  return { ok: true, session: closed, markedAbsent: absentees.length };
+};
+
+module.exports = {
+  issueCheckinToken,
+  verifyCheckinToken,
+  openCheckinSession,
+  checkInStudent,
+  closeCheckinSession,
+  reviewFlaggedCheckin
+};
@@ -0,0 +1,98 @@
+// utils/classImport.utils.js
+const Class = require('../models/class.model');
+const Counter = require('../models/counter.model');
+
+// Classes written per insertMany, so progress moves on large files
+const WRITE_BATCH_SIZE = 200;
+
+/**
+ * Split parsed class rows into new ones and would-be duplicates
+ * (repeated in the file, or a className + division the HOD already has)
+ * @param {Array} rows - [{ row, className, division }]
+ * @param {String} hodId
+ * @returns {Promise<Object>} { toInsert, duplicates }
+ */
+const planClassUpload = async (rows, hodId) => {
+  // Fetch existing classes for this HOD (archived classes of past terms do not count)
+  const existingClasses = await Class.find({ createdBy: hodId, archived: { $ne: true } })
+    .select('className division');
+
+  const keyOf = c => `${c.className.toLowerCase()}||${c.division.toLowerCase()}`;
+  const existingSet = new Set(existingClasses.map(keyOf));
+  const firstRowOf = new Map();
+
+  const toInsert = [];
+  const duplicates = [];
+  rows.forEach(c => {
+    const key = keyOf(c);
+    if (existingSet.has(key)) {
+      duplicates.push({ row: c.row, className: c.className, division: c.division, reason: 'class already exists' });
+      return;
+    }
+    if (firstRowOf.has(key)) {
+      duplicates.push({ row: c.row, className: c.className, division: c.division, reason: `duplicate of row ${firstRowOf.get(key)} in the file` });
+      return;
+    }
+    firstRowOf.set(key, c.row);
+    toInsert.push(c);
+  });
+
+  return { toInsert, duplicates };
+};
+
+/**
+ * Create the new classes of an upload. Class IDs for the whole file are
+ * reserved with a single counter increment, then classes are inserted in batches.
+ * @param {Object} params - { hodId, upload: { rows } }
+ * @param {Function} [onProgress] - async (processed, total)
+ * @returns {Promise<Object>} { ok: true, code, data } or { ok: false, code, msg }
+ */
+const runClassImport = async ({ hodId, upload }, onProgress = async () => {}) => {
+  const classes = upload.rows;
+  if (!classes || classes.length === 0) return { ok: false, code: 400, msg: 'No valid class data found' };
+
+  const { toInsert: classesToInsert } = await planClassUpload(classes, hodId);
+  if (classesToInsert.length === 0) {
+    return { ok: false, code: 400, msg: 'All classes in the file already exist in the database' };
+  }
+
+  const total = classesToInsert.length;
+  await onProgress(0, total);
+
+  // 🔢 Reserve classIds (lastId - total + 1) .. lastId in one go
+  const counter = await Counter.findOneAndUpdate(
+    { hod: hodId },
+    { $inc: { seq: total } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  const firstId = counter.seq - total + 1;
+
+  let insertedCount = 0;
+  for (let i = 0; i < total; i += WRITE_BATCH_SIZE) {
+    const batch = classesToInsert.slice(i, i + WRITE_BATCH_SIZE).map((cls, j) => ({
+      classId: firstId + i + j,
+      className: cls.className,
+      division: cls.division,
+      students: [],
+      professors: [],
+      createdBy: hodId
+    }));
+    insertedCount += (await Class.insertMany(batch)).length;
+    await onProgress(insertedCount, total);
+  }
+
+  return {
+    ok: true,
+    code: 201,
+    data: {
+      message: `${insertedCount} classes uploaded successfully`,
+      totalUploaded: insertedCount,
+      totalSkipped: classes.length - classesToInsert.length
+    }
+  };
+};
+
+module.exports = {
+  planClassUpload,
+  runClassImport
+};
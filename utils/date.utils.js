@@ -0,0 +1,119 @@
+// utils/date.utils.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize date from either dateMs (number) or date (YYYY-MM-DD).
+ */
+function resolveDateMs({ dateMs, date }) {
+  if (dateMs !== undefined && dateMs !== null && dateMs !== '') return Number(dateMs);
+  if (date) {
+    const d = new Date(date);
+    const time = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    return Number.isNaN(time) ? null : time; // ✅ NaN guard
+  }
+  return null;
+}
+
+/**
+ * Local midnight of the day containing ms
+ */
+function startOfDay(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Last millisecond of the day containing ms
+ */
+function endOfDay(ms) {
+  const d = new Date(ms);
+  d.setHours(23, 59, 59, 999);
+  return d.getTime();
+}
+
+/**
+ * Local YYYY-MM-DD of a timestamp (toISOString would shift it to UTC)
+ */
+function toDateKey(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Read a { start, end } day range from a body item.
+ * Accepts startMs/endMs, startDate/endDate (YYYY-MM-DD) or a single date/dateMs.
+ * @returns {Object|null} { startMs, endMs }: startMs as given, endMs at the end of its day
+ */
+function parseDayRange(item) {
+  const single = resolveDateMs({ dateMs: item.dateMs, date: item.date });
+  const startMs = resolveDateMs({ dateMs: item.startMs, date: item.startDate }) ?? single;
+  const endMs = resolveDateMs({ dateMs: item.endMs, date: item.endDate }) ?? startMs;
+
+  if (startMs === null || endMs === null || Number.isNaN(startMs) || Number.isNaN(endMs)) return null;
+  return { startMs, endMs: endOfDay(endMs) };
+}
+
+/**
+ * Read a reporting range from query params: from/to (YYYY-MM-DD), fromMs/toMs,
+ * or month + year. `to` defaults to today when only `from` is given.
+ * @returns {Object} { range: { startMs, endMs } | null, error: String | null }
+ */
+function resolveDateRange(query) {
+  const hasFrom = query.from || (query.fromMs != null && query.fromMs !== '');
+  const hasTo = query.to || (query.toMs != null && query.toMs !== '');
+
+  if (hasFrom || hasTo) {
+    const startMs = resolveDateMs({ dateMs: query.fromMs, date: query.from });
+    const endMs = hasTo ? resolveDateMs({ dateMs: query.toMs, date: query.to }) : Date.now();
+
+    if (!startMs || !endMs || Number.isNaN(startMs) || Number.isNaN(endMs)) {
+      return { range: null, error: 'Provide a valid from (and optional to) date (YYYY-MM-DD)' };
+    }
+    if (startMs > endMs) {
+      return { range: null, error: 'from must be on or before to' };
+    }
+    return { range: { startMs: startOfDay(startMs), endMs: endOfDay(endMs) }, error: null };
+  }
+
+  if (query.month && query.year) {
+    const month = Number(query.month);
+    const year = Number(query.year);
+    if (!Number.isInteger(month) || !Number.isInteger(year) || month < 1 || month > 12) {
+      return { range: null, error: 'Invalid month/year' };
+    }
+    return {
+      range: {
+        startMs: new Date(year, month - 1, 1).getTime(),
+        endMs: new Date(year, month, 0, 23, 59, 59, 999).getTime(),
+      },
+      error: null,
+    };
+  }
+
+  return { range: null, error: null };
+}
+
+/**
+ * Call fn(dayStartMs) for every local day between startMs and endMs (inclusive)
+ */
+function forEachDay(startMs, endMs, fn) {
+  const day = new Date(startOfDay(startMs));
+  while (day.getTime() <= endMs) {
+    fn(day.getTime());
+    day.setDate(day.getDate() + 1);
+  }
+}
+
+module.exports = {
+  DAY_MS,
+  resolveDateMs,
+  startOfDay,
+  endOfDay,
+  toDateKey,
+  parseDayRange,
+  resolveDateRange,
+  forEachDay
+};
@@ -0,0 +1,43 @@
+// utils/defaulter.utils.js
+const { buildClassSummary } = require('./summary.utils');
+
+/**
+ * Students below the threshold in each class over a date range
+ * @param {Array} classes - lean Class docs ({ _id, className, division })
+ * @param {Number} startMs
+ * @param {Number} endMs
+ * @param {Object} options - { threshold, semester? }
+ * @returns {Promise<Array>} [{ classId, className, division, scheduledClasses, conductedClasses, studentCount, defaulters }]
+ */
+const findDefaulters = async (classes, startMs, endMs, { threshold, semester = null }) => {
+  const report = [];
+
+  for (const cls of classes) {
+    const result = await buildClassSummary(cls._id, startMs, endMs);
+    if (!result) continue;
+
+    const students = result.summary.filter(s => semester == null || s.semester === semester);
+
+    // Students with nothing to measure yet are not defaulters
+    const defaulters = students.filter(s =>
+      Math.max(s.conductedClasses || s.scheduledClasses, s.totalClasses) - s.excluded > 0 &&
+      s.percentage < threshold
+    );
+
+    report.push({
+      classId: String(cls._id),
+      className: cls.className || '',
+      division: cls.division || '',
+      scheduledClasses: result.scheduledClasses,
+      conductedClasses: result.conductedClasses,
+      studentCount: students.length,
+      defaulters,
+    });
+  }
+
+  return report;
+};
+
+module.exports = {
+  findDefaulters
+};
@@ -0,0 +1,180 @@
+// utils/device.utils.js
+const Attendance = require('../models/attendance.model');
+const Class = require('../models/class.model');
+const DeviceFlag = require('../models/deviceFlag.model');
+const Student = require('../models/student.model');
+
+const MAX_DEVICE_ID_LENGTH = 200;
+
+/**
+ * Device fingerprint from the body (deviceId) or the X-Device-Id header
+ * @returns {String|null}
+ */
+const readDeviceId = (req) => {
+  const value = req.body?.deviceId ?? req.get('X-Device-Id');
+  if (value === undefined || value === null) return null;
+  const deviceId = String(value).trim().slice(0, MAX_DEVICE_ID_LENGTH);
+  return deviceId || null;
+};
+
+/**
+ * Compare the device a request came from with the student's bound device.
+ * An unbound account is bound to the first device it is seen on.
+ * @param {Object} params
+ * @param {Object} params.student - needs _id, createdBy and device
+ * @param {String|null} params.deviceId
+ * @param {String} params.event - 'login' | 'checkin'
+ * @param {Boolean} [params.flagMissing] - flag requests without a device id (older apps send none at login)
+ * @param {String} [params.attendanceId] - check-in record the flag refers to
+ * @returns {Promise<Object>} { verdict: 'bound' | 'match' | 'unbound' | 'missing' | 'mismatch', flagged }
+ */
+const checkStudentDevice = async ({ student, deviceId, event, flagMissing = false, attendanceId = null }) => {
+  const boundDeviceId = student.device?.deviceId || null;
+
+  if (!boundDeviceId) {
+    if (!deviceId) return { verdict: 'unbound', flagged: false };
+    // Conditional, so two first logins at once cannot both bind
+    const result = await Student.updateOne(
+      { _id: student._id, 'device.deviceId': null },
+      { $set: { device: { deviceId, boundAt: new Date() } } }
+    );
+    if (result.modifiedCount === 1) return { verdict: 'bound', flagged: false };
+    const fresh = await Student.findById(student._id).select('device createdBy').lean();
+    if (!fresh) return { verdict: 'unbound', flagged: false };
+    return checkStudentDevice({ student: fresh, deviceId, event, flagMissing, attendanceId });
+  }
+
+  if (deviceId === boundDeviceId) return { verdict: 'match', flagged: false };
+  if (!deviceId && !flagMissing) return { verdict: 'missing', flagged: false };
+
+  const reason = deviceId ? 'mismatch' : 'missing';
+  await DeviceFlag.create({
+    studentId: student._id,
+    hodId: student.createdBy,
+    event,
+    reason,
+    deviceId,
+    boundDeviceId,
+    attendanceId,
+  });
+  return { verdict: reason, flagged: true };
+};
+
+/**
+ * Other students who already checked in to a session from this device
+ * @returns {Promise<Array>} student ids
+ */
+const findSharedCheckinDevice = async ({ sessionId, deviceId, studentId }) => {
+  if (!deviceId) return [];
+  return Attendance.distinct('studentId', {
+    'checkin.sessionId': sessionId,
+    'checkin.deviceId': deviceId,
+    studentId: { $ne: studentId },
+  });
+};
+
+// Keys in the report are shortened; the full FCM token / fingerprint is not needed to act on it
+const maskKey = (key) => (key.length > 8 ? `…${key.slice(-6)}` : key);
+
+/**
+ * Students whose FCM tokens or device ids overlap with other students', plus
+ * the logins / check-ins flagged for a device mismatch since a date
+ * @param {ObjectId} hodId - an ObjectId, aggregate does not cast strings
+ * @param {Number} sinceMs - flags and check-ins from this time on
+ * @returns {Promise<Object>} { students: [...], groups: [{ type, key, studentIds }] }
+ */
+const buildSuspiciousActivityReport = async (hodId, sinceMs) => {
+  const since = new Date(sinceMs);
+  const classIds = await Class.distinct('_id', { createdBy: hodId });
+
+  const [fcmGroups, boundGroups, checkinGroups, flagCounts] = await Promise.all([
+    Student.aggregate([
+      { $match: { createdBy: hodId } },
+      { $unwind: '$fcmTokens' },
+      { $group: { _id: '$fcmTokens', studentIds: { $addToSet: '$_id' } } },
+      { $match: { 'studentIds.1': { $exists: true } } },
+    ]),
+    Student.aggregate([
+      { $match: { createdBy: hodId, 'device.deviceId': { $ne: null } } },
+      { $group: { _id: '$device.deviceId', studentIds: { $addToSet: '$_id' } } },
+      { $match: { 'studentIds.1': { $exists: true } } },
+    ]),
+    Attendance.aggregate([
+      { $match: { classId: { $in: classIds }, 'checkin.deviceId': { $ne: null }, 'checkin.checkedInAt': { $gte: since } } },
+      { $group: { _id: '$checkin.deviceId', studentIds: { $addToSet: '$studentId' } } },
+      { $match: { 'studentIds.1': { $exists: true } } },
+    ]),
+    DeviceFlag.aggregate([
+      { $match: { hodId, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$studentId',
+          count: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          events: { $addToSet: '$event' },
+          lastAt: { $max: '$createdAt' },
+        },
+      },
+    ]),
+  ]);
+
+  const groups = [
+    ...fcmGroups.map(g => ({ type: 'fcmToken', key: maskKey(g._id), studentIds: g.studentIds.map(String) })),
+    ...boundGroups.map(g => ({ type: 'boundDevice', key: maskKey(g._id), studentIds: g.studentIds.map(String) })),
+    ...checkinGroups.map(g => ({ type: 'checkinDevice', key: maskKey(g._id), studentIds: g.studentIds.map(String) })),
+  ];
+  const GROUP_REASONS = {
+    fcmToken: 'shares a notification token with other students',
+    boundDevice: 'bound to the same device as other students',
+    checkinDevice: 'checked in from a device other students also used',
+  };
+
+  const entries = new Map();
+  const entryOf = (id) => {
+    if (!entries.has(id)) entries.set(id, { reasons: new Set(), sharedWith: new Set(), flagCount: 0, lastFlaggedAt: null });
+    return entries.get(id);
+  };
+  groups.forEach((g) => g.studentIds.forEach((id) => {
+    const entry = entryOf(id);
+    entry.reasons.add(GROUP_REASONS[g.type]);
+    g.studentIds.filter(other => other !== id).forEach(other => entry.sharedWith.add(other));
+  }));
+  flagCounts.forEach((f) => {
+    const entry = entryOf(String(f._id));
+    entry.reasons.add(`${f.count} ${f.events.join('/')} flag(s) from an unrecognised device (${f.reasons.join(', ')})`);
+    entry.flagCount = f.count;
+    entry.lastFlaggedAt = f.lastAt;
+  });
+
+  const students = await Student.find({ _id: { $in: [...entries.keys()] }, createdBy: hodId })
+    .select('enrollmentNumber name semester division')
+    .lean();
+  const studentById = new Map(students.map(s => [String(s._id), s]));
+  const brief = (id) => {
+    const s = studentById.get(id);
+    return s ? { id, enrollmentNumber: s.enrollmentNumber, name: s.name } : { id };
+  };
+
+  return {
+    students: [...entries]
+      .filter(([id]) => studentById.has(id))
+      .map(([id, entry]) => ({
+        ...brief(id),
+        semester: studentById.get(id).semester,
+        division: studentById.get(id).division,
+        reasons: [...entry.reasons],
+        sharedWith: [...entry.sharedWith].map(brief),
+        flagCount: entry.flagCount,
+        lastFlaggedAt: entry.lastFlaggedAt,
+      }))
+      .sort((a, b) => b.reasons.length - a.reasons.length || b.flagCount - a.flagCount),
+    groups,
+  };
+};
+
+module.exports = {
+  readDeviceId,
+  checkStudentDevice,
+  findSharedCheckinDevice,
+  buildSuspiciousActivityReport
+};
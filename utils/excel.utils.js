@@ -2,6 +2,8 @@
 const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
+const { ATTENDANCE_STATUSES, STATUS_CODES } = require('./status.utils');
+const { toDateKey } = require('./date.utils');
 
 /**
  * Normalize header for matching (strip spaces, toLowerCase)
@@ -11,16 +13,164 @@ function normalizeHeader(h) {
   return String(h).trim().toLowerCase().replace(/[\s_]+/g, '');
 }
 
+// Columns accepted by each bulk upload. `header` is the canonical name used in the
+// downloadable templates; `aliases` are the normalized header names a sheet may use
+// instead (tried in order).
+const UPLOAD_COLUMNS = {
+  students: [
+    {
+      key: 'enrollmentNumber',
+      header: 'Enrollment Number',
+      aliases: ['enrollmentnumber', 'enrollment', 'enrollmentno', 'roll', 'rollnumber', 'id', 'enrollnumber'],
+      required: true,
+      description: 'Unique across the whole system'
+    },
+    {
+      key: 'name',
+      header: 'Name',
+      aliases: ['name', 'studentname', 'fullname', 'student'],
+      required: true,
+      description: 'Full name of the student'
+    },
+    {
+      key: 'semester',
+      header: 'Semester',
+      aliases: ['semester', 'sem', 'classsemester'],
+      required: true,
+      description: 'Whole number, 1 or more'
+    },
+    {
+      key: 'division',
+      header: 'Division',
+      aliases: ['division', 'div', 'section'],
+      required: false,
+      description: 'Division / section of the student'
+    },
+    {
+      key: 'email',
+      header: 'Email',
+      aliases: ['email', 'emailaddress', 'mail'],
+      required: false,
+      description: 'Used for attendance warnings'
+    },
+    {
+      key: 'password',
+      header: 'Password',
+      aliases: ['password', 'pass', 'pwd'],
+      required: false,
+      description: 'Min 8 characters with upper and lower case, a digit and a special character. Empty = default password'
+    },
+    {
+      key: 'classId',
+      header: 'Class ID',
+      aliases: ['classid', 'classno', 'classnumber'],
+      required: false,
+      description: 'Numeric class ID to add the student to; separate several with ";"'
+    },
+    {
+      key: 'className',
+      header: 'Class Name',
+      aliases: ['classname', 'class'],
+      required: false,
+      description: 'Instead of Class ID: class name, matched together with Class Division'
+    },
+    {
+      key: 'classDivision',
+      header: 'Class Division',
+      aliases: ['classdivision', 'classdiv', 'classsection'],
+      required: false,
+      description: "Division of that class; the student's Division is used when empty"
+    }
+  ],
+  professors: [
+    {
+      key: 'name',
+      header: 'Name',
+      aliases: ['name', 'professorname', 'profname'],
+      required: true,
+      description: 'Full name of the professor'
+    },
+    {
+      key: 'email',
+      header: 'Email',
+      aliases: ['email', 'e-mail', 'emailaddress'],
+      required: true,
+      description: 'Login email, unique across the whole system'
+    },
+    {
+      key: 'password',
+      header: 'Password',
+      aliases: ['password', 'pass'],
+      required: false,
+      description: 'Min 8 characters with upper and lower case, a digit and a special character. Empty = default password'
+    }
+  ],
+  classes: [
+    {
+      key: 'className',
+      header: 'Class Name',
+      aliases: ['classname', 'class', 'name'],
+      required: true,
+      description: 'e.g. "SY BTech CSE"'
+    },
+    {
+      key: 'division',
+      header: 'Division',
+      aliases: ['division', 'section', 'div'],
+      required: true,
+      description: 'Class name + division must be unique for your department'
+    }
+  ]
+};
+
+/**
+ * Match a sheet's header cells to upload columns
+ * @param {Array} sheetHeaders - header cells as they appear in the sheet
+ * @param {Array} columns - UPLOAD_COLUMNS entry
+ * @returns {Object} { key: original header | null }
+ */
+function mapHeaders(sheetHeaders, columns) {
+  const headerMap = {};
+  sheetHeaders.forEach((h) => {
+    headerMap[normalizeHeader(h)] = h; // normalized -> original
+  });
+
+  const headers = {};
+  columns.forEach((col) => {
+    const alias = col.aliases.find(a => headerMap[a] !== undefined);
+    headers[col.key] = alias ? headerMap[alias] : null;
+  });
+  return headers;
+}
+
+/**
+ * Keys of required columns the sheet does not have
+ */
+function missingColumns(headers, columns) {
+  return columns.filter(col => col.required && !headers[col.key]).map(col => col.key);
+}
+
+// Same pattern as the Student/Professor models
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
 /**
  * Parse Excel file and extract student data
  * @param {String} filePath - Path to the Excel file
- * @returns {Array} Array of student objects [{ enrollmentNumber, name, semester }, ...]
+ * @returns {Object} {
+ *   rows: [{ row, enrollmentNumber, name, semester, division, password, email,
+ *            classId, className, classDivision }],
+ *   headers: { field: detected header | null },
+ *   rejected: [{ row, values, reasons }],
+ *   error: String | null
+ * } where row is the sheet row number
  */
 const parseExcel = async (filePath) => {
+  const empty = (error, headers = {}) => ({ rows: [], headers, rejected: [], error });
+
   try {
     if (!fs.existsSync(filePath)) {
       console.warn('[parseExcel] file does not exist:', filePath);
-      return [];
+      return empty('Uploaded file not found');
     }
 
     // Read the workbook
@@ -30,7 +180,7 @@ const parseExcel = async (filePath) => {
     const sheetName = workbook.SheetNames && workbook.SheetNames[0];
     if (!sheetName) {
       console.warn('[parseExcel] no sheets found');
-      return [];
+      return empty('The file has no sheets');
     }
     const worksheet = workbook.Sheets[sheetName];
 
@@ -44,111 +194,95 @@ const parseExcel = async (filePath) => {
 
     if (!Array.isArray(raw) || raw.length === 0) {
       console.warn('[parseExcel] sheet_to_json returned empty or no rows');
-      return [];
+      return empty('The sheet has no data rows');
     }
 
-    // Build header map from first row keys
-    const firstRowKeys = Object.keys(raw[0] || {});
-    const headerMap = {};
-    firstRowKeys.forEach((k) => {
-      headerMap[normalizeHeader(k)] = k; // normalized -> original
-    });
-
-    // Accept multiple possible header names for each field
-    const enrollmentHeader =
-      headerMap['enrollmentnumber'] ||
-      headerMap['enrollment'] ||
-      headerMap['enrollmentno'] ||
-      headerMap['roll'] ||
-      headerMap['rollnumber'] ||
-      headerMap['id'] ||
-      headerMap['enrollnumber'] ||
-      headerMap['enrollment_number'];
-
-    const nameHeader =
-      headerMap['name'] ||
-      headerMap['studentname'] ||
-      headerMap['fullname'] ||
-      headerMap['fullName'.toLowerCase()] ||
-      headerMap['student'];
-
-    const semesterHeader =
-      headerMap['semester'] ||
-      headerMap['sem'] ||
-      headerMap['classsemester'];
-
-    const divisionHeader =
-      headerMap['division'] ||
-      headerMap['div'] ||
-      headerMap['section'];
-
-    const passwordHeader =
-      headerMap['password'] ||
-      headerMap['pass'] ||
-      headerMap['pwd'];
-
+    // Match header cells (keys of the first row) to the accepted column names
+    const headers = mapHeaders(Object.keys(raw[0] || {}), UPLOAD_COLUMNS.students);
+    const {
+      enrollmentNumber: enrollmentHeader,
+      name: nameHeader,
+      semester: semesterHeader,
+      division: divisionHeader,
+      password: passwordHeader,
+      email: emailHeader,
+      classId: classIdHeader,
+      className: classNameHeader,
+      classDivision: classDivisionHeader
+    } = headers;
 
     // Debug logs — helpful while debugging header mismatches
-    console.log('[parseExcel] detected headers:', headerMap);
-    console.log('[parseExcel] mapped headers =>', { enrollmentHeader, nameHeader, semesterHeader, passwordHeader });
+    console.log('[parseExcel] mapped headers =>', headers);
 
-    if (!enrollmentHeader || !nameHeader || !semesterHeader) {
-      console.warn('[parseExcel] required headers missing; returning []');
-      return [];
+    const missing = missingColumns(headers, UPLOAD_COLUMNS.students);
+    if (missing.length > 0) {
+      console.warn('[parseExcel] required headers missing:', missing);
+      return empty(`Missing required column(s): ${missing.join(', ')}`, headers);
     }
 
+    const text = (value) => (value !== undefined && value !== null ? String(value).trim() : '');
+
     // Map rows to expected shape and validate/clean
-    const students = raw.map((row) => {
-      const enrollmentRaw = row[enrollmentHeader];
-      const nameRaw = row[nameHeader];
+    const rows = [];
+    const rejected = [];
+
+    raw.forEach((row) => {
+      const enrollmentNumber = text(row[enrollmentHeader]);
+      const name = text(row[nameHeader]);
+      const division = text(row[divisionHeader]) || null;
+      const password = text(row[passwordHeader]) || null;
+      const email = text(row[emailHeader]).toLowerCase() || null;
+      const classId = text(row[classIdHeader]);
+      const className = text(row[classNameHeader]);
+      const classDivision = text(row[classDivisionHeader]);
       const semesterRaw = row[semesterHeader];
-      const divisionRaw = row[divisionHeader];
-      const passwordRaw = row[passwordHeader];
-
-
-
-      const enrollmentNumber = enrollmentRaw !== undefined && enrollmentRaw !== null
-        ? String(enrollmentRaw).trim()
-        : '';
-
-      const name = nameRaw !== undefined && nameRaw !== null
-        ? String(nameRaw).trim()
-        : '';
-
-      const division = divisionRaw !== undefined && divisionRaw !== null
-        ? String(divisionRaw).trim()
-        : null;
-
-      const password = passwordRaw !== undefined && passwordRaw !== null && String(passwordRaw).trim() !== ''
-        ? String(passwordRaw).trim()
-        : null;
-
 
       // parse semester to integer
       let semester = 0;
       if (typeof semesterRaw === 'number') semester = semesterRaw;
-      else if (semesterRaw !== undefined && semesterRaw !== null && String(semesterRaw).trim() !== '') {
+      else if (text(semesterRaw) !== '') {
         const n = Number(String(semesterRaw).replace(/[^\d.-]/g, ''));
         semester = Number.isNaN(n) ? 0 : n;
       }
 
-      return {
+      const reasons = [];
+      if (!enrollmentNumber) reasons.push('missing enrollment number');
+      if (!name) reasons.push('missing name');
+      if (text(semesterRaw) === '') reasons.push('missing semester');
+      else if (!Number.isInteger(semester) || semester < 1) reasons.push(`bad semester "${text(semesterRaw)}"`);
+      if (email && !EMAIL_PATTERN.test(email)) reasons.push(`invalid email "${email}"`);
+
+      // sheet_to_json keeps the 0-based sheet row on each object
+      const rowNumber = row.__rowNum__ + 1;
+
+      if (reasons.length > 0) {
+        rejected.push({
+          row: rowNumber,
+          values: { enrollmentNumber, name, semester: text(semesterRaw), division, email, classId, className, classDivision },
+          reasons
+        });
+        return;
+      }
+
+      rows.push({
+        row: rowNumber,
         enrollmentNumber,
         name,
         semester,
         division,
-        password
-      };
+        password,
+        email,
+        classId,
+        className,
+        classDivision
+      });
     });
 
-    // Filter invalid rows
-    const filtered = students.filter(s => s.enrollmentNumber && s.name && s.semester && Number.isFinite(s.semester));
-
-    console.log('[parseExcel] parsed rows:', students.length, 'valid:', filtered.length);
-    return filtered;
+    console.log('[parseExcel] parsed rows:', raw.length, 'valid:', rows.length);
+    return { rows, headers, rejected, error: null };
   } catch (error) {
     console.error('Excel Parsing Error:', error);
-    return [];
+    return empty('Could not read the file');
   }
 };
 
@@ -182,7 +316,198 @@ const generateExcel = async (students) => {
   }
 };
 
+/**
+ * Build an attendance register file in memory (nothing is written to uploads/)
+ * @param {Object} register - from buildClassRegister
+ * @param {Object} meta - { title, subtitle }
+ * @param {String} format - 'xlsx' | 'csv'
+ * @returns {Buffer} File contents
+ */
+const generateRegisterFile = (register, meta, format = 'xlsx') => {
+  const { sessions, students } = register;
+  const isCsv = format === 'csv';
+
+  const header = [
+    'Enrollment Number',
+    'Name',
+    ...sessions.map(s => `${toDateKey(s.dateMs)} S${s.slotNumber}${s.subjectCode || s.subjectName ? ` (${s.subjectCode || s.subjectName})` : ''}`),
+    'Attended',
+    'Missed',
+    'Excluded',
+    'Total',
+    'Percentage'
+  ];
+
+  const rows = students.map(s => [
+    s.enrollmentNumber,
+    s.name,
+    ...s.cells.map(status => (status ? STATUS_CODES[status] : '')),
+    s.presents,
+    s.absents,
+    s.excluded,
+    s.totalClasses,
+    s.percentage
+  ]);
+
+  // Per-session count of students marked as attended
+  const attendedRow = [
+    '',
+    'Attended per session',
+    ...sessions.map((_, i) =>
+      students.filter(s => s.cells[i] && register.rules.counted.includes(s.cells[i])).length
+    )
+  ];
+
+  const aoa = [];
+  if (!isCsv) {
+    aoa.push([meta.title]);
+    if (meta.subtitle) aoa.push([meta.subtitle]);
+    aoa.push([]);
+  }
+  aoa.push(header, ...rows, attendedRow);
+  if (!isCsv) {
+    aoa.push([]);
+    aoa.push([`Legend: ${ATTENDANCE_STATUSES.map(st => `${STATUS_CODES[st]} = ${st}`).join(', ')}`]);
+  }
+
+  const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+  worksheet['!cols'] = [
+    { wch: 18 },
+    { wch: 28 },
+    ...sessions.map(() => ({ wch: 8 })),
+    { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 12 }
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Register');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: isCsv ? 'csv' : 'xlsx' });
+};
+
+// Session column header in an attendance register: "YYYY-MM-DD S<slot>" with an
+// optional subject code or name in brackets, e.g. "2025-01-15 S2 (CS301)"
+const SESSION_HEADER = /^(\d{4})-(\d{2})-(\d{2})\s*(?:s|slot)\s*-?\s*(\d+)\s*(?:\((.*)\))?$/i;
+
+// Fixed columns of an attendance register, besides the session columns
+const REGISTER_COLUMNS = [
+  {
+    key: 'enrollmentNumber',
+    header: 'Enrollment Number',
+    aliases: ['enrollmentnumber', 'enrollment', 'enrollmentno', 'enrollnumber', 'rollnumber', 'roll'],
+    required: true,
+    description: 'Must belong to a student of the class'
+  },
+  {
+    key: 'name',
+    header: 'Name',
+    aliases: ['name', 'studentname', 'fullname'],
+    required: false,
+    description: 'For reference only'
+  }
+];
+
+/**
+ * Parse an attendance register sheet (same layout as the register export):
+ * one row per student, one column per date/slot session holding a status code.
+ * Title rows above the header are allowed; data ends at the first row without
+ * an enrollment number (the export's "Attended per session" row).
+ * @param {String} filePath - Path to the uploaded file (deleted after reading)
+ * @returns {Object} { sessions: [{ column, index, dateMs, slotNumber, subject }],
+ *   rows: [{ rowNumber, enrollmentNumber, name, values }], error }
+ */
+const parseAttendanceRegister = (filePath) => {
+  try {
+    const workbook = XLSX.readFile(filePath);
+    const sheetName = workbook.SheetNames && workbook.SheetNames[0];
+    if (!sheetName) return { sessions: [], rows: [], error: 'The file has no sheets' };
+
+    const aoa = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false });
+
+    // Header row = first row with an enrollment column
+    const [{ aliases: enrollmentAliases }, { aliases: nameAliases }] = REGISTER_COLUMNS;
+    const headerIndex = aoa.findIndex(row => row.some(cell => enrollmentAliases.includes(normalizeHeader(cell))));
+    if (headerIndex === -1) {
+      return { sessions: [], rows: [], error: 'No "Enrollment Number" header found' };
+    }
+
+    const header = aoa[headerIndex].map(cell => String(cell).trim());
+    const enrollmentCol = header.findIndex(cell => enrollmentAliases.includes(normalizeHeader(cell)));
+    const nameCol = header.findIndex(cell => nameAliases.includes(normalizeHeader(cell)));
+
+    const sessions = [];
+    header.forEach((cell, index) => {
+      const match = SESSION_HEADER.exec(cell);
+      if (!match) return;
+      const [, year, month, day, slot, subject] = match;
+      const dateMs = new Date(Number(year), Number(month) - 1, Number(day)).getTime();
+      if (Number.isNaN(dateMs)) return;
+      sessions.push({
+        column: cell,
+        index,
+        dateMs,
+        slotNumber: Number(slot),
+        subject: subject ? subject.trim() : null
+      });
+    });
+
+    const rows = [];
+    for (let i = headerIndex + 1; i < aoa.length; i++) {
+      const enrollmentNumber = String(aoa[i][enrollmentCol] ?? '').trim();
+      if (!enrollmentNumber) break;
+      rows.push({
+        rowNumber: i + 1,
+        enrollmentNumber,
+        name: nameCol === -1 ? '' : String(aoa[i][nameCol] ?? '').trim(),
+        values: sessions.map(s => String(aoa[i][s.index] ?? '').trim())
+      });
+    }
+
+    return { sessions, rows, error: null };
+  } catch (error) {
+    console.error('Attendance Register Parsing Error:', error);
+    return { sessions: [], rows: [], error: 'Could not read the file' };
+  } finally {
+    fs.unlink(filePath, (err) => {
+      if (err) console.error('Error deleting temporary file:', err);
+    });
+  }
+};
+
+/**
+ * Annotated copy of an uploaded sheet: the original values of every row plus
+ * its outcome, so rejected rows can be fixed and uploaded again
+ * @param {Array} columns - [{ key, header }] value columns, in sheet order
+ * @param {Array} rows - [{ row, values, status, reasons }]
+ * @returns {Buffer} xlsx contents
+ */
+const generateUploadReport = (columns, rows) => {
+  const aoa = [
+    ['Row', ...columns.map(c => c.header), 'Status', 'Reasons'],
+    ...rows.map(r => [
+      r.row,
+      ...columns.map(c => r.values?.[c.key] ?? ''),
+      r.status,
+      (r.reasons || []).join('; ')
+    ])
+  ];
+
+  const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+  worksheet['!cols'] = [{ wch: 6 }, ...columns.map(() => ({ wch: 20 })), { wch: 10 }, { wch: 60 }];
+  worksheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: aoa.length - 1, c: columns.length + 2 } }) };
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Upload Report');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
 module.exports = {
+  UPLOAD_COLUMNS,
+  REGISTER_COLUMNS,
+  mapHeaders,
+  missingColumns,
   parseExcel,
-  generateExcel
+  generateExcel,
+  generateRegisterFile,
+  parseAttendanceRegister,
+  generateUploadReport
 };
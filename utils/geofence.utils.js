@@ -0,0 +1,138 @@
+// utils/geofence.utils.js
+const Geofence = require('../models/geofence.model');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Positions reported less precisely than this are flagged for review
+const MAX_ACCURACY_METERS = Number(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 100;
+
+// Verdicts stored on Attendance.checkin; only the last two never need a review
+const LOCATION_VERDICTS = ['outside', 'near_edge', 'low_accuracy', 'no_location', 'inside', 'no_fence'];
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two { lat, lng } points (haversine)
+ * @returns {Number} metres
+ */
+const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Distance from a point to a polygon, 0 when inside. Vertices are projected onto
+ * a flat plane around the point, which is accurate at campus scale.
+ */
+const distanceToPolygon = (polygon, point) => {
+  const metersPerDegLat = (Math.PI / 180) * EARTH_RADIUS_METERS;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRadians(point.lat));
+  const vertices = polygon.map(v => ({
+    x: (v.lng - point.lng) * metersPerDegLng,
+    y: (v.lat - point.lat) * metersPerDegLat,
+  }));
+
+  // Ray casting from the origin (the point itself)
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < ((b.x - a.x) * (0 - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  if (inside) return 0;
+
+  let nearest = Infinity;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[j];
+    const b = vertices[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return nearest;
+};
+
+/**
+ * Distance from a point to a fence, 0 when inside
+ * @param {Object} fence - lean Geofence
+ * @param {Object} point - { lat, lng }
+ * @returns {Number} metres
+ */
+const distanceToFence = (fence, point) => {
+  if (fence.shape === 'polygon') return distanceToPolygon(fence.polygon, point);
+  return Math.max(0, distanceMeters(fence.center, point) - fence.radiusMeters);
+};
+
+/**
+ * Verdict for a reported position at a distance from the nearest fence
+ * @param {Number} distance - metres, 0 when inside
+ * @param {Number} accuracy - reported accuracy radius in metres
+ * @returns {String} 'inside' | 'near_edge' | 'outside' | 'low_accuracy'
+ */
+const locationVerdict = (distance, accuracy) => {
+  if (accuracy > MAX_ACCURACY_METERS) return 'low_accuracy';
+  if (distance === 0) return 'inside';
+  // The accuracy is reported by the client, so it never widens the fence
+  if (distance <= accuracy) return 'near_edge';
+  return 'outside';
+};
+
+/**
+ * Judge a check-in position against the HOD's fences that apply to the class
+ * (campus-wide fences and room fences listing the class).
+ *  - no fence configured → accepted as before
+ *  - reported position within a fence → inside
+ *  - outside, but the accuracy circle reaches a fence → near_edge
+ *  - anything else is flagged for the professor to review
+ * @param {Object} params
+ * @param {String} params.hodId
+ * @param {String} params.classId
+ * @param {Object} [params.location] - { lat, lng, accuracy } (accuracy in metres)
+ * @returns {Promise<Object>} { verdict, flagged, fenceId, fenceName, distanceMeters }
+ */
+const evaluateCheckinLocation = async ({ hodId, classId, location }) => {
+  const fences = await Geofence.find({
+    hodId,
+    active: true,
+    $or: [{ classIds: { $size: 0 } }, { classIds: classId }],
+  }).lean();
+
+  if (fences.length === 0) {
+    return { verdict: 'no_fence', flagged: false, fenceId: null, fenceName: null, distanceMeters: null };
+  }
+
+  const hasPosition = location && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+  if (!hasPosition) {
+    return { verdict: 'no_location', flagged: true, fenceId: null, fenceName: null, distanceMeters: null };
+  }
+
+  const nearest = fences
+    .map(fence => ({ fence, distance: distanceToFence(fence, location) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  const accuracy = Number.isFinite(location.accuracy) ? location.accuracy : 0;
+
+  const verdict = locationVerdict(nearest.distance, accuracy);
+
+  return {
+    verdict,
+    flagged: verdict !== 'inside',
+    fenceId: nearest.fence._id,
+    fenceName: nearest.fence.name,
+    distanceMeters: Math.round(nearest.distance),
+  };
+};
+
+module.exports = {
+  LOCATION_VERDICTS,
+  distanceMeters,
+  distanceToFence,
+  locationVerdict,
+  evaluateCheckinLocation
+};
@@ -0,0 +1,89 @@
+// utils/importJob.utils.js
+const ImportJob = require('../models/importJob.model');
+const { sealRowPasswords } = require('./bulkUpload.utils');
+
+// How long a finished job can still be polled
+const JOB_RETENTION_HOURS = Number(process.env.IMPORT_JOB_RETENTION_HOURS) || 24;
+
+/**
+ * Public view of an import job, as returned by the upload and GET /api/jobs/:id
+ * @param {Object} job - ImportJob document (lean or not)
+ * @returns {Object} { id, type, status, fileName, progress: { processed, total, percent },
+ *   result, error, statusUrl, createdAt, startedAt, finishedAt }
+ */
+const formatImportJob = (job) => {
+  const { total = 0, processed = 0 } = job.progress || {};
+  const done = job.status === 'completed';
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    fileName: job.fileName,
+    progress: {
+      processed,
+      total,
+      percent: total > 0 ? Math.round((processed / total) * 100) : (done ? 100 : 0),
+    },
+    result: job.result || null,
+    error: job.error || null,
+    statusUrl: `/api/jobs/${job._id}`,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+  };
+};
+
+/**
+ * Queue the rows of a committed bulk upload for the import worker.
+ * Passwords are stored encrypted and only hashed by the worker, so queueing stays quick.
+ * @param {Object} params
+ * @param {String} params.type - 'students' | 'professors' | 'classes'
+ * @param {String} params.hodId
+ * @param {Object} params.upload - from readBulkRows
+ * @returns {Promise<Object>} response payload (formatImportJob plus a message)
+ */
+const enqueueImportJob = async ({ type, hodId, upload }) => {
+  const job = await ImportJob.create({
+    type,
+    hodId,
+    fileName: upload.fileName || '',
+    payload: {
+      rows: sealRowPasswords(upload.rows),
+      rejected: upload.rejected || [],
+      mode: upload.mode,
+    },
+    progress: { total: upload.rows.length, processed: 0 },
+  });
+
+  return {
+    message: `Upload queued: ${upload.rows.length} row(s) will be processed in the background`,
+    ...formatImportJob(job),
+  };
+};
+
+/**
+ * Mark a job finished: keep its outcome, drop the rows and let it expire
+ * @param {String} jobId
+ * @param {Object} update - { status, result?, error? }
+ */
+const finishImportJob = (jobId, { status, result = null, error = null }) =>
+  ImportJob.updateOne(
+    { _id: jobId },
+    {
+      $set: {
+        status,
+        result,
+        error,
+        payload: null,
+        finishedAt: new Date(),
+        lockedUntil: null,
+        expiresAt: new Date(Date.now() + JOB_RETENTION_HOURS * 60 * 60 * 1000),
+      },
+    }
+  );
+
+module.exports = {
+  formatImportJob,
+  enqueueImportJob,
+  finishImportJob
+};
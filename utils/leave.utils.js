@@ -0,0 +1,65 @@
+// utils/leave.utils.js
+const Leave = require('../models/leave.model');
+const Attendance = require('../models/attendance.model');
+const AttendanceAudit = require('../models/attendanceAudit.model');
+const { leaveStatus } = require('./status.utils');
+
+/**
+ * Approved leaves covering a date, keyed by student
+ * @param {Array} studentIds
+ * @param {Number} dateMs - midnight-normalized date
+ * @returns {Promise<Map>} studentId (string) → lean Leave
+ */
+const findApprovedLeaves = async (studentIds, dateMs) => {
+  const leaves = await Leave.find({
+    studentId: { $in: studentIds },
+    status: 'approved',
+    startMs: { $lte: dateMs },
+    endMs: { $gte: dateMs },
+  }).lean();
+
+  return new Map(leaves.map((l) => [String(l.studentId), l]));
+};
+
+/**
+ * Link an approved leave to the absences already marked inside its range and
+ * give them the leave's status (medical / on-duty / excused).
+ * Other statuses are left alone; every change is written to the audit trail.
+ * @param {Object} leave - Leave document
+ * @param {Object} actor - { id, model: 'Professor' | 'HOD' }
+ * @returns {Promise<Number>} number of attendance rows updated
+ */
+const applyLeaveToAttendance = async (leave, actor) => {
+  const filter = {
+    studentId: leave.studentId,
+    dateMs: { $gte: leave.startMs, $lte: leave.endMs },
+    isPresent: false,
+    status: { $in: ['absent', null] },
+    leaveId: null,
+  };
+
+  const before = await Attendance.find(filter).lean();
+  if (before.length === 0) return 0;
+
+  const ids = before.map((r) => r._id);
+  await Attendance.updateMany({ _id: { $in: ids } }, { $set: { leaveId: leave._id, status: leaveStatus(leave.type) } });
+
+  const after = await Attendance.find({ _id: { $in: ids } }).lean();
+  const beforeById = new Map(before.map((r) => [String(r._id), r]));
+
+  await AttendanceAudit.recordChanges(
+    after.map((row) => ({
+      before: beforeById.get(String(row._id)),
+      after: row,
+      reason: `Approved ${leave.type} leave`,
+    })),
+    actor
+  );
+
+  return after.length;
+};
+
+module.exports = {
+  findApprovedLeaves,
+  applyLeaveToAttendance
+};
@@ -0,0 +1,49 @@
+// utils/lock.utils.js
+const AttendanceUnlock = require('../models/attendanceUnlock.model');
+const { DAY_MS, startOfDay } = require('./date.utils');
+
+/**
+ * When a date's attendance locks: lockAfterDays full days after that date ends.
+ * @param {Number} dateMs
+ * @param {Number|null} lockAfterDays - HOD setting, null/undefined disables locking
+ * @returns {Number|null} epoch ms, or null when locking is disabled
+ */
+const getLockTime = (dateMs, lockAfterDays) => {
+  if (lockAfterDays === null || lockAfterDays === undefined) return null;
+  return startOfDay(dateMs) + (Number(lockAfterDays) + 1) * DAY_MS;
+};
+
+/**
+ * Whether a class/date/slot is locked for edits right now
+ * @param {Object} attendanceSettings - HOD.attendanceSettings
+ * @param {String} classId
+ * @param {Number} dateMs
+ * @param {Number} slotNumber
+ * @returns {Object} { locked, lockedAt, unlockedUntil }
+ */
+const getLockState = async (attendanceSettings, classId, dateMs, slotNumber) => {
+  const lockedAt = getLockTime(dateMs, attendanceSettings?.lockAfterDays);
+  if (lockedAt === null || Date.now() < lockedAt) {
+    return { locked: false, lockedAt, unlockedUntil: null };
+  }
+
+  const unlock = await AttendanceUnlock.findOne({
+    classId,
+    dateMs: { $gte: startOfDay(dateMs), $lt: startOfDay(dateMs) + DAY_MS },
+    slotNumber: { $in: [Number(slotNumber), null] },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ expiresAt: -1 })
+    .lean();
+
+  return {
+    locked: !unlock,
+    lockedAt,
+    unlockedUntil: unlock ? unlock.expiresAt : null,
+  };
+};
+
+module.exports = {
+  getLockTime,
+  getLockState
+};
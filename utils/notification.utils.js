@@ -0,0 +1,89 @@
+// utils/notification.utils.js
+const { messaging } = require('../config/firebase');
+const Student = require('../models/student.model');
+
+// FCM error codes that mean the token will never work again
+const INVALID_TOKEN_CODES = [
+  'messaging/invalid-argument',
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered',
+];
+
+const chunkArray = (arr, size) =>
+  arr.reduce((acc, _, i) => (i % size ? acc : [...acc, arr.slice(i, i + size)]), []);
+
+/**
+ * Send an FCM push to every registered device of the given students.
+ * Invalid tokens are pulled from the DB. Never throws: failures are logged.
+ * @param {Array} studentIds - Student _ids
+ * @param {Object} notification - { title, body }
+ * @param {Object} [data] - Optional string key/value payload
+ * @returns {Promise<Object>} { successCount, failureCount }
+ */
+const sendPushToStudents = async (studentIds, notification, data) => {
+  const totals = { successCount: 0, failureCount: 0 };
+
+  try {
+    const students = await Student.find(
+      { _id: { $in: studentIds } },
+      { fcmTokens: 1 }
+    ).lean();
+
+    const tokens = students
+      .flatMap((s) => (Array.isArray(s.fcmTokens) ? s.fcmTokens : []))
+      .filter(Boolean);
+
+    if (tokens.length === 0 || !messaging) return totals;
+
+    const batches = chunkArray(tokens, 500);
+
+    for (const [batchIndex, batch] of batches.entries()) {
+      try {
+        const message = { tokens: batch, notification };
+        if (data) message.data = data;
+
+        let response;
+        if (typeof messaging.sendEachForMulticast === 'function') {
+          response = await messaging.sendEachForMulticast(message);
+        } else if (typeof messaging.sendMulticast === 'function') {
+          response = await messaging.sendMulticast(message);
+        } else {
+          throw new Error('No supported multicast method available on messaging instance');
+        }
+
+        totals.successCount += response.successCount;
+        totals.failureCount += response.failureCount;
+        console.log(
+          `[notify] Batch ${batchIndex + 1}/${batches.length}: success=${response.successCount}, failure=${response.failureCount}`
+        );
+
+        const invalidTokens = [];
+        if (Array.isArray(response.responses)) {
+          response.responses.forEach((resp, idx) => {
+            if (!resp.success && INVALID_TOKEN_CODES.includes(resp.error?.code)) {
+              invalidTokens.push(batch[idx]);
+            }
+          });
+        }
+
+        if (invalidTokens.length > 0) {
+          await Student.updateMany(
+            { fcmTokens: { $in: invalidTokens } },
+            { $pull: { fcmTokens: { $in: invalidTokens } } }
+          );
+          console.warn(`[notify] Removed ${invalidTokens.length} invalid tokens from DB`);
+        }
+      } catch (batchErr) {
+        console.error(`[notify] Error sending batch ${batchIndex + 1}:`, batchErr);
+      }
+    }
+  } catch (notifyErr) {
+    console.error('FCM Notification error (outer):', notifyErr);
+  }
+
+  return totals;
+};
+
+module.exports = {
+  sendPushToStudents
+};
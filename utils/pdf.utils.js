@@ -0,0 +1,247 @@
+// utils/pdf.utils.js
+const PDFDocument = require('pdfkit');
+const { ATTENDANCE_STATUSES, STATUS_CODES } = require('./status.utils');
+const { toDateKey } = require('./date.utils');
+
+const MARGIN = 36;
+const ROW_HEIGHT = 16;
+const FONT_SIZE = 8;
+
+// Register columns that fit next to enrollment/name on one landscape A4 page
+const SESSIONS_PER_PAGE = 24;
+
+/**
+ * College name, report title and period at the top of the current page
+ */
+const drawHeader = (doc, { collegeName, title, lines = [] }) => {
+  doc.font('Helvetica-Bold').fontSize(14).text(collegeName || '', { align: 'center' });
+  doc.font('Helvetica-Bold').fontSize(11).text(title, { align: 'center' });
+  doc.font('Helvetica').fontSize(9);
+  lines.filter(Boolean).forEach(line => doc.text(line, { align: 'center' }));
+  doc.moveDown(0.8);
+};
+
+/**
+ * Draw a bordered table, repeating the header row on every new page
+ * @param {PDFDocument} doc
+ * @param {Array} columns - [{ header, width, align? }]
+ * @param {Array} rows - arrays of cell values
+ */
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+
+  // Header cells may hold two lines ("dd/mm" + "S1")
+  const headerHeight = columns.some(c => String(c.header).includes('\n')) ? ROW_HEIGHT * 1.6 : ROW_HEIGHT;
+
+  const drawRow = (cells, isHeader) => {
+    const y = doc.y;
+    const height = isHeader ? headerHeight : ROW_HEIGHT;
+    let x = left;
+
+    doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+    columns.forEach((col, i) => {
+      doc.rect(x, y, col.width, height).stroke('#999999');
+      doc.fillColor('#000000').text(String(cells[i] ?? ''), x + 2, y + 4, {
+        width: col.width - 4,
+        height: height - 4,
+        align: col.align || 'left',
+        lineBreak: isHeader,
+        ellipsis: true,
+      });
+      x += col.width;
+    });
+
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const headerCells = columns.map(c => c.header);
+  if (doc.y + headerHeight + ROW_HEIGHT > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  drawRow(headerCells, true);
+
+  rows.forEach((cells) => {
+    if (doc.y + ROW_HEIGHT > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(headerCells, true);
+    }
+    drawRow(cells, false);
+  });
+  doc.moveDown(0.8);
+};
+
+/**
+ * Status legend and signature lines at the end of a report
+ */
+const drawFooter = (doc, signatures) => {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y + 70 > bottom) doc.addPage();
+
+  doc.font('Helvetica').fontSize(8).text(
+    `Legend: ${ATTENDANCE_STATUSES.map(st => `${STATUS_CODES[st]} = ${st}`).join(', ')}`,
+    doc.page.margins.left
+  );
+  doc.text(`Generated on ${new Date().toLocaleString()}`);
+  doc.moveDown(3);
+
+  const width = (doc.page.width - doc.page.margins.left - doc.page.margins.right) / signatures.length;
+  const y = doc.y;
+  signatures.forEach((label, i) => {
+    const x = doc.page.margins.left + i * width;
+    doc.moveTo(x + 10, y).lineTo(x + width - 30, y).stroke('#000000');
+    doc.text(label, x + 10, y + 4, { width: width - 40, align: 'center' });
+  });
+};
+
+/**
+ * Class attendance report: register (sessions split across pages) + per-student summary
+ * @param {Object} data - { collegeName, className, division, from, to, term, register, summary, rules }
+ * @returns {PDFDocument} Call .pipe(res) on it
+ */
+const generateClassReportPdf = (data) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN });
+  const header = {
+    collegeName: data.collegeName,
+    title: `Attendance Register - ${data.className} (${data.division})`,
+    lines: [
+      `Period: ${toDateKey(data.from)} to ${toDateKey(data.to)}${data.term ? ` (${data.term})` : ''}`,
+    ],
+  };
+
+  const { sessions, students } = data.register;
+
+  // 🗒️ Register, SESSIONS_PER_PAGE columns at a time
+  const chunks = [];
+  for (let i = 0; i < sessions.length; i += SESSIONS_PER_PAGE) chunks.push(i);
+  if (chunks.length === 0) chunks.push(0);
+
+  chunks.forEach((offset, index) => {
+    if (index > 0) doc.addPage();
+    drawHeader(doc, header);
+
+    const slice = sessions.slice(offset, offset + SESSIONS_PER_PAGE);
+    const columns = [
+      { header: 'Enrollment', width: 80 },
+      { header: 'Name', width: 130 },
+      ...slice.map(s => ({
+        header: `${toDateKey(s.dateMs).slice(8)}/${toDateKey(s.dateMs).slice(5, 7)}\nS${s.slotNumber}`,
+        width: 23,
+        align: 'center',
+      })),
+    ];
+    const rows = students.map(s => [
+      s.enrollmentNumber,
+      s.name,
+      ...s.cells.slice(offset, offset + SESSIONS_PER_PAGE).map(st => (st ? STATUS_CODES[st] : '')),
+    ]);
+
+    if (sessions.length === 0) {
+      doc.font('Helvetica').fontSize(9).text('No attendance was marked in this period.');
+      doc.moveDown();
+    } else {
+      drawTable(doc, columns, rows);
+    }
+  });
+
+  // 📊 Summary percentages (same figures as the JSON summary)
+  doc.addPage();
+  drawHeader(doc, { ...header, title: `Attendance Summary - ${data.className} (${data.division})` });
+  doc.font('Helvetica').fontSize(8).text(
+    `Counted as attended: ${data.rules.counted.join(', ')}. Not counted: ${data.rules.excluded.join(', ') || 'none'}.`
+  );
+  doc.moveDown(0.5);
+
+  drawTable(
+    doc,
+    [
+      { header: 'Enrollment', width: 90 },
+      { header: 'Name', width: 180 },
+      { header: 'Held', width: 65, align: 'right' },
+      { header: 'Marked', width: 65, align: 'right' },
+      { header: 'Attended', width: 65, align: 'right' },
+      { header: 'Missed', width: 65, align: 'right' },
+      { header: 'Excluded', width: 65, align: 'right' },
+      { header: 'Percentage', width: 75, align: 'right' },
+    ],
+    data.summary.map(s => [
+      s.enrollmentNumber,
+      s.name,
+      s.conductedClasses || s.scheduledClasses,
+      s.totalClasses,
+      s.presents,
+      s.absents,
+      s.excluded,
+      `${s.percentage}%`,
+    ])
+  );
+
+  drawFooter(doc, ['Class Teacher', 'Head of Department']);
+  doc.end();
+  return doc;
+};
+
+/**
+ * Individual student statement: per class/subject percentages + every record
+ * @param {Object} data - { collegeName, student, from, to, subjects, records }
+ * @returns {PDFDocument} Call .pipe(res) on it
+ */
+const generateStudentStatementPdf = (data) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+
+  drawHeader(doc, {
+    collegeName: data.collegeName,
+    title: 'Student Attendance Statement',
+    lines: [
+      `${data.student.name} (${data.student.enrollmentNumber}) - Semester ${data.student.semester}`,
+      data.from ? `Period: ${toDateKey(data.from)} to ${toDateKey(data.to)}` : 'Period: all records',
+    ],
+  });
+
+  drawTable(
+    doc,
+    [
+      { header: 'Class', width: 130 },
+      { header: 'Subject', width: 130 },
+      { header: 'Marked', width: 50, align: 'right' },
+      { header: 'Attended', width: 55, align: 'right' },
+      { header: 'Missed', width: 50, align: 'right' },
+      { header: 'Excluded', width: 50, align: 'right' },
+      { header: '%', width: 50, align: 'right' },
+    ],
+    data.subjects.map(s => [
+      `${s.className} (${s.division})`,
+      s.subjectName || '-',
+      s.totalClasses,
+      s.presents,
+      s.absents,
+      s.excluded,
+      `${s.percentage}%`,
+    ])
+  );
+
+  drawTable(
+    doc,
+    [
+      { header: 'Date', width: 75 },
+      { header: 'Slot', width: 40, align: 'center' },
+      { header: 'Class', width: 140 },
+      { header: 'Subject', width: 140 },
+      { header: 'Status', width: 120 },
+    ],
+    data.records.map(r => [
+      toDateKey(r.dateMs),
+      `S${r.slotNumber}`,
+      `${r.className} (${r.division})`,
+      r.subjectName || '-',
+      r.status,
+    ])
+  );
+
+  drawFooter(doc, ['Class Teacher', 'Head of Department']);
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  generateClassReportPdf,
+  generateStudentStatementPdf
+};
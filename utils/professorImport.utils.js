@@ -0,0 +1,207 @@
+// utils/professorImport.utils.js
+const Professor = require('../models/professor.model');
+const { validatePassword } = require('./validation');
+
+// Used when a row has no password of its own
+const DEFAULT_PASSWORD = 'Temp@1234';
+
+/**
+ * Split parsed professor rows into new ones, duplicates and invalid rows.
+ * In upsert mode existing professors of this HOD (matched by email) are compared
+ * instead: a different name or an explicit password makes them toUpdate.
+ * @param {Array} rows - [{ row, name, email, password }]
+ * @param {Object} options - { hodId, mode: 'insert' | 'upsert' }
+ * @returns {Promise<Object>} { toInsert, toUpdate, unchanged, duplicates, invalid }
+ */
+const planProfessorUpload = async (rows, { hodId, mode = 'insert' } = {}) => {
+  const existing = await Professor.find({ email: { $in: rows.map(r => r.email) } }).select('name email createdBy');
+  const existingByEmail = new Map(existing.map(e => [String(e.email).toLowerCase(), e]));
+
+  const seenInFile = new Set();
+  const toInsert = [];
+  const toUpdate = [];
+  const unchanged = [];
+  const duplicates = [];
+  const invalid = [];
+
+  rows.forEach((r) => {
+    const emailLower = r.email.toLowerCase();
+    if (seenInFile.has(emailLower)) {
+      duplicates.push({ row: r.row, email: r.email, reason: 'duplicate in uploaded file' });
+      return;
+    }
+
+    const current = existingByEmail.get(emailLower);
+    if (current && mode !== 'upsert') {
+      duplicates.push({ row: r.row, email: r.email, reason: 'already exists (DB)' });
+      return;
+    }
+    if (current && String(current.createdBy) !== String(hodId)) {
+      duplicates.push({ row: r.row, email: r.email, reason: 'email belongs to another department' });
+      return;
+    }
+
+    // validate password for this row (existing professors keep theirs unless the sheet has one)
+    const password = r.password || (current ? null : DEFAULT_PASSWORD);
+    const pwdErr = password && validatePassword(password);
+    if (pwdErr) {
+      invalid.push({ row: r.row, values: { name: r.name, email: r.email }, reasons: [`invalid password: ${pwdErr}`] });
+      return;
+    }
+
+    seenInFile.add(emailLower);
+    if (!current) {
+      toInsert.push({ row: r.row, name: r.name, email: emailLower, password });
+      return;
+    }
+
+    const changes = {};
+    if (r.name && r.name !== current.name) changes.name = { from: current.name, to: r.name };
+    if (password) changes.password = { changed: true };
+
+    if (Object.keys(changes).length > 0) {
+      toUpdate.push({ row: r.row, email: emailLower, id: current._id, name: r.name, password, changes });
+    } else {
+      unchanged.push({ row: r.row, email: emailLower, id: current._id });
+    }
+  });
+
+  return { toInsert, toUpdate, unchanged, duplicates, invalid };
+};
+
+/**
+ * Plan of a professor upload plus the per-row diff, without writing.
+ * Shared by the dry-run preview and the import job.
+ * @param {Object} upload - from readBulkRows (or a job payload)
+ * @param {String} hodId
+ * @returns {Promise<Object>} { toInsert, toUpdate, unchanged, duplicates, invalid, diff }
+ */
+const analyzeProfessorUpload = async (upload, hodId) => {
+  const plan = await planProfessorUpload(upload.rows, { hodId, mode: upload.mode });
+
+  // Per-row outcome of every row that is not skipped
+  const diff = [
+    ...plan.toInsert.map(r => ({ row: r.row, email: r.email, action: 'created' })),
+    ...plan.toUpdate.map(r => ({ row: r.row, email: r.email, action: 'updated', changes: r.changes })),
+    ...plan.unchanged.map(r => ({ row: r.row, email: r.email, action: 'unchanged' }))
+  ].sort((a, b) => a.row - b.row);
+
+  return { ...plan, diff };
+};
+
+/**
+ * Create / update the professors of an upload. A row that fails on its own is
+ * reported in skipped or errors and does not stop the others.
+ * @param {Object} params - { hodId, upload: { rows, mode } }
+ * @param {Function} [onProgress] - async (processed, total)
+ * @returns {Promise<Object>} { ok: true, code, data } with the upload summary, or
+ *   { ok: false, code, msg } when the file had no rows
+ */
+const runProfessorImport = async ({ hodId, upload }, onProgress = async () => {}) => {
+  const { mode, rows } = upload;
+  if (!rows || rows.length === 0) return { ok: false, code: 400, msg: 'No valid professor data found' };
+
+  const { toInsert: planned, toUpdate, unchanged, duplicates, invalid, diff } =
+    await analyzeProfessorUpload(upload, hodId);
+
+  const skipped = [
+    ...duplicates,
+    ...invalid.map(r => ({ row: r.row, email: r.values.email, reason: r.reasons.join(', ') }))
+  ].sort((a, b) => a.row - b.row);
+  const toInsert = planned.map(r => ({ ...r, createdBy: hodId }));
+
+  if (toInsert.length === 0 && toUpdate.length === 0) {
+    return {
+      ok: true,
+      code: 200,
+      data: {
+        message: mode === 'upsert' ? 'No professors to add or update' : 'No new professors to add',
+        mode,
+        totalProcessed: rows.length,
+        inserted: 0,
+        updated: 0,
+        unchanged: unchanged.length,
+        skipped: skipped.length,
+        skippedDetails: skipped,
+        diff
+      }
+    };
+  }
+
+  const total = toInsert.length + toUpdate.length;
+  let processed = 0;
+  await onProgress(processed, total);
+
+  const inserted = [];
+  const updated = [];
+  const errors = [];
+  for (const doc of toInsert) {
+    try {
+      const prof = await Professor.create({
+        name: doc.name,
+        email: doc.email,
+        password: doc.password,
+        createdBy: doc.createdBy
+      });
+
+      inserted.push({
+        id: prof._id,
+        name: prof.name,
+        email: prof.email
+      });
+    } catch (err) {
+      const errMsg = (err && err.message) ? err.message : String(err);
+      if (err.code === 11000 || /duplicate/i.test(errMsg)) {
+        skipped.push({ row: doc.row, email: doc.email, reason: 'duplicate key error on insert (race?)' });
+      } else {
+        errors.push({ row: doc.row, email: doc.email, error: errMsg });
+      }
+    }
+    await onProgress(++processed, total);
+  }
+
+  // ✏️ Upsert: save() so a new password goes through the model's hashing
+  for (const change of toUpdate) {
+    try {
+      const prof = await Professor.findOne({ _id: change.id, createdBy: hodId });
+      if (!prof) {
+        skipped.push({ row: change.row, email: change.email, reason: 'professor no longer exists' });
+      } else {
+        if (change.changes.name) prof.name = change.name;
+        if (change.changes.password) prof.password = change.password;
+        await prof.save();
+
+        updated.push({ id: prof._id, name: prof.name, email: prof.email, changes: change.changes });
+      }
+    } catch (err) {
+      errors.push({ row: change.row, email: change.email, error: (err && err.message) ? err.message : String(err) });
+    }
+    await onProgress(++processed, total);
+  }
+
+  return {
+    ok: true,
+    code: 201,
+    data: {
+      message: mode === 'upsert'
+        ? `${inserted.length} professors created, ${updated.length} updated`
+        : `${inserted.length} professors uploaded`,
+      mode,
+      totalProcessed: rows.length,
+      inserted: inserted.length,
+      insertedDetails: inserted,
+      updated: updated.length,
+      updatedDetails: updated,
+      unchanged: unchanged.length,
+      skipped: skipped.length,
+      skippedDetails: skipped,
+      diff,
+      errors
+    }
+  };
+};
+
+module.exports = {
+  analyzeProfessorUpload,
+  runProfessorImport
+};
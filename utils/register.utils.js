@@ -0,0 +1,91 @@
+// utils/register.utils.js
+const Attendance = require('../models/attendance.model');
+const Student = require('../models/student.model');
+const HOD = require('../models/hod.model');
+const {
+  resolveStatus,
+  getStatusRules,
+  countStatuses,
+  summarizeStatusCounts,
+} = require('./status.utils');
+
+/**
+ * Register of a class over a date range: one column per (date, slot) that has
+ * attendance, one row per student with their status in each session and totals.
+ * Totals follow the HOD's counted / excluded statuses over the marked sessions.
+ * @param {Object} cls - lean Class ({ _id, students, createdBy })
+ * @param {Number} startMs
+ * @param {Number} endMs
+ * @param {Object} [options] - { subjectId }
+ * @returns {Promise<Object>} { sessions, students, rules }
+ */
+const buildClassRegister = async (cls, startMs, endMs, { subjectId } = {}) => {
+  const filter = { classId: cls._id, dateMs: { $gte: startMs, $lte: endMs } };
+  if (subjectId) filter.subjectId = subjectId;
+
+  const records = await Attendance.find(filter)
+    .select('studentId dateMs slotNumber subjectId isPresent status')
+    .populate('subjectId', 'name code')
+    .sort({ dateMs: 1, slotNumber: 1 })
+    .lean();
+
+  // 🗓️ Columns: every session that was marked
+  const sessions = [];
+  const sessionIndex = new Map();
+  for (const r of records) {
+    const key = `${r.dateMs}|${r.slotNumber}`;
+    if (sessionIndex.has(key)) continue;
+    sessionIndex.set(key, sessions.length);
+    sessions.push({
+      dateMs: r.dateMs,
+      slotNumber: r.slotNumber,
+      subjectName: r.subjectId?.name || '',
+      subjectCode: r.subjectId?.code || '',
+    });
+  }
+
+  // 🧑‍🎓 Rows: the current roster plus anyone with attendance in the range
+  const studentIds = new Set((cls.students || []).map(String));
+  records.forEach(r => studentIds.add(String(r.studentId)));
+
+  const students = await Student.find({ _id: { $in: Array.from(studentIds) } })
+    .select('enrollmentNumber name')
+    .sort({ enrollmentNumber: 1 })
+    .lean();
+
+  const hod = await HOD.findById(cls.createdBy).select('attendanceSettings').lean();
+  const rules = getStatusRules(hod?.attendanceSettings);
+
+  const rowsByStudent = new Map();
+  for (const r of records) {
+    const key = String(r.studentId);
+    if (!rowsByStudent.has(key)) rowsByStudent.set(key, []);
+    rowsByStudent.get(key).push(r);
+  }
+
+  return {
+    sessions,
+    rules,
+    students: students.map((s) => {
+      const rows = rowsByStudent.get(String(s._id)) || [];
+      const cells = sessions.map(() => null);
+      rows.forEach((r) => {
+        cells[sessionIndex.get(`${r.dateMs}|${r.slotNumber}`)] = resolveStatus(r);
+      });
+
+      const statusCounts = countStatuses(rows);
+      return {
+        studentId: String(s._id),
+        enrollmentNumber: s.enrollmentNumber,
+        name: s.name,
+        cells,
+        ...summarizeStatusCounts(statusCounts, rules),
+        statusCounts,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  buildClassRegister
+};
@@ -22,11 +22,13 @@ const successResponse = (res, data = {}, statusCode = 200) => {
    * @param {Object} res - Express response object
    * @param {String} message - Error message
    * @param {Number} statusCode - HTTP status code (default: 400)
+   * @param {Object} [details] - Extra fields merged into the response body (optional)
    */
-  const errorResponse = (res, message, statusCode = 400) => {
+  const errorResponse = (res, message, statusCode = 400, details = {}) => {
     return res.status(statusCode).json({
       success: false,
-      error: message
+      error: message,
+      ...details
     });
   };
   
@@ -0,0 +1,208 @@
+// utils/rollover.utils.js
+const mongoose = require('mongoose');
+const Attendance = require('../models/attendance.model');
+const Class = require('../models/class.model');
+const Counter = require('../models/counter.model');
+const Student = require('../models/student.model');
+const { getCalendar, getCurrentTerm } = require('./calendar.utils');
+
+// Students in this semester are not promoted any further
+const DEFAULT_MAX_SEMESTER = 8;
+
+/**
+ * Work out a term rollover without writing anything
+ * @param {Object} params
+ * @param {String} params.hodId
+ * @param {Array} [params.classIds] - classes to archive (default: every active class)
+ * @param {Array} [params.studentIds] - students to promote
+ * @param {Array} [params.semesters] - promote every student in these semesters
+ *   (without studentIds / semesters: the students of the archived classes)
+ * @param {Boolean} [params.cloneClasses] - recreate the archived classes for the new term
+ * @param {String} [params.term] - name of the new term (default: next term on the calendar)
+ * @param {Number} [params.maxSemester]
+ * @returns {Promise<Object>} { ok: false, code, msg, details? } or { ok: true, plan }
+ */
+const planRollover = async ({
+  hodId,
+  classIds,
+  studentIds,
+  semesters,
+  cloneClasses = false,
+  term,
+  maxSemester = DEFAULT_MAX_SEMESTER,
+}) => {
+  // 📅 Terms: the one ending now and the one the cloned classes belong to
+  const now = Date.now();
+  const calendar = await getCalendar(hodId);
+  const currentTerm = getCurrentTerm(calendar, now);
+  const nextTerm = (calendar?.terms || [])
+    .filter(t => t.startMs > now)
+    .sort((a, b) => a.startMs - b.startMs)[0];
+  const fromTerm = currentTerm?.name || null;
+  const toTerm = term || nextTerm?.name || null;
+
+  // 🗄️ Classes to archive
+  const classQuery = { createdBy: hodId, archived: { $ne: true } };
+  if (classIds) classQuery._id = { $in: classIds };
+  const classes = await Class.find(classQuery)
+    .select('classId className division professors students term')
+    .sort({ className: 1, division: 1 })
+    .lean();
+
+  if (classIds) {
+    const found = new Set(classes.map(c => String(c._id)));
+    const missing = classIds.filter(id => !found.has(String(id)));
+    if (missing.length > 0) {
+      return { ok: false, code: 404, msg: 'Some classes were not found or are already archived', details: { missing } };
+    }
+  }
+
+  const attendanceCounts = classes.length > 0
+    ? await Attendance.aggregate([
+      { $match: { classId: { $in: classes.map(c => c._id) } } },
+      { $group: { _id: '$classId', count: { $sum: 1 } } },
+    ])
+    : [];
+  const countByClass = new Map(attendanceCounts.map(a => [String(a._id), a.count]));
+
+  // 🎓 Students to promote
+  const studentQuery = { createdBy: hodId };
+  if (studentIds) {
+    studentQuery._id = { $in: studentIds };
+  } else if (semesters) {
+    studentQuery.semester = { $in: semesters };
+  } else {
+    const classIdList = classes.map(c => c._id);
+    studentQuery.$or = [
+      { _id: { $in: classes.flatMap(c => c.students || []) } },
+      { classIds: { $in: classIdList } },
+    ];
+  }
+  const students = (studentIds || semesters || classes.length > 0)
+    ? await Student.find(studentQuery).select('enrollmentNumber name semester').sort({ enrollmentNumber: 1 }).lean()
+    : [];
+
+  const promote = [];
+  const notPromoted = [];
+  students.forEach((s) => {
+    const entry = { id: s._id, enrollmentNumber: s.enrollmentNumber, name: s.name, from: s.semester };
+    if (s.semester >= maxSemester) {
+      notPromoted.push({ ...entry, reason: `already in the final semester (${maxSemester})` });
+    } else {
+      promote.push({ ...entry, to: s.semester + 1 });
+    }
+  });
+  if (studentIds) {
+    const found = new Set(students.map(s => String(s._id)));
+    studentIds
+      .filter(id => !found.has(String(id)))
+      .forEach(id => notPromoted.push({ id, reason: 'student not found' }));
+  }
+
+  if (promote.length === 0 && classes.length === 0) {
+    return { ok: false, code: 400, msg: 'Nothing to roll over: no active classes and no students to promote', details: { notPromoted } };
+  }
+
+  return {
+    ok: true,
+    plan: {
+      term: { from: fromTerm, to: toTerm },
+      promote,
+      notPromoted,
+      archive: classes.map(c => ({
+        id: c._id,
+        classId: c.classId,
+        className: c.className,
+        division: c.division,
+        term: c.term || fromTerm,
+        students: (c.students || []).length,
+        attendanceRecords: countByClass.get(String(c._id)) || 0,
+      })),
+      clone: cloneClasses
+        ? classes.map(c => ({
+          from: c._id,
+          className: c.className,
+          division: c.division,
+          professors: c.professors || [],
+          term: toTerm,
+        }))
+        : [],
+    },
+  };
+};
+
+/**
+ * Apply a plan from planRollover: promote, archive, then clone
+ * @param {Object} plan
+ * @param {String} hodId
+ * @returns {Promise<Object>} { promoted, archived, cloned: [{ from, id, classId, className, division, term }] }
+ */
+const applyRollover = async (plan, hodId) => {
+  // ✅ Only students still in the semester that was previewed move up,
+  // so submitting the same rollover twice does not promote anyone twice
+  let promoted = 0;
+  if (plan.promote.length > 0) {
+    const result = await Student.bulkWrite(plan.promote.map(s => ({
+      updateOne: {
+        filter: { _id: s.id, createdBy: hodId, semester: s.from },
+        update: { $set: { semester: s.to } },
+      },
+    })));
+    promoted = result.modifiedCount;
+  }
+
+  // 🗄️ Attendance stays attached to the archived classes
+  let archived = 0;
+  if (plan.archive.length > 0) {
+    const ids = plan.archive.map(c => c.id);
+    if (plan.term.from) {
+      await Class.updateMany(
+        { _id: { $in: ids }, createdBy: hodId, term: null },
+        { $set: { term: plan.term.from } }
+      );
+    }
+    const result = await Class.updateMany(
+      { _id: { $in: ids }, createdBy: hodId, archived: { $ne: true } },
+      { $set: { archived: true, archivedAt: new Date() } }
+    );
+    archived = result.modifiedCount;
+  }
+
+  // 🧬 Same structure for the new term, without students
+  let cloned = [];
+  if (plan.clone.length > 0) {
+    const counter = await Counter.findOneAndUpdate(
+      { hod: hodId },
+      { $inc: { seq: plan.clone.length } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    const firstId = counter.seq - plan.clone.length + 1;
+
+    const created = await Class.insertMany(plan.clone.map((c, i) => ({
+      classId: firstId + i,
+      className: c.className,
+      division: c.division,
+      students: [],
+      professors: c.professors.map(p => new mongoose.Types.ObjectId(String(p))),
+      term: c.term,
+      rolledOverFrom: c.from,
+      createdBy: hodId,
+    })));
+    cloned = created.map(c => ({
+      from: c.rolledOverFrom,
+      id: c._id,
+      classId: c.classId,
+      className: c.className,
+      division: c.division,
+      term: c.term,
+    }));
+  }
+
+  return { promoted, archived, cloned };
+};
+
+module.exports = {
+  DEFAULT_MAX_SEMESTER,
+  planRollover,
+  applyRollover
+};
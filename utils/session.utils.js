@@ -0,0 +1,136 @@
+// utils/session.utils.js
+const mongoose = require('mongoose');
+const Attendance = require('../models/attendance.model');
+const AttendanceSession = require('../models/attendanceSession.model');
+
+// Sessions that actually took place (an open one is being held right now)
+const CONDUCTED_STATUSES = ['open', 'closed'];
+
+/**
+ * The session of a class/date/slot, if one was recorded
+ * @returns {Promise<Object|null>} lean AttendanceSession
+ */
+const findSlotSession = (classId, dateMs, slotNumber) =>
+  AttendanceSession.findOne({ classId, dateMs, slotNumber: Number(slotNumber) }).lean();
+
+/**
+ * Recount present / absent rows of a session's enrolled students
+ * @param {Object} session - needs _id, classId, dateMs, slotNumber
+ * @param {Array} studentIds - the class's students
+ * @returns {Promise<Object>} updated lean session
+ */
+const refreshSessionCounts = async (session, studentIds) => {
+  const rows = await Attendance.find({
+    classId: session.classId,
+    dateMs: session.dateMs,
+    slotNumber: session.slotNumber,
+    studentId: { $in: studentIds || [] },
+  }).select('isPresent').lean();
+  const presentCount = rows.filter(r => r.isPresent).length;
+
+  return AttendanceSession.findByIdAndUpdate(
+    session._id,
+    { $set: { presentCount, absentCount: rows.length - presentCount } },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Record that a slot was held once attendance is marked for it: a scheduled
+ * session becomes closed, a missing one is created closed and an open (QR)
+ * session stays open until its professor closes it.
+ * @param {Object} params
+ * @param {Object} params.cls - lean Class (needs _id, createdBy, students)
+ * @param {String} params.professorId
+ * @param {Number} params.dateMs
+ * @param {Number} params.slotNumber
+ * @param {String} [params.subjectId]
+ * @param {String} [params.topic]
+ * @returns {Promise<Object>} lean AttendanceSession
+ */
+const recordConductedSession = async ({ cls, professorId, dateMs, slotNumber, subjectId = null, topic }) => {
+  const filter = { classId: cls._id, dateMs, slotNumber: Number(slotNumber) };
+  const now = new Date();
+
+  await AttendanceSession.updateOne(
+    { ...filter, status: 'scheduled' },
+    { $set: { status: 'closed', professorId, openedAt: now, closedAt: now } }
+  );
+
+  const set = {};
+  if (subjectId) set.subjectId = subjectId;
+  if (typeof topic === 'string' && topic.trim()) set.topic = topic.trim();
+
+  const upsert = () => AttendanceSession.findOneAndUpdate(
+    filter,
+    {
+      $set: set,
+      $setOnInsert: {
+        hodId: cls.createdBy,
+        professorId,
+        status: 'closed',
+        openedAt: now,
+        closedAt: now,
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  let session;
+  try {
+    session = await upsert();
+  } catch (err) {
+    // Two markings of a new slot at once: the other one created it
+    if (err.code !== 11000) throw err;
+    session = await upsert();
+  }
+
+  return refreshSessionCounts(session, cls.students);
+};
+
+/**
+ * Sessions held by a class between two dates. Slots marked before sessions were
+ * recorded have no session yet and are taken from their attendance rows.
+ * @param {ObjectId|String} classId
+ * @param {Number} startMs
+ * @param {Number} endMs
+ * @param {Object} [options]
+ * @param {String} [options.subjectId] - only this subject's sessions
+ * @param {Function} [options.skipDay] - (dateMs) => true for days to leave out
+ * @returns {Promise<Array>} [{ dateMs, slotNumber, subjectId }]
+ */
+const listConductedSessions = async (classId, startMs, endMs, { subjectId = null, skipDay = () => false } = {}) => {
+  const classObjectId = new mongoose.Types.ObjectId(String(classId));
+  const range = { classId: classObjectId, dateMs: { $gte: startMs, $lte: endMs } };
+
+  const [sessions, markedSlots] = await Promise.all([
+    AttendanceSession.find(range).select('dateMs slotNumber subjectId status').lean(),
+    Attendance.aggregate([
+      { $match: range },
+      { $group: { _id: { dateMs: '$dateMs', slotNumber: '$slotNumber' }, subjectId: { $first: '$subjectId' } } },
+    ]),
+  ]);
+
+  const slotKey = (s) => `${s.dateMs}|${s.slotNumber}`;
+  const recorded = new Set(sessions.map(slotKey));
+
+  return [
+    ...sessions
+      .filter(s => CONDUCTED_STATUSES.includes(s.status))
+      .map(s => ({ dateMs: s.dateMs, slotNumber: s.slotNumber, subjectId: s.subjectId })),
+    ...markedSlots
+      .filter(s => !recorded.has(slotKey(s._id)))
+      .map(s => ({ dateMs: s._id.dateMs, slotNumber: s._id.slotNumber, subjectId: s.subjectId })),
+  ].filter(s =>
+    !skipDay(s.dateMs) &&
+    (!subjectId || String(s.subjectId) === String(subjectId))
+  );
+};
+
+module.exports = {
+  CONDUCTED_STATUSES,
+  findSlotSession,
+  refreshSessionCounts,
+  recordConductedSession,
+  listConductedSessions
+};
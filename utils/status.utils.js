@@ -0,0 +1,108 @@
+// utils/status.utils.js
+
+// Every status an attendance row can carry
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused', 'on-duty', 'medical'];
+
+// Statuses where the student was physically in class (isPresent mirrors these)
+const PRESENT_STATUSES = ['present', 'late'];
+
+// HOD defaults: which statuses count as attended, and which are left out of the total
+const DEFAULT_COUNTED_STATUSES = ['present', 'late', 'on-duty'];
+const DEFAULT_EXCLUDED_STATUSES = ['excused', 'medical'];
+
+// Short codes used in printed / exported registers
+const STATUS_CODES = {
+  present: 'P',
+  absent: 'A',
+  late: 'L',
+  excused: 'E',
+  'on-duty': 'OD',
+  medical: 'M',
+};
+
+// Mongo expression for a row's status; rows written before statuses existed only have isPresent
+const STATUS_EXPR = { $ifNull: ['$status', { $cond: ['$isPresent', 'present', 'absent'] }] };
+
+/**
+ * Status of an attendance row (falls back to isPresent for older rows)
+ */
+const resolveStatus = (row) => row.status || (row.isPresent ? 'present' : 'absent');
+
+/**
+ * Status for a register cell: a code (P, A, OD, ...) or a full status name, any case
+ * @returns {String|null} null when the value is not a known status
+ */
+const parseStatusCode = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  if (ATTENDANCE_STATUSES.includes(text)) return text;
+  return ATTENDANCE_STATUSES.find((st) => STATUS_CODES[st].toLowerCase() === text) || null;
+};
+
+/**
+ * Status given to an absence covered by an approved leave of this type
+ */
+const leaveStatus = (leaveType) =>
+  leaveType === 'medical' || leaveType === 'on-duty' ? leaveType : 'excused';
+
+/**
+ * Counted / excluded statuses from a HOD's attendanceSettings
+ * @param {Object} [settings] - hod.attendanceSettings
+ * @returns {Object} { counted, excluded }
+ */
+const getStatusRules = (settings) => ({
+  counted: settings?.countedStatuses?.length ? settings.countedStatuses : DEFAULT_COUNTED_STATUSES,
+  excluded: settings?.excludedStatuses || DEFAULT_EXCLUDED_STATUSES,
+});
+
+/**
+ * { present: n, absent: n, ... } for every status, zero-filled
+ * @param {Array} rows - attendance rows
+ */
+const countStatuses = (rows) => {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map((s) => [s, 0]));
+  rows.forEach((r) => {
+    counts[resolveStatus(r)] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Attended / missed / excluded totals and percentage for a set of status counts.
+ * The percentage is against max(scheduled, totalClasses) minus the excluded sessions.
+ * @param {Object} statusCounts - from countStatuses
+ * @param {Object} rules - from getStatusRules
+ * @param {Number} [scheduled] - sessions the timetable scheduled (0 when unknown)
+ * @returns {Object} { totalClasses, presents, absents, excluded, percentage }
+ */
+const summarizeStatusCounts = (statusCounts, rules, scheduled = 0) => {
+  const sum = (list) => list.reduce((n, s) => n + (statusCounts[s] || 0), 0);
+
+  const totalClasses = sum(ATTENDANCE_STATUSES);
+  const presents = sum(rules.counted);
+  const excluded = sum(rules.excluded);
+  const denominator = Math.max(scheduled, totalClasses) - excluded;
+
+  return {
+    totalClasses,
+    presents,
+    absents: totalClasses - presents - excluded,
+    excluded,
+    percentage: denominator <= 0 ? 0 : Math.round((presents / denominator) * 10000) / 100,
+  };
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  PRESENT_STATUSES,
+  DEFAULT_COUNTED_STATUSES,
+  DEFAULT_EXCLUDED_STATUSES,
+  STATUS_CODES,
+  STATUS_EXPR,
+  resolveStatus,
+  parseStatusCode,
+  leaveStatus,
+  getStatusRules,
+  countStatuses,
+  summarizeStatusCounts
+};
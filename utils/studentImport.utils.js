@@ -0,0 +1,410 @@
+// utils/studentImport.utils.js
+const bcrypt = require('bcrypt');
+const Student = require('../models/student.model');
+const Class = require('../models/class.model');
+const { validatePassword } = require('./validation');
+const { saveUploadReport } = require('./bulkUpload.utils');
+
+// Used when a row has no password of its own
+const DEFAULT_PASSWORD = "Temp@1234";
+
+// Columns of the annotated upload report (passwords are never written back)
+const STUDENT_REPORT_COLUMNS = [
+  { key: 'enrollmentNumber', header: 'Enrollment Number' },
+  { key: 'name', header: 'Name' },
+  { key: 'semester', header: 'Semester' },
+  { key: 'division', header: 'Division' },
+  { key: 'email', header: 'Email' },
+  { key: 'classId', header: 'Class ID' },
+  { key: 'className', header: 'Class Name' },
+  { key: 'classDivision', header: 'Class Division' }
+];
+
+// Row values for reports, without the password
+const studentRowValues = ({ row, password, ...values }) => values;
+
+// Fields an upsert may change on an existing student (besides an explicit password)
+const STUDENT_UPSERT_FIELDS = ['name', 'semester', 'division', 'email'];
+
+/**
+ * Split parsed student rows into new ones, would-be duplicates (repeated in
+ * the file, or an enrollment number that already exists) and rows whose own
+ * password is too weak. In upsert mode existing students of this HOD are
+ * compared instead: rows with differences go to toUpdate, the rest to unchanged.
+ * Empty cells never clear a value.
+ * @param {Array} rows - parsed rows with their sheet row number
+ * A retried import job (resumeSince) finds the students its earlier attempt
+ * already created: those go to resumed instead of being skipped as duplicates.
+ * @param {Object} options - { hodId, mode: 'insert' | 'upsert', resumeSince? }
+ * @returns {Promise<Object>} { toInsert, toUpdate: [{ student, existing, changes }], unchanged,
+ *   resumed: [{ student, existing }], duplicates, invalid }
+ */
+const planStudentUpload = async (rows, { hodId, mode = 'insert', resumeSince = null } = {}) => {
+  // ✅ Check globally unique enrollment numbers
+  const existingStudents = await Student.find({
+    enrollmentNumber: { $in: rows.map(s => s.enrollmentNumber) }
+  }).select('enrollmentNumber name semester division email classIds createdBy createdAt').lean();
+
+  const existingByEnrollment = new Map(existingStudents.map(s => [s.enrollmentNumber, s]));
+  const firstRowOf = new Map();
+
+  const toInsert = [];
+  const toUpdate = [];
+  const unchanged = [];
+  const resumed = [];
+  const duplicates = [];
+  const invalid = [];
+
+  rows.forEach((student) => {
+    const { row, enrollmentNumber } = student;
+    if (firstRowOf.has(enrollmentNumber)) {
+      duplicates.push({ row, enrollmentNumber, reason: `duplicate enrollment number (first seen in row ${firstRowOf.get(enrollmentNumber)})` });
+      return;
+    }
+
+    const existing = existingByEnrollment.get(enrollmentNumber);
+    if (
+      existing && resumeSince &&
+      String(existing.createdBy) === String(hodId) &&
+      new Date(existing.createdAt) >= new Date(resumeSince)
+    ) {
+      firstRowOf.set(enrollmentNumber, row);
+      resumed.push({ student, existing });
+      return;
+    }
+    if (existing && mode !== 'upsert') {
+      duplicates.push({ row, enrollmentNumber, reason: 'enrollment number already exists' });
+      return;
+    }
+    if (existing && String(existing.createdBy) !== String(hodId)) {
+      duplicates.push({ row, enrollmentNumber, reason: 'enrollment number belongs to another department' });
+      return;
+    }
+    firstRowOf.set(enrollmentNumber, row);
+
+    if (student.password) {
+      const passwordError = validatePassword(student.password);
+      if (passwordError) {
+        invalid.push({ row, values: studentRowValues(student), reasons: [`weak password: ${passwordError}`] });
+        return;
+      }
+    }
+
+    if (!existing) {
+      toInsert.push(student);
+      return;
+    }
+
+    const changes = {};
+    STUDENT_UPSERT_FIELDS.forEach((field) => {
+      const value = student[field];
+      if (value === null || value === undefined || value === '') return;
+      if (String(existing[field] ?? '') !== String(value)) {
+        changes[field] = { from: existing[field] ?? null, to: value };
+      }
+    });
+    if (student.password) changes.password = { changed: true };
+
+    if (Object.keys(changes).length > 0) toUpdate.push({ student, existing, changes });
+    else unchanged.push({ student, existing });
+  });
+
+  return { toInsert, toUpdate, unchanged, resumed, duplicates, invalid };
+};
+
+/**
+ * Resolve the optional class columns of each row to the HOD's classes:
+ * numeric Class IDs (several separated by ";" or ","), or Class Name + Class Division
+ * (the student's own division when the class division is empty).
+ * @param {Array} rows - parsed rows
+ * @param {String} hodId
+ * @returns {Promise<Object>} { classesByRow: Map(row → [Class]), unknownClasses: [{ row, enrollmentNumber, class, reason }] }
+ */
+const resolveStudentClasses = async (rows, hodId) => {
+  const classesByRow = new Map();
+  const unknownClasses = [];
+  const withClasses = rows.filter(s => s.classId || s.className);
+  if (withClasses.length === 0) return { classesByRow, unknownClasses };
+
+  const classes = await Class.find({ createdBy: hodId, archived: { $ne: true } }).select('_id classId className division').lean();
+  const byNumber = new Map(classes.map(c => [String(c.classId), c]));
+  const byName = new Map(classes.map(c => [`${c.className.toLowerCase()}||${c.division.toLowerCase()}`, c]));
+
+  withClasses.forEach((student) => {
+    const found = [];
+    const unknown = (label, reason) => unknownClasses.push({
+      row: student.row,
+      enrollmentNumber: student.enrollmentNumber,
+      class: label,
+      reason
+    });
+
+    String(student.classId || '').split(/[;,]/).map(v => v.trim()).filter(Boolean).forEach((number) => {
+      const cls = byNumber.get(String(Number(number)));
+      if (cls) found.push(cls);
+      else unknown(number, `unknown class ID "${number}"`);
+    });
+
+    if (student.className) {
+      const division = student.classDivision || student.division || '';
+      const cls = byName.get(`${student.className.toLowerCase()}||${division.toLowerCase()}`);
+      if (cls) found.push(cls);
+      else unknown(`${student.className} (${division || 'no division'})`, `unknown class "${student.className}" division "${division}"`);
+    }
+
+    classesByRow.set(student.row, found.filter((c, i) => found.findIndex(f => String(f._id) === String(c._id)) === i));
+  });
+
+  return { classesByRow, unknownClasses };
+};
+
+/**
+ * Everything a student upload would do, without writing: plan, class links
+ * and the per-row diff. Shared by the dry-run preview and the import job.
+ * @param {Object} upload - from readBulkRows (or a job payload, with resumeSince on a retry)
+ * @param {String} hodId
+ * @returns {Promise<Object>} { newStudents, toUpdate, unchanged, resumed, duplicates, invalid,
+ *   classesByRow, unknownClasses, addedClassesOf, diff }
+ */
+const analyzeStudentUpload = async (upload, hodId) => {
+  const { mode, resumeSince } = upload;
+  const { toInsert: newStudents, toUpdate, unchanged: sameStudents, resumed, duplicates, invalid } =
+    await planStudentUpload(upload.rows, { hodId, mode, resumeSince });
+  const { classesByRow, unknownClasses } = await resolveStudentClasses(
+    [
+      ...newStudents,
+      ...toUpdate.map(u => u.student),
+      ...sameStudents.map(u => u.student),
+      ...resumed.map(u => u.student)
+    ],
+    hodId
+  );
+
+  // 🏫 Existing students only gain the classes they are not in yet
+  const addedClassesOf = ({ student, existing }) => {
+    const current = new Set((existing.classIds || []).map(String));
+    return (classesByRow.get(student.row) || []).filter(c => !current.has(String(c._id)));
+  };
+  const unchanged = sameStudents.filter(entry => addedClassesOf(entry).length === 0);
+  sameStudents
+    .filter(entry => addedClassesOf(entry).length > 0)
+    .forEach(entry => toUpdate.push({ ...entry, changes: {} }));
+  toUpdate.forEach((entry) => {
+    const added = addedClassesOf(entry);
+    if (added.length > 0) entry.changes.classes = { added: added.map(c => `${c.className} (${c.division})`) };
+  });
+
+  // Per-row outcome of every row that is not rejected
+  const diff = [
+    ...newStudents.map(s => ({ row: s.row, enrollmentNumber: s.enrollmentNumber, action: 'created' })),
+    ...resumed.map(u => ({ row: u.student.row, enrollmentNumber: u.student.enrollmentNumber, action: 'created' })),
+    ...toUpdate.map(u => ({ row: u.student.row, enrollmentNumber: u.student.enrollmentNumber, action: 'updated', changes: u.changes })),
+    ...unchanged.map(u => ({ row: u.student.row, enrollmentNumber: u.student.enrollmentNumber, action: 'unchanged' }))
+  ].sort((x, y) => x.row - y.row);
+
+  return {
+    newStudents,
+    toUpdate,
+    unchanged,
+    resumed,
+    duplicates,
+    invalid,
+    classesByRow,
+    unknownClasses,
+    addedClassesOf,
+    diff
+  };
+};
+
+// Rows written per insertMany / bulkWrite, so progress moves on large files
+const WRITE_BATCH_SIZE = 200;
+
+/**
+ * Create / update the students of an upload and link them to their classes
+ * @param {Object} params - { hodId, upload: { rows, rejected, mode, fileName } }
+ * @param {Function} [onProgress] - async (processed, total)
+ * @returns {Promise<Object>} { ok: true, code, data } with the upload summary, or
+ *   { ok: false, code, msg, details } when nothing could be saved
+ */
+const runStudentImport = async ({ hodId, upload }, onProgress = async () => {}) => {
+  const { mode } = upload;
+  const students = upload.rows;
+  const {
+    newStudents,
+    toUpdate,
+    unchanged,
+    resumed,
+    duplicates,
+    invalid,
+    classesByRow,
+    unknownClasses,
+    addedClassesOf,
+    diff
+  } = await analyzeStudentUpload(upload, hodId);
+
+  // 📋 Every row that will not be saved, with its sheet row number and reasons
+  const valuesByRow = new Map(students.map(s => [s.row, studentRowValues(s)]));
+  const rejected = [
+    ...(upload.rejected || []),
+    ...duplicates.map(d => ({ row: d.row, values: valuesByRow.get(d.row), reasons: [d.reason] })),
+    ...invalid
+  ].sort((a, b) => a.row - b.row);
+
+  const unknownReasonsOf = (row) => unknownClasses.filter(u => u.row === row).map(u => u.reason);
+  const reportToken = await saveUploadReport({
+    type: 'students',
+    hodId,
+    fileName: upload.fileName,
+    rows: [
+      ...diff.map(d => ({
+        row: d.row,
+        values: valuesByRow.get(d.row),
+        status: d.action,
+        reasons: [
+          ...(d.changes ? [`changed: ${Object.keys(d.changes).join(', ')}`] : []),
+          ...unknownReasonsOf(d.row)
+        ]
+      })),
+      ...rejected.map(r => ({ ...r, status: 'rejected' }))
+    ]
+  });
+  const report = {
+    rejectedCount: rejected.length,
+    rejected,
+    unknownClasses,
+    reportToken,
+    reportUrl: `/api/students/bulk-upload/report/${reportToken}`
+  };
+
+  if (!students || students.length === 0) {
+    return { ok: false, code: 400, msg: 'No valid student data found in the Excel file', details: report };
+  }
+
+  if (newStudents.length === 0 && toUpdate.length === 0 && resumed.length === 0) {
+    if (mode === 'upsert' && unchanged.length > 0) {
+      return {
+        ok: true,
+        code: 200,
+        data: {
+          message: 'All students in the file are already up to date',
+          mode,
+          totalUploaded: 0,
+          totalUpdated: 0,
+          totalUnchanged: unchanged.length,
+          totalSkipped: rejected.length,
+          diff,
+          ...report
+        }
+      };
+    }
+    return { ok: false, code: 400, msg: 'No new students to add: every row was rejected', details: report };
+  }
+
+  const total = newStudents.length + toUpdate.length;
+  let processed = 0;
+  await onProgress(processed, total);
+
+  const salt = await bcrypt.genSalt(10);
+
+  // ✅ Hash passwords and insert in batches
+  const insertedStudents = [];
+  for (let i = 0; i < newStudents.length; i += WRITE_BATCH_SIZE) {
+    const batch = await Promise.all(newStudents.slice(i, i + WRITE_BATCH_SIZE).map(async student => {
+      const hashedPassword = await bcrypt.hash(student.password || DEFAULT_PASSWORD, salt);
+      return {
+        enrollmentNumber: student.enrollmentNumber,
+        name: student.name,
+        semester: student.semester,
+        division: student.division || null,
+        email: student.email || null,
+        classIds: (classesByRow.get(student.row) || []).map(c => c._id),
+        fcmTokens: [],
+        password: hashedPassword,
+        createdBy: hodId
+      };
+    }));
+    insertedStudents.push(...await Student.insertMany(batch));
+    processed += batch.length;
+    await onProgress(processed, total);
+  }
+
+  // ✏️ Upsert: only the changed fields; the password only when the sheet gave one
+  for (let i = 0; i < toUpdate.length; i += WRITE_BATCH_SIZE) {
+    const updateOps = await Promise.all(toUpdate.slice(i, i + WRITE_BATCH_SIZE).map(async ({ student, existing, changes }) => {
+      const $set = {};
+      STUDENT_UPSERT_FIELDS.forEach((field) => {
+        if (changes[field]) $set[field] = changes[field].to;
+      });
+      if (changes.password) $set.password = await bcrypt.hash(student.password, salt);
+
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      const added = addedClassesOf({ student, existing });
+      if (added.length > 0) update.$addToSet = { classIds: { $each: added.map(c => c._id) } };
+
+      return { updateOne: { filter: { _id: existing._id, createdBy: hodId }, update } };
+    }));
+    await Student.bulkWrite(updateOps);
+    processed += updateOps.length;
+    await onProgress(processed, total);
+  }
+
+  // 🏫 Link students to their classes (Class.students mirrors Student.classIds)
+  const studentsByClass = new Map();
+  const link = (studentId, classes) => classes.forEach((cls) => {
+    const key = String(cls._id || cls);
+    if (!studentsByClass.has(key)) studentsByClass.set(key, []);
+    studentsByClass.get(key).push(studentId);
+  });
+  insertedStudents.forEach(student => link(student._id, student.classIds));
+  toUpdate.forEach(entry => link(entry.existing._id, addedClassesOf(entry)));
+
+  // 🔁 Students an earlier attempt of this job created: the run may have stopped
+  // before their classes were linked, so link them again (both sides are sets)
+  const resumedWithClasses = resumed.filter(({ student }) => (classesByRow.get(student.row) || []).length > 0);
+  if (resumedWithClasses.length > 0) {
+    await Student.bulkWrite(resumedWithClasses.map(({ student, existing }) => ({
+      updateOne: {
+        filter: { _id: existing._id, createdBy: hodId },
+        update: { $addToSet: { classIds: { $each: classesByRow.get(student.row).map(c => c._id) } } }
+      }
+    })));
+    resumedWithClasses.forEach(({ student, existing }) => link(existing._id, classesByRow.get(student.row)));
+  }
+
+  if (studentsByClass.size > 0) {
+    await Class.bulkWrite([...studentsByClass].map(([classId, studentIds]) => ({
+      updateOne: {
+        filter: { _id: classId, createdBy: hodId },
+        update: { $addToSet: { students: { $each: studentIds } } }
+      }
+    })));
+  }
+
+  const createdCount = insertedStudents.length + resumed.length;
+  return {
+    ok: true,
+    code: 201,
+    data: {
+      message: mode === 'upsert'
+        ? `${createdCount} students created, ${toUpdate.length} updated`
+        : `${createdCount} students uploaded successfully`,
+      mode,
+      totalUploaded: createdCount,
+      totalUpdated: toUpdate.length,
+      totalUnchanged: unchanged.length,
+      totalLinked: insertedStudents.filter(s => s.classIds.length > 0).length +
+        toUpdate.filter(entry => addedClassesOf(entry).length > 0).length +
+        resumedWithClasses.length,
+      totalSkipped: rejected.length,
+      diff,
+      ...report
+    }
+  };
+};
+
+module.exports = {
+  STUDENT_REPORT_COLUMNS,
+  analyzeStudentUpload,
+  runStudentImport
+};
@@ -0,0 +1,294 @@
+// utils/summary.utils.js
+const Attendance = require('../models/attendance.model');
+const Class = require('../models/class.model');
+const Subject = require('../models/subject.model');
+const HOD = require('../models/hod.model');
+const Student = require('../models/student.model');
+const { countScheduledSessions } = require('./timetable.utils');
+const { listConductedSessions } = require('./session.utils');
+const { startOfDay, toDateKey } = require('./date.utils');
+const {
+  getCalendar,
+  getNonTeachingReason,
+  getNonTeachingRanges,
+  excludeRangesCondition,
+} = require('./calendar.utils');
+const {
+  STATUS_EXPR,
+  getStatusRules,
+  countStatuses,
+  summarizeStatusCounts,
+} = require('./status.utils');
+
+// Rollups a summary can be broken down by ('semester' is an alias of 'term')
+const GROUP_BY_VALUES = ['week', 'month', 'term', 'semester'];
+
+/**
+ * Split a range into weeks (Mon-Sun), calendar months or academic terms,
+ * each clamped to the range.
+ * @param {String} groupBy - one of GROUP_BY_VALUES
+ * @param {Number} startMs
+ * @param {Number} endMs
+ * @param {Object|null} calendar - terms come from the HOD's academic calendar
+ * @returns {Array} [{ label, startMs, endMs }]
+ */
+const buildPeriods = (groupBy, startMs, endMs, calendar) => {
+  if (groupBy === 'term' || groupBy === 'semester') {
+    return (calendar?.terms || [])
+      .filter(t => t.startMs <= endMs && t.endMs >= startMs)
+      .sort((a, b) => a.startMs - b.startMs)
+      .map(t => ({
+        label: t.name,
+        startMs: Math.max(t.startMs, startMs),
+        endMs: Math.min(t.endMs, endMs),
+      }));
+  }
+
+  const periods = [];
+  const cursor = new Date(startOfDay(startMs));
+  if (groupBy === 'week') {
+    cursor.setDate(cursor.getDate() - ((cursor.getDay() + 6) % 7)); // back to Monday
+  } else {
+    cursor.setDate(1);
+  }
+
+  while (cursor.getTime() <= endMs) {
+    const periodStart = cursor.getTime();
+    if (groupBy === 'week') cursor.setDate(cursor.getDate() + 7);
+    else cursor.setMonth(cursor.getMonth() + 1);
+
+    periods.push({
+      label: groupBy === 'week'
+        ? `Week of ${toDateKey(periodStart)}`
+        : toDateKey(periodStart).slice(0, 7),
+      startMs: Math.max(periodStart, startMs),
+      endMs: Math.min(cursor.getTime() - 1, endMs),
+    });
+  }
+  return periods;
+};
+
+/**
+ * Mongo expression giving the index of the period a row's dateMs falls in (null if none)
+ */
+const periodIndexExpr = (periods) => ({
+  $switch: {
+    branches: periods.map((p, i) => ({
+      case: { $and: [{ $gte: ['$dateMs', p.startMs] }, { $lte: ['$dateMs', p.endMs] }] },
+      then: i,
+    })),
+    default: null,
+  },
+});
+
+/**
+ * Per-student attendance summary of a class between two dates.
+ * Non-teaching days are skipped, percentages are against the sessions the class
+ * actually held (cancelled lectures do not count; a class with none recorded yet
+ * falls back to what the timetable scheduled up to today) and the HOD's
+ * counted / excluded statuses decide what counts. Every enrolled student is listed,
+ * including those never marked in the range.
+ * @param {ObjectId} classId
+ * @param {Number} startMs
+ * @param {Number} endMs
+ * With groupBy every student also gets a `periods` breakdown from the same pipeline.
+ * @param {Object} [options] - { subjectId, studentId, groupBy }
+ * @returns {Promise<Object|null>} { scheduledClasses, conductedClasses, rules, periods, summary }
+ *   or null when the class is missing
+ */
+const buildClassSummary = async (classId, startMs, endMs, { subjectId, studentId, groupBy } = {}) => {
+  const cls = await Class.findById(classId).select('createdBy students').lean();
+  if (!cls) return null;
+
+  // 📅 Reports skip holidays, exam days and breaks
+  const calendar = await getCalendar(cls.createdBy);
+  const skipDay = (dayMs) => !!getNonTeachingReason(calendar, dayMs);
+
+  const match = {
+    classId: cls._id,
+    dateMs: { $gte: startMs, $lte: endMs },
+    ...excludeRangesCondition(getNonTeachingRanges(calendar, startMs, endMs)),
+  };
+  if (subjectId) match.subjectId = subjectId;
+  if (studentId) match.studentId = studentId;
+
+  const periods = groupBy ? buildPeriods(groupBy, startMs, endMs, calendar) : [];
+  const groupKey = { studentId: '$studentId', subjectId: '$subjectId', status: STATUS_EXPR };
+  if (groupBy) groupKey.period = periods.length > 0 ? periodIndexExpr(periods) : null;
+
+  const records = await Attendance.aggregate([
+    { $match: match },
+    // Status counts per student + subject, then rolled up per student keeping the breakdown
+    {
+      $group: {
+        _id: groupKey,
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.studentId',
+        counts: {
+          $push: {
+            subjectId: '$_id.subjectId',
+            status: '$_id.status',
+            period: '$_id.period',
+            count: '$count',
+          },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: 'students',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'student',
+      },
+    },
+    { $unwind: '$student' },
+    {
+      $project: {
+        studentId: '$_id',
+        enrollmentNumber: '$student.enrollmentNumber',
+        name: '$student.name',
+        semester: '$student.semester',
+        counts: 1,
+      },
+    },
+    { $sort: { enrollmentNumber: 1 } },
+  ]);
+
+  // 👥 Enrolled students never marked in the range still get a row (all zero)
+  const summarized = new Set(records.map(r => String(r.studentId)));
+  const unmarkedIds = (cls.students || []).filter(id =>
+    !summarized.has(String(id)) && (!studentId || String(id) === String(studentId))
+  );
+  if (unmarkedIds.length > 0) {
+    const unmarked = await Student.find({ _id: { $in: unmarkedIds } }).select('enrollmentNumber name semester').lean();
+    records.push(...unmarked.map(s => ({
+      studentId: s._id,
+      enrollmentNumber: s.enrollmentNumber,
+      name: s.name,
+      semester: s.semester,
+      counts: [],
+    })));
+    records.sort((a, b) => (a.enrollmentNumber < b.enrollmentNumber ? -1 : a.enrollmentNumber > b.enrollmentNumber ? 1 : 0));
+  }
+
+  // 🗓️ Sessions the timetable scheduled so far in the range (0 if the class has no timetable)
+  const scheduledUntil = Math.min(endMs, new Date().setHours(23, 59, 59, 999));
+  const scheduleFilter = subjectId ? { subjectId } : {};
+  const scheduledClasses = await countScheduledSessions(cls._id, startMs, scheduledUntil, {
+    filter: scheduleFilter,
+    skipDay,
+  });
+
+  // 📖 Sessions actually held; once a class has any, they are what students are measured against
+  const conducted = await listConductedSessions(cls._id, startMs, endMs, { subjectId, skipDay });
+  const conductedClasses = conducted.length;
+  const expectedOf = (held, scheduled) => (conductedClasses > 0 ? held : scheduled);
+
+  // 📚 Subject names + per-subject scheduled / held sessions for the breakdown
+  const subjects = await Subject.find({ classId: cls._id, ...scheduleFilter }).select('name code').lean();
+  const subjectInfo = new Map();
+  for (const subj of subjects) {
+    subjectInfo.set(String(subj._id), {
+      name: subj.name,
+      code: subj.code || '',
+      scheduled: await countScheduledSessions(cls._id, startMs, scheduledUntil, {
+        filter: { subjectId: subj._id },
+        skipDay,
+      }),
+      conducted: conducted.filter(c => String(c.subjectId) === String(subj._id)).length,
+    });
+  }
+
+  // 🗓️ Scheduled / held sessions per rollup period
+  for (const period of periods) {
+    period.scheduled = period.startMs > scheduledUntil
+      ? 0
+      : await countScheduledSessions(cls._id, period.startMs, Math.min(period.endMs, scheduledUntil), {
+        filter: scheduleFilter,
+        skipDay,
+      });
+    period.conducted = conducted.filter(c => c.dateMs >= period.startMs && c.dateMs <= period.endMs).length;
+  }
+
+  // ⚖️ The HOD decides which statuses count as attended and which are left out
+  const hod = await HOD.findById(cls.createdBy).select('attendanceSettings').lean();
+  const rules = getStatusRules(hod?.attendanceSettings);
+
+  const summary = records.map((r) => {
+    const statusCounts = countStatuses([]);
+    const bySubject = new Map();
+    const byPeriod = periods.map(() => countStatuses([]));
+
+    for (const c of r.counts || []) {
+      statusCounts[c.status] += c.count;
+
+      const key = c.subjectId ? String(c.subjectId) : '';
+      if (!bySubject.has(key)) bySubject.set(key, countStatuses([]));
+      bySubject.get(key)[c.status] += c.count;
+
+      if (c.period != null) byPeriod[c.period][c.status] += c.count;
+    }
+
+    const row = {
+      studentId: String(r.studentId),
+      enrollmentNumber: r.enrollmentNumber || '',
+      name: r.name || '',
+      semester: r.semester ?? null,
+      scheduledClasses,
+      conductedClasses,
+      ...summarizeStatusCounts(statusCounts, rules, expectedOf(conductedClasses, scheduledClasses)),
+      statusCounts,
+      subjects: Array.from(bySubject.entries()).map(([subjectKey, counts]) => {
+        const info = subjectKey ? subjectInfo.get(subjectKey) : null;
+        const scheduled = info ? info.scheduled : 0;
+        const held = info ? info.conducted : 0;
+        return {
+          subjectId: subjectKey || null,
+          subjectName: info?.name || '',
+          subjectCode: info?.code || '',
+          scheduledClasses: scheduled,
+          conductedClasses: held,
+          ...summarizeStatusCounts(counts, rules, expectedOf(held, scheduled)),
+          statusCounts: counts,
+        };
+      }),
+    };
+    if (groupBy) {
+      row.periods = periods.map((period, i) => ({
+        label: period.label,
+        from: new Date(period.startMs).toISOString(),
+        to: new Date(period.endMs).toISOString(),
+        scheduledClasses: period.scheduled,
+        conductedClasses: period.conducted,
+        ...summarizeStatusCounts(byPeriod[i], rules, expectedOf(period.conducted, period.scheduled)),
+        statusCounts: byPeriod[i],
+      }));
+    }
+    return row;
+  });
+
+  return {
+    scheduledClasses,
+    conductedClasses,
+    rules,
+    periods: periods.map(({ label, startMs: from, endMs: to, scheduled, conducted: held }) => ({
+      label,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      scheduledClasses: scheduled,
+      conductedClasses: held,
+    })),
+    summary,
+  };
+};
+
+module.exports = {
+  GROUP_BY_VALUES,
+  buildPeriods,
+  buildClassSummary
+};
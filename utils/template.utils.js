@@ -0,0 +1,193 @@
+// utils/template.utils.js
+const ExcelJS = require('exceljs');
+const { UPLOAD_COLUMNS, REGISTER_COLUMNS } = require('./excel.utils');
+const { ATTENDANCE_STATUSES, STATUS_CODES } = require('./status.utils');
+const { DAY_MS, toDateKey, startOfDay } = require('./date.utils');
+
+const TEMPLATE_TYPES = ['students', 'professors', 'classes', 'attendance'];
+
+// Rows that get the dropdowns (Excel stores validations per range)
+const VALIDATED_ROWS = 500;
+const SEMESTERS = [1, 2, 3, 4, 5, 6, 7, 8];
+const DEFAULT_DIVISIONS = ['A', 'B', 'C', 'D'];
+
+// Example rows per upload type, keyed like UPLOAD_COLUMNS
+const EXAMPLES = {
+  students: [
+    {
+      enrollmentNumber: 'CS2025001', name: 'Aarav Shah', semester: 3, division: 'A',
+      email: 'aarav.shah@example.com', password: '', classId: '1', className: '', classDivision: ''
+    },
+    {
+      enrollmentNumber: 'CS2025002', name: 'Diya Patel', semester: 3, division: 'B',
+      email: '', password: 'Welcome@2025', classId: '', className: 'SY BTech CSE', classDivision: 'B'
+    }
+  ],
+  professors: [
+    { name: 'Dr. Meera Iyer', email: 'meera.iyer@example.com', password: '' },
+    { name: 'Prof. Rohan Desai', email: 'rohan.desai@example.com', password: 'Welcome@2025' }
+  ],
+  classes: [
+    { className: 'SY BTech CSE', division: 'A' },
+    { className: 'SY BTech CSE', division: 'B' }
+  ]
+};
+
+const GENERAL_NOTES = {
+  students: [
+    'Rows with a missing or invalid required value are reported back with their row number.',
+    'Enrollment numbers that already exist are skipped, unless you upload with mode=upsert: then their name, semester, division and email are updated (empty cells keep the current value) and the password changes only when the row has one.',
+    'Students without a password get the default password Temp@1234 and should change it after logging in.',
+    'Class ID / Class Name columns are optional and add the new students to existing classes. Classes that cannot be found are reported; the student is still created.'
+  ],
+  professors: [
+    'Emails that already exist are skipped, unless you upload with mode=upsert: then the name is updated and the password changes only when the row has one.',
+    'Professors without a password get the default password Temp@1234.'
+  ],
+  classes: [
+    'Classes you already have (same class name and division) are skipped.',
+    'Class IDs are assigned automatically.'
+  ],
+  attendance: [
+    'One row per student, one column per session. Session headers are "YYYY-MM-DD S<slot>", optionally followed by the subject code or name in brackets, e.g. "2025-01-15 S2 (CS301)".',
+    'Add as many session columns as you need; the data ends at the first row without an enrollment number.',
+    `Cells take a status code (${ATTENDANCE_STATUSES.map(st => `${STATUS_CODES[st]} = ${st}`).join(', ')}) or the full status. Leave a cell empty for students not marked.`,
+    'An exported register (xlsx) can be uploaded as it is.'
+  ]
+};
+
+/**
+ * Bold, shaded header row and frozen first row
+ */
+const styleHeader = (sheet) => {
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDDEBF7' } };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+};
+
+/**
+ * In-cell dropdown on rows 2..VALIDATED_ROWS of one column
+ */
+const addListValidation = (sheet, columnNumber, values, prompt) => {
+  // Inline lists are comma-separated and capped at 255 characters by Excel
+  values = values.filter(v => !String(v).includes(',') && !String(v).includes('"'));
+  while (values.join(',').length > 253) values = values.slice(0, -1);
+  const formula = `"${values.join(',')}"`;
+  for (let row = 2; row <= VALIDATED_ROWS; row++) {
+    sheet.getCell(row, columnNumber).dataValidation = {
+      type: 'list',
+      allowBlank: true,
+      formulae: [formula],
+      showErrorMessage: true,
+      errorTitle: 'Invalid value',
+      error: `Choose one of: ${values.join(', ')}`,
+      promptTitle: prompt,
+      prompt: `Choose one of: ${values.join(', ')}`,
+      showInputMessage: true
+    };
+  }
+};
+
+/**
+ * "Notes" sheet: every column with whether it is required and the other header
+ * names the upload accepts, then the general notes
+ */
+const addNotesSheet = (workbook, columns, notes) => {
+  const sheet = workbook.addWorksheet('Notes');
+  sheet.columns = [
+    { header: 'Column', key: 'header', width: 22 },
+    { header: 'Required', key: 'required', width: 10 },
+    { header: 'Also accepted as', key: 'aliases', width: 45 },
+    { header: 'Notes', key: 'description', width: 70 }
+  ];
+  columns.forEach(col => sheet.addRow({
+    header: col.header,
+    required: col.required ? 'Yes' : 'No',
+    aliases: col.aliases.join(', '),
+    description: col.description
+  }));
+  styleHeader(sheet);
+
+  sheet.addRow([]);
+  notes.forEach(note => {
+    const row = sheet.addRow([note]);
+    sheet.mergeCells(row.number, 1, row.number, 4);
+    row.getCell(1).alignment = { wrapText: true };
+    row.height = 30;
+  });
+};
+
+/**
+ * Upload sheet for students, professors or classes
+ */
+const addUploadSheet = (workbook, type, { divisions }) => {
+  const columns = UPLOAD_COLUMNS[type];
+  const sheet = workbook.addWorksheet(type.charAt(0).toUpperCase() + type.slice(1));
+  sheet.columns = columns.map(col => ({ header: col.header, key: col.key, width: Math.max(16, col.header.length + 4) }));
+  EXAMPLES[type].forEach(example => sheet.addRow(example));
+  styleHeader(sheet);
+
+  columns.forEach((col, i) => {
+    if (col.key === 'semester') addListValidation(sheet, i + 1, SEMESTERS, 'Semester');
+    if (col.key === 'division' || col.key === 'classDivision') addListValidation(sheet, i + 1, divisions, 'Division');
+  });
+
+  addNotesSheet(workbook, columns, GENERAL_NOTES[type]);
+};
+
+/**
+ * Attendance register sheet (same layout the import reads and the export writes)
+ */
+const addAttendanceSheet = (workbook, { students, sessions }) => {
+  const sheet = workbook.addWorksheet('Register');
+  sheet.columns = [
+    { header: 'Enrollment Number', key: 'enrollmentNumber', width: 20 },
+    { header: 'Name', key: 'name', width: 28 },
+    ...sessions.map(header => ({ header, width: 18 }))
+  ];
+
+  const rows = students.length > 0
+    ? students
+    : [{ enrollmentNumber: 'CS2025001', name: 'Aarav Shah' }, { enrollmentNumber: 'CS2025002', name: 'Diya Patel' }];
+  rows.forEach(s => sheet.addRow([s.enrollmentNumber, s.name]));
+  styleHeader(sheet);
+
+  const codes = ATTENDANCE_STATUSES.map(st => STATUS_CODES[st]);
+  sessions.forEach((_, i) => addListValidation(sheet, i + 3, codes, 'Status'));
+
+  addNotesSheet(workbook, REGISTER_COLUMNS, GENERAL_NOTES.attendance);
+};
+
+/**
+ * Build a pre-formatted upload template
+ * @param {String} type - one of TEMPLATE_TYPES
+ * @param {Object} [options]
+ * @param {Array} [options.divisions] - division dropdown values (default A–D)
+ * @param {Array} [options.students] - attendance: [{ enrollmentNumber, name }] to pre-fill
+ * @param {Array} [options.sessions] - attendance: session headers (default: slot 1 of the last five days)
+ * @returns {Promise<Buffer>} xlsx contents
+ */
+const buildTemplate = async (type, options = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  if (type === 'attendance') {
+    const today = startOfDay(Date.now());
+    const sessions = options.sessions?.length
+      ? options.sessions
+      : [4, 3, 2, 1, 0].map(d => `${toDateKey(today - d * DAY_MS + DAY_MS / 2)} S1`);
+    addAttendanceSheet(workbook, { students: options.students || [], sessions });
+  } else {
+    addUploadSheet(workbook, type, {
+      divisions: options.divisions?.length ? options.divisions : DEFAULT_DIVISIONS
+    });
+  }
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  TEMPLATE_TYPES,
+  buildTemplate
+};
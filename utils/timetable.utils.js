@@ -0,0 +1,75 @@
+// utils/timetable.utils.js
+const Timetable = require('../models/timetable.model');
+const { forEachDay } = require('./date.utils');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse a weekday given as a number (0-6) or a day name ("mon", "Monday")
+ * @param {Number|String} value
+ * @returns {Number|null} 0 (Sunday) ... 6 (Saturday), or null if invalid
+ */
+const parseWeekday = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const n = Number(value);
+  if (Number.isInteger(n)) return n >= 0 && n <= 6 ? n : null;
+
+  const name = String(value).trim().toLowerCase();
+  if (name.length < 3) return null;
+  const idx = WEEKDAYS.findIndex(d => d.startsWith(name));
+  return idx === -1 ? null : idx;
+};
+
+/**
+ * Look up the timetable entry for a class on the weekday of dateMs.
+ * A class without any timetable entries is treated as unscheduled (not enforced).
+ * @param {String} classId - Class _id
+ * @param {Number} dateMs - Midnight-normalized epoch ms
+ * @param {Number} slotNumber
+ * @returns {Object} { enforced, entry } - entry is null when the slot is not scheduled
+ */
+const findScheduledSlot = async (classId, dateMs, slotNumber) => {
+  const hasTimetable = await Timetable.exists({ classId });
+  if (!hasTimetable) return { enforced: false, entry: null };
+
+  const entry = await Timetable.findOne({
+    classId,
+    weekday: new Date(dateMs).getDay(),
+    slotNumber: Number(slotNumber),
+  }).lean();
+
+  return { enforced: true, entry };
+};
+
+/**
+ * Count the sessions a class's timetable schedules between two dates (inclusive)
+ * @param {String} classId - Class _id
+ * @param {Number} startMs
+ * @param {Number} endMs
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Extra timetable filter, e.g. { subjectId }
+ * @param {Function} [options.skipDay] - (dayMs) => true for days to leave out (holidays etc.)
+ * @returns {Number} Number of scheduled (date, slot) pairs, 0 if no timetable
+ */
+const countScheduledSessions = async (classId, startMs, endMs, { filter = {}, skipDay } = {}) => {
+  const entries = await Timetable.find({ ...filter, classId }).select('weekday').lean();
+  if (entries.length === 0 || endMs < startMs) return 0;
+
+  const perWeekday = new Array(7).fill(0);
+  entries.forEach(e => { perWeekday[e.weekday] += 1; });
+
+  let count = 0;
+  forEachDay(startMs, endMs, (dayMs) => {
+    if (skipDay && skipDay(dayMs)) return;
+    count += perWeekday[new Date(dayMs).getDay()];
+  });
+  return count;
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseWeekday,
+  findScheduledSlot,
+  countScheduledSessions
+};